@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// Test notification rules against a recorded HA event
+// Usage: node scripts/test-notification-rules.js <rules.yaml> <event.json> [area name]
+//
+// The event file holds a state_changed event as received over the HA WebSocket
+// (either the whole event or just its `data` with entity_id, old_state and new_state).
+
+const fs = require('fs');
+const NotificationRules = require('../src/notification-rules');
+
+const [rulesFile, eventFile, areaName] = process.argv.slice(2);
+
+if (!rulesFile || !eventFile) {
+  console.error('Usage: node scripts/test-notification-rules.js <rules.yaml> <event.json> [area name]');
+  process.exit(1);
+}
+
+const recorded = JSON.parse(fs.readFileSync(eventFile, 'utf8'));
+const data = recorded.event ? recorded.event.data : recorded.data && recorded.data.entity_id ? recorded.data : recorded;
+
+const area = areaName ? { area_id: areaName.toLowerCase().replace(/\s+/g, '_'), name: areaName } : null;
+const rules = new NotificationRules({ file: rulesFile, getArea: () => area });
+
+const matches = rules.match(data);
+console.log(`${data.entity_id}: ${data.old_state ? data.old_state.state : '(none)'} -> ${data.new_state ? data.new_state.state : '(none)'}`);
+
+if (matches.length === 0) {
+  console.log('No rules matched');
+  process.exit(0);
+}
+
+for (const { rule, delay } of matches) {
+  const when = delay > 0 ? ` (after ${delay / 1000}s if the state holds)` : '';
+  console.log(`\n✓ ${rule.id}${when}`);
+  console.log(`  notify: ${JSON.stringify(rule.notify)}`);
+  console.log(`  message: ${rules.render(rule, data)}`);
+}
@@ -0,0 +1,70 @@
+// Attachment helpers
+// Attachments travel through the bridge as { contentType, filename, data } with base64 data
+const axios = require('axios');
+
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'audio/mpeg': 'mp3',
+  'audio/ogg': 'ogg',
+  'application/pdf': 'pdf'
+};
+
+function defaultFilename(contentType) {
+  return `attachment.${EXTENSIONS[contentType] || 'bin'}`;
+}
+
+// "data:image/png;base64,..." or plain base64 -> attachment
+function fromBase64(value, contentType = 'application/octet-stream', filename = null) {
+  const match = String(value).match(/^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s);
+  const type = match ? match[1] : contentType;
+  const data = (match ? match[2] : String(value)).replace(/\s+/g, '');
+
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(data) || data.length === 0) {
+    throw new Error('Attachment is not valid base64');
+  }
+  if (Buffer.byteLength(data, 'base64') > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`Attachment is larger than ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`);
+  }
+
+  return { contentType: type, filename: filename || defaultFilename(type), data };
+}
+
+function fromBuffer(buffer, contentType = 'application/octet-stream', filename = null) {
+  return {
+    contentType,
+    filename: filename || defaultFilename(contentType),
+    data: Buffer.from(buffer).toString('base64')
+  };
+}
+
+// Download an attachment; options.headers e.g. for HA's bearer token
+async function fetchAttachment(url, options = {}) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 30000,
+    maxContentLength: MAX_ATTACHMENT_SIZE,
+    headers: options.headers || {}
+  });
+
+  const contentType = (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim();
+  return fromBuffer(response.data, contentType, options.filename);
+}
+
+// Format understood by signal-cli-rest-api's base64_attachments and signal-cli's JSON-RPC
+function toDataUri(attachment) {
+  return `data:${attachment.contentType};filename=${attachment.filename};base64,${attachment.data}`;
+}
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  fromBase64,
+  fromBuffer,
+  fetchAttachment,
+  toDataUri
+};
@@ -0,0 +1,27 @@
+// Exponential backoff with jitter for reconnect loops
+
+class Backoff {
+  // options: { initial, max, factor, jitter (0-1), random }
+  constructor(options = {}) {
+    this.initial = options.initial || 1000;
+    this.max = options.max || 60 * 1000;
+    this.factor = options.factor || 2;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.3;
+    this.random = options.random || Math.random;
+    this.attempt = 0;
+  }
+
+  // Delay before the next attempt: initial * factor^attempt, capped, +/- jitter
+  next() {
+    const base = Math.min(this.max, this.initial * Math.pow(this.factor, this.attempt));
+    this.attempt++;
+    const spread = base * this.jitter;
+    return Math.round(base - spread + this.random() * spread * 2);
+  }
+
+  reset() {
+    this.attempt = 0;
+  }
+}
+
+module.exports = Backoff;
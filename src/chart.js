@@ -0,0 +1,245 @@
+// Line charts of sensor history as PNG, drawn pixel by pixel (no browser or canvas library)
+// series: [{ name, points: [{ time, value }] }] - value null marks a gap (unavailable)
+const { encodePng } = require('./png');
+const { zonedParts, zoneOffset, pad } = require('./zoned-time');
+
+// 5x7 bitmap font: one hex byte per row, top to bottom, bit 4 is the leftmost pixel.
+// Text is drawn in capitals; anything missing is drawn as "?"
+const FONT = {
+  '0': '0e11131519110e', '1': '040c040404040e', '2': '0e11010204081f',
+  '3': '1f02040201110e', '4': '02060a121f0202', '5': '1f101e0101110e',
+  '6': '0608101e11110e', '7': '1f010204080808', '8': '0e11110e11110e', '9': '0e11110f01020c',
+  'A': '0e1111111f1111', 'B': '1e11111e11111e', 'C': '0e11101010110e', 'D': '1c12111111121c',
+  'E': '1f10101e10101f', 'F': '1f10101e101010', 'G': '0e11101711110f', 'H': '1111111f111111',
+  'I': '0e04040404040e', 'J': '0702020202120c', 'K': '11121418141211', 'L': '1010101010101f',
+  'M': '111b1515111111', 'N': '11111915131111', 'O': '0e11111111110e', 'P': '1e11111e101010',
+  'Q': '0e11111115120d', 'R': '1e11111e141211', 'S': '0f10100e01011e', 'T': '1f040404040404',
+  'U': '1111111111110e', 'V': '11111111110a04', 'W': '1111111515150a', 'X': '11110a040a1111',
+  'Y': '1111110a040404', 'Z': '1f01020408101f', ' ': '00000000000000', '.': '00000000000c0c',
+  ',': '000000000c0408', '-': '0000001f000000', '+': '0004041f040400', ':': '000c0c000c0c00',
+  '/': '00010204081000', '%': '18190204081303', '°': '06090906000000', '(': '02040808080402',
+  ')': '08040202020408', '_': '0000000000001f', '?': '0e110102040004'
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+const TEXT_SCALE = 2;
+
+const BACKGROUND = [255, 255, 255];
+const GRID = [232, 232, 232];
+const AXIS = [150, 150, 150];
+const TEXT = [60, 60, 60];
+
+// One colour per series, in order
+const PALETTE = [[31, 119, 180], [214, 39, 40], [44, 160, 44], [255, 127, 14], [148, 103, 189], [140, 86, 75]];
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Candidate spacings of the time axis ticks, smallest first
+const TIME_STEPS = [5 * MINUTE, 15 * MINUTE, 30 * MINUTE, HOUR, 2 * HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR, DAY, 2 * DAY, 7 * DAY];
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+function glyph(char) {
+  const hex = FONT[char] || FONT['?'];
+  return Array.from({ length: GLYPH_HEIGHT }, (_, row) => parseInt(hex.slice(row * 2, row * 2 + 2), 16));
+}
+
+class Raster {
+  constructor(width, height, background = BACKGROUND) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  set(x, y, color) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+    const offset = (y * this.width + x) * 3;
+    this.pixels[offset] = color[0];
+    this.pixels[offset + 1] = color[1];
+    this.pixels[offset + 2] = color[2];
+  }
+
+  fillRect(x, y, width, height, color) {
+    for (let row = y; row < y + height; row++) {
+      for (let col = x; col < x + width; col++) this.set(col, row, color);
+    }
+  }
+
+  // Bresenham with a square brush for thickness
+  line(x0, y0, x1, y1, color, thickness = 1) {
+    x0 = Math.round(x0); y0 = Math.round(y0);
+    x1 = Math.round(x1); y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    const half = Math.floor(thickness / 2);
+    let error = dx + dy;
+
+    for (;;) {
+      this.fillRect(x0 - half, y0 - half, thickness, thickness, color);
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * error;
+      if (e2 >= dy) { error += dy; x0 += sx; }
+      if (e2 <= dx) { error += dx; y0 += sy; }
+    }
+  }
+
+  textWidth(text, scale = TEXT_SCALE) {
+    return text.length > 0 ? (text.length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+  }
+
+  // (x, y) is the top left corner
+  text(x, y, text, color = TEXT, scale = TEXT_SCALE) {
+    [...text.toUpperCase()].forEach((char, i) => {
+      const left = x + i * (GLYPH_WIDTH + 1) * scale;
+      glyph(char).forEach((bits, row) => {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (bits & (1 << (GLYPH_WIDTH - 1 - col))) {
+            this.fillRect(left + col * scale, y + row * scale, scale, scale, color);
+          }
+        }
+      });
+    });
+  }
+
+  toPng() {
+    return encodePng(this.width, this.height, this.pixels);
+  }
+}
+
+// 1, 2 or 5 times a power of ten, giving about `target` steps over the range
+function niceStep(range, target) {
+  const raw = range / target;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const normalized = raw / magnitude;
+  const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  return nice * magnitude;
+}
+
+function formatValue(value, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return value.toFixed(decimals);
+}
+
+// Tick times aligned to the local clock (whole hours, midnights...)
+function timeTicks(start, end, timeZone, maxTicks) {
+  const step = TIME_STEPS.find(s => (end - start) / s <= maxTicks) || TIME_STEPS[TIME_STEPS.length - 1];
+  const offset = zoneOffset(start, timeZone);
+  const ticks = [];
+  for (let local = Math.ceil((start + offset) / step) * step; local - offset <= end; local += step) {
+    ticks.push(local - offset);
+  }
+  return { step, ticks };
+}
+
+function timeLabel(timestamp, step, timeZone) {
+  const p = zonedParts(timestamp, timeZone);
+  return step >= DAY ? `${p.day} ${MONTHS[p.month - 1]}` : `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// The value range to show, padded so lines don't touch the edges
+function valueRange(series) {
+  const values = series.flatMap(s => s.points.map(p => p.value)).filter(v => v !== null);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const padding = (max - min) * 0.05;
+  return { min: min - padding, max: max + padding };
+}
+
+// options: { start, end, timeZone, title, width, height } -> PNG buffer
+function renderChart(series, options) {
+  const { start, end, timeZone, title = '', width = 800, height = 400 } = options;
+  const raster = new Raster(width, height);
+  const lineHeight = GLYPH_HEIGHT * TEXT_SCALE;
+
+  // Title, then a legend when there is more than one line (wrapping as needed)
+  let top = 12;
+  if (title) {
+    raster.text(12, top, title);
+    top += lineHeight + 10;
+  }
+  if (series.length > 1) {
+    let x = 12;
+    series.forEach((s, i) => {
+      const entryWidth = lineHeight + 6 + raster.textWidth(s.name) + 18;
+      if (x > 12 && x + entryWidth > width - 12) {
+        x = 12;
+        top += lineHeight + 6;
+      }
+      raster.fillRect(x, top, lineHeight, lineHeight, PALETTE[i % PALETTE.length]);
+      raster.text(x + lineHeight + 6, top, s.name);
+      x += entryWidth;
+    });
+    top += lineHeight + 10;
+  }
+
+  // Value axis labels decide the left margin
+  const range = valueRange(series);
+  const valueStep = niceStep(range.max - range.min, 5);
+  const valueTicks = [];
+  for (let v = Math.ceil(range.min / valueStep) * valueStep; v <= range.max; v += valueStep) {
+    valueTicks.push(v);
+  }
+  const labels = valueTicks.map(v => formatValue(v, valueStep));
+  const plot = {
+    left: Math.max(...labels.map(l => raster.textWidth(l))) + 20,
+    top: top + 6,
+    right: width - 16,
+    bottom: height - lineHeight - 18
+  };
+  const x = (time) => plot.left + (time - start) / (end - start) * (plot.right - plot.left);
+  const y = (value) => plot.bottom - (value - range.min) / (range.max - range.min) * (plot.bottom - plot.top);
+
+  // Grid and labels
+  valueTicks.forEach((value, i) => {
+    const row = Math.round(y(value));
+    raster.line(plot.left, row, plot.right, row, GRID);
+    raster.text(plot.left - 10 - raster.textWidth(labels[i]), row - lineHeight / 2, labels[i]);
+  });
+
+  const maxTicks = Math.max(2, Math.floor((plot.right - plot.left) / raster.textWidth('00:00 ')));
+  const { step, ticks } = timeTicks(start, end, timeZone, maxTicks);
+  for (const time of ticks) {
+    const col = Math.round(x(time));
+    const label = timeLabel(time, step, timeZone);
+    raster.line(col, plot.top, col, plot.bottom, GRID);
+    raster.line(col, plot.bottom, col, plot.bottom + 4, AXIS);
+    // Centred under the tick, but kept inside the image
+    const left = Math.min(Math.max(col - raster.textWidth(label) / 2, 2), width - raster.textWidth(label) - 2);
+    raster.text(left, plot.bottom + 8, label);
+  }
+
+  raster.line(plot.left, plot.top, plot.left, plot.bottom, AXIS);
+  raster.line(plot.left, plot.bottom, plot.right, plot.bottom, AXIS);
+
+  // Lines: each value holds until the next one, the last until the end
+  series.forEach((s, i) => {
+    const color = PALETTE[i % PALETTE.length];
+    s.points.forEach((point, j) => {
+      if (point.value === null) return;
+      const next = s.points[j + 1];
+      const from = [x(Math.max(point.time, start)), y(point.value)];
+      if (!next) {
+        raster.line(from[0], from[1], x(end), from[1], color, 2);
+      } else if (next.value !== null) {
+        raster.line(from[0], from[1], x(next.time), y(next.value), color, 2);
+      }
+    });
+  });
+
+  return raster.toPng();
+}
+
+module.exports = { renderChart, Raster };
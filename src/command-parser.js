@@ -1,16 +1,308 @@
 // Natural Language Command Parser
 const logger = require('./logger');
+const PendingStore = require('./pending-store');
+const { rankEntities } = require('./entity-matcher');
+const { effectiveService } = require('./confirmations');
+const { parseLightSettings, describeLightSettings } = require('./light-settings');
+const { parseSchedule, describeRepeat, mentionsTime, parseClock } = require('./scheduler');
+const { zonedParts, zonedTime, formatWhen } = require('./zoned-time');
+const history = require('./history');
+const { renderChart } = require('./chart');
+const { fromBuffer } = require('./attachments');
+const { DEFAULT_BATTERY_THRESHOLD } = require('./digest');
+
+// Domains that make sense for turn on/off/toggle
+const CONTROLLABLE_DOMAINS = [
+  'light', 'switch', 'fan', 'cover', 'climate', 'media_player', 'input_boolean',
+  'automation', 'script', 'scene', 'humidifier', 'siren', 'vacuum', 'water_heater'
+];
+
+// What "everything" means for area-wide commands
+const EVERYTHING_DOMAINS = ['light', 'switch', 'fan', 'media_player'];
+
+// Plural words that select a whole domain ("all lights", "kitchen and hallway lights")
+const DOMAIN_WORDS = {
+  lights: ['light'],
+  lamps: ['light'],
+  switches: ['switch'],
+  plugs: ['switch'],
+  fans: ['fan'],
+  locks: ['lock'],
+  doors: ['lock'],
+  covers: ['cover'],
+  blinds: ['cover'],
+  shades: ['cover'],
+  curtains: ['cover'],
+  tvs: ['media_player'],
+  speakers: ['media_player']
+};
+
+// supported_features bits of the cover, media player, fan and vacuum services
+const COVER_FEATURES = { OPEN: 1, CLOSE: 2, SET_POSITION: 4, STOP: 8 };
+const MEDIA_FEATURES = { PAUSE: 1, VOLUME_SET: 4, PREVIOUS_TRACK: 16, NEXT_TRACK: 32, STOP: 4096, PLAY: 16384 };
+const FAN_FEATURES = { SET_SPEED: 1, PRESET_MODE: 8 };
+const VACUUM_FEATURES = { PAUSE: 4, STOP: 8, RETURN_HOME: 16, START: 8192 };
+
+// Multi-entity actions and how to tell from the new state that they worked
+const ACTIONS = {
+  turn_on: {
+    verb: 'turn on', domain: 'homeassistant', service: 'turn_on', label: 'Turned on', domains: CONTROLLABLE_DOMAINS,
+    done: (state) => !['off', 'closed', 'unavailable', 'unknown'].includes(state)
+  },
+  turn_off: {
+    verb: 'turn off', domain: 'homeassistant', service: 'turn_off', label: 'Turned off', domains: CONTROLLABLE_DOMAINS,
+    done: (state) => ['off', 'closed', 'closing', 'idle', 'standby'].includes(state)
+  },
+  toggle: {
+    verb: 'toggle', domain: 'homeassistant', service: 'toggle', label: 'Toggled', domains: CONTROLLABLE_DOMAINS,
+    done: (state, before) => state !== before
+  },
+  lock: {
+    verb: 'lock', domain: 'lock', service: 'lock', label: 'Locked', domains: ['lock'],
+    done: (state) => state === 'locked' || state === 'locking'
+  },
+  unlock: {
+    verb: 'unlock', domain: 'lock', service: 'unlock', label: 'Unlocked', domains: ['lock'],
+    done: (state) => state === 'unlocked' || state === 'unlocking' || state === 'open'
+  },
+  open_cover: {
+    verb: 'open', domain: 'cover', service: 'open_cover', label: 'Opened', domains: ['cover'], feature: COVER_FEATURES.OPEN,
+    done: (state) => state === 'open' || state === 'opening'
+  },
+  close_cover: {
+    verb: 'close', domain: 'cover', service: 'close_cover', label: 'Closed', domains: ['cover'], feature: COVER_FEATURES.CLOSE,
+    done: (state) => state === 'closed' || state === 'closing'
+  },
+  stop_cover: {
+    verb: 'stop', domain: 'cover', service: 'stop_cover', label: 'Stopped', domains: ['cover'], feature: COVER_FEATURES.STOP,
+    done: (state) => state !== 'opening' && state !== 'closing'
+  }
+};
+
+const MAX_RESULT_LINES = 15;
+
+// "notify me when X opens" - state words to HA states per domain
+const SUBSCRIPTION_STATES = {
+  open: { cover: 'open', binary_sensor: 'on', lock: 'unlocked', valve: 'open', default: 'open' },
+  closed: { cover: 'closed', binary_sensor: 'off', lock: 'locked', valve: 'closed', default: 'closed' },
+  on: { default: 'on' },
+  off: { default: 'off' },
+  unlocked: { default: 'unlocked' },
+  locked: { default: 'locked' },
+  home: { default: 'home' },
+  away: { default: 'not_home' }
+};
+
+const SUBSCRIPTION_WORDS = {
+  open: 'open', opens: 'open', opened: 'open',
+  close: 'closed', closes: 'closed', closed: 'closed',
+  on: 'on', off: 'off',
+  unlocks: 'unlocked', unlocked: 'unlocked',
+  locks: 'locked', locked: 'locked',
+  home: 'home', arrives: 'home',
+  leaves: 'away', away: 'away',
+  changes: 'changes'
+};
+
+// History questions also use other tenses ("when did the door last open", "...last unlocked")
+const HISTORY_WORDS = {
+  ...SUBSCRIPTION_WORDS,
+  lock: 'locked', unlock: 'unlocked',
+  arrive: 'home', arrived: 'home',
+  leave: 'away', left: 'away',
+  change: 'changes', changed: 'changes'
+};
+
+// "Front Door last opened today 14:32"
+const LAST_VERBS = {
+  open: 'opened', closed: 'closed',
+  on: 'turned on', off: 'turned off',
+  unlocked: 'unlocked', locked: 'locked',
+  home: 'arrived home', away: 'left'
+};
+
+// "when was X last opened" looks back this far (HA keeps 10 days of history by default)
+const LAST_CHANGE_LOOKBACK = 7 * 24 * 60 * 60 * 1000;
+
+// Longest list of changes in a history reply
+const MAX_HISTORY_LINES = 20;
+
+// Most lines on one graph (one colour each)
+const MAX_GRAPH_SERIES = 6;
+
+// How to describe a service in a confirmation prompt
+const SERVICE_VERBS = {
+  turn_on: 'turn on',
+  turn_off: 'turn off',
+  toggle: 'toggle',
+  lock: 'lock',
+  unlock: 'unlock',
+  open: 'open',
+  open_cover: 'open',
+  close_cover: 'close',
+  alarm_disarm: 'disarm',
+  alarm_arm_away: 'arm (away)',
+  alarm_arm_home: 'arm (home)',
+  alarm_arm_night: 'arm (night)',
+  alarm_arm_vacation: 'arm (vacation)'
+};
+
+// Commands that change something - the only kind a schedule runs
+// ("graph X in 24h" and "what was X at 8am" are questions, not timers)
+const SCHEDULABLE = /^(?:turn|switch|toggle|lock|unlock|open|close|stop|dim|fade|set|change|move|make|heat|cool|arm|disarm|play|resume|pause|next|skip|previous|prev|volume|start|dock|send|activate|scene|run|(?:a bit |a little )?(?:warmer|hotter|cooler|colder))\b|^.+ (?:mode|preset|effect|volume|speed) (?:to )?\S|^(?:the )?(?:thermostat|heating|ac|climate) \w+$/;
+
+// Commands without a value, so a trailing "at 7" can only be a time
+const TIMED_VERBS = /^(?:turn (?:on|off)|toggle|lock|unlock|open|close|start|dock|activate|run|arm|disarm|play|resume|pause)\b/;
+
+const CHOICE_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+const MAX_CHOICES = 5;
+
+// ClimateEntityFeature bits from supported_features
+const CLIMATE_FEATURES = {
+  TARGET_TEMPERATURE: 1,
+  TARGET_TEMPERATURE_RANGE: 2,
+  FAN_MODE: 8,
+  PRESET_MODE: 16
+};
+
+// Names that mean "the thermostat" when there's only one
+const CLIMATE_WORDS = /^(?:the )?(?:thermostat|heating|heater|ac|air conditioning|climate|hvac)?$/;
+
+// "21", "21.5", "70°", "21 degrees", "21c"
+const TEMPERATURE = '(-?\\d+(?:\\.\\d+)?)\\s*(?:°|º|degrees?)?\\s*[cf]?';
+
+// Domain-specific verbs: the service and feature bit per domain (null: always supported),
+// and which states count as "the one you mean" when a generic name matches several
+const VERBS = {
+  open: { reply: '🪟 Opening', services: { cover: ['open_cover', COVER_FEATURES.OPEN] } },
+  close: { reply: '🪟 Closing', services: { cover: ['close_cover', COVER_FEATURES.CLOSE] } },
+  stop: {
+    reply: '⏹️ Stopped',
+    services: {
+      cover: ['stop_cover', COVER_FEATURES.STOP],
+      media_player: ['media_stop', MEDIA_FEATURES.STOP],
+      vacuum: ['stop', VACUUM_FEATURES.STOP]
+    },
+    active: ['opening', 'closing', 'playing', 'paused', 'cleaning', 'returning']
+  },
+  play: { reply: '▶️ Playing', services: { media_player: ['media_play', MEDIA_FEATURES.PLAY] }, active: ['paused'] },
+  pause: {
+    reply: '⏸️ Paused',
+    services: { media_player: ['media_pause', MEDIA_FEATURES.PAUSE], vacuum: ['pause', VACUUM_FEATURES.PAUSE] },
+    active: ['playing', 'cleaning']
+  },
+  next: { reply: '⏭️ Next track on', services: { media_player: ['media_next_track', MEDIA_FEATURES.NEXT_TRACK] }, active: ['playing'] },
+  previous: { reply: '⏮️ Previous track on', services: { media_player: ['media_previous_track', MEDIA_FEATURES.PREVIOUS_TRACK] }, active: ['playing'] },
+  start: { reply: '🧹 Started', services: { vacuum: ['start', VACUUM_FEATURES.START] }, active: ['docked', 'idle', 'paused'] },
+  dock: { reply: '🏠 Sending home:', services: { vacuum: ['return_to_base', VACUUM_FEATURES.RETURN_HOME] }, active: ['cleaning', 'paused', 'idle'] },
+  activate: { reply: '🎬 Activated', services: { scene: ['turn_on', null] } },
+  run: { reply: '📜 Started', services: { script: ['turn_on', null] } }
+};
+
+const VERB_ALIASES = { resume: 'play', skip: 'next', prev: 'previous' };
+
+// Names that mean "the one of its kind" ("set thermostat to 21", "pause the tv")
+const GENERIC_NAMES = {
+  climate: CLIMATE_WORDS,
+  cover: /^(?:the )?(?:cover|blinds?|shades?|curtains?|shutters?)?$/,
+  media_player: /^(?:the )?(?:tv|television|music|speakers?|player|media player)?$/,
+  fan: /^(?:the )?(?:fan)?$/,
+  vacuum: /^(?:the )?(?:vacuum|robot|hoover)?$/,
+  alarm_control_panel: /^(?:the )?(?:alarm|security|security system|house)?$/
+};
+
+// Arm modes: service and AlarmControlPanelEntityFeature bit
+const ALARM_MODES = {
+  home: ['alarm_arm_home', 1],
+  away: ['alarm_arm_away', 2],
+  night: ['alarm_arm_night', 4],
+  vacation: ['alarm_arm_vacation', 32]
+};
+
+const ALARM_STATES = {
+  disarmed: '🔓 Disarmed',
+  armed_home: '🛡️ Armed home',
+  armed_away: '🛡️ Armed away',
+  armed_night: '🛡️ Armed night',
+  armed_vacation: '🛡️ Armed vacation',
+  armed_custom_bypass: '🛡️ Armed (custom bypass)',
+  arming: '⏳ Arming',
+  disarming: '⏳ Disarming',
+  pending: '⏳ Pending',
+  triggered: '🚨 Triggered'
+};
+
+// Door and window sensors that can block arming
+const OPENING_CLASSES = ['door', 'window', 'garage_door', 'opening'];
+
+// Covers worth mentioning when open (blinds are open all day)
+const OPENING_COVERS = ['door', 'garage', 'gate', 'window'];
+
+// Left on: domain -> states that count
+const LEFT_ON_STATES = { light: ['on'], switch: ['on'], fan: ['on'], media_player: ['playing'] };
+
+// Most events listed in a digest
+const MAX_DIGEST_EVENTS = 15;
+
+// Most unavailable entities named in a digest
+const MAX_DIGEST_UNAVAILABLE = 10;
+
+// How long to wait for the panel to react before reporting the result
+const ALARM_SETTLE_TIME = 5000;
+
+// The same for lights, switches... (Zigbee and cloud devices report back after the call returns)
+const CONTROL_SETTLE_TIME = 3000;
+
+// Light colour modes that take an RGB colour (HA converts between them)
+const COLOR_MODES = ['hs', 'xy', 'rgb', 'rgbw', 'rgbww'];
+
+// LightEntityFeature bits from supported_features
+const LIGHT_FEATURES = { EFFECT: 4, TRANSITION: 32 };
+
+// Fan speed words for fans without presets
+const FAN_SPEEDS = { low: 33, medium: 66, high: 100 };
+
+// Follow-ups to Assist continue the same HA conversation within this time
+const ASSIST_CONVERSATION_TIMEOUT = 5 * 60 * 1000;
 
 class CommandParser {
-  constructor(homeAssistant) {
+  // options.permissions: Permissions instance (everything is allowed without one)
+  // options.confirmations: Confirmations instance (nothing needs confirming without one)
+  // options.subscriptions: Subscriptions instance for "notify me when..." alerts
+  // options.scheduler: Scheduler instance for "at 23:30 ..." / "in 45 minutes ..." commands
+  // options.store: Store for conversation state that should survive restarts
+  // options.assist: { agentId, pipelineId, language } to pass unknown commands to HA Assist
+  // options.graphPeriod: time window of "graph" without one (default "24h")
+  // options.digests: Digests instance whose notable events the "digest" command lists
+  constructor(homeAssistant, options = {}) {
     this.ha = homeAssistant;
+    this.permissions = options.permissions || null;
+    this.confirmations = options.confirmations || null;
+    this.subscriptions = options.subscriptions || null;
+    this.scheduler = options.scheduler || null;
+    this.assist = options.assist || null;
+    this.graphPeriod = options.graphPeriod || '24h';
+    this.digests = options.digests || null;
+    this.assistConversations = new PendingStore(ASSIST_CONVERSATION_TIMEOUT, {
+      store: options.store,
+      namespace: 'pending_assist'
+    });
     this.entityCache = new Map();
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.cacheUpdated = 0;
+    this.cacheRegistryVersion = null;
+    this.entityList = [];
+    this.pendingChoices = new PendingStore(CHOICE_TIMEOUT, {
+      store: options.store,
+      namespace: 'pending_choices'
+    });
   }
 
   async refreshCache() {
     try {
       const states = await this.ha.getStates();
+      this.entityCache.clear();
+      this.entityList = [];
       
       for (const entity of states) {
         const id = entity.entity_id;
@@ -23,142 +315,657 @@ class CommandParser {
         // Store normalized versions
         const normalized = id.replace(`${domain}.`, '').replace(/_/g, ' ').toLowerCase();
         this.entityCache.set(normalized, entity);
+        
+        // Store area-qualified names ("kitchen ceiling" -> light.ceiling_1)
+        const area = this.ha.getArea(id);
+        this.entityList.push({ entity, area: area ? area.name : null });
+        if (area) {
+          const areaName = area.name.toLowerCase();
+          if (!friendly.toLowerCase().includes(areaName)) {
+            this.entityCache.set(`${areaName} ${friendly.toLowerCase()}`, entity);
+          }
+        }
       }
       
+      this.cacheUpdated = Date.now();
+      this.cacheRegistryVersion = this.ha.registryVersion;
       logger.debug('Entity cache refreshed with', this.entityCache.size, 'entries');
     } catch (err) {
       logger.error('Failed to refresh entity cache:', err.message);
     }
   }
 
-  findEntity(name) {
-    const normalized = name.toLowerCase().trim();
-    
-    // Direct match
-    if (this.entityCache.has(normalized)) {
-      return this.entityCache.get(normalized);
+  // Resolve a name to a single entity
+  // Returns { entity } or { reply } when nothing or several entities match.
+  // When ambiguous, `method` is re-run with the chosen entity id once the
+  // sender answers with a number (name first, context last in its arguments).
+  resolveEntity(name, context, { domains, hints, method, args = [], notFound } = {}) {
+    const { best, candidates } = rankEntities(name, this.entityList, { domains, hints });
+
+    if (best) {
+      // The cache only knows names - take the state from the live mirror
+      return { entity: this.ha.getMirroredState(best.entity_id) || best };
     }
-    
-    // Partial match
-    for (const [key, entity] of this.entityCache) {
-      if (key.includes(normalized) || normalized.includes(key)) {
-        return entity;
+
+    if (candidates.length === 0) {
+      return { reply: notFound || `❓ Entity not found: "${name}"` };
+    }
+
+    return { reply: this.offerChoices(context, candidates, { method, args }) };
+  }
+
+  // Ask which entity was meant; the answer re-runs `method` (see resolveEntity)
+  offerChoices(context, candidates, { method, args }) {
+    const shown = candidates.slice(0, MAX_CHOICES);
+    this.pendingChoices.set(this.conversationKey(context), {
+      method,
+      args,
+      candidates: shown.map(e => e.entity_id)
+    });
+
+    let reply = `🤔 Which one did you mean?\n\n`;
+    shown.forEach((e, i) => {
+      reply += `${i + 1}. ${e.attributes.friendly_name || e.entity_id} (${e.entity_id})\n`;
+    });
+    if (candidates.length > shown.length) {
+      reply += `...and ${candidates.length - shown.length} more - try a more specific name\n`;
+    }
+    reply += `\nReply with a number to choose.`;
+
+    return reply;
+  }
+
+  // Returns null when allowed, otherwise the reply to send
+  authorize(context, command, { entity = null, area = null } = {}) {
+    if (!this.permissions) return null;
+
+    const request = {
+      command,
+      entityId: entity ? entity.entity_id : null,
+      area: entity ? this.ha.getArea(entity.entity_id) : area
+    };
+    const result = this.permissions.check(context.source, context.groupId || null, request);
+    if (result.allowed) return null;
+
+    const name = entity ? entity.attributes.friendly_name || entity.entity_id : null;
+    logger.warn(`Denied ${command}${entity ? ` on ${entity.entity_id}` : ''} for ${context.source}${context.groupId ? ' in group' : ''}: ${result.reason}`);
+
+    if (!entity) {
+      return `🚫 You are not allowed to use ${command} commands${area ? ` for ${area.name}` : ''}`;
+    }
+    return `🚫 You are not allowed to ${command === 'query' ? 'check' : 'control'} ${name}`;
+  }
+
+  // Returns a reply asking the sender to confirm, or null when the action may run now.
+  // Once confirmed, `method` is re-run with `args` and context.confirmed set.
+  confirmIfSensitive(context, domain, service, entities, { method, args }) {
+    if (!this.confirmations || context.confirmed) return null;
+
+    const sensitive = entities.filter(e => this.confirmations.isSensitive(domain, service, e));
+    if (sensitive.length === 0) return null;
+
+    const pinEntity = sensitive.find(e => this.confirmations.pinFor(e.entity_id));
+    const effective = effectiveService(domain, service, sensitive[0]);
+    const verb = SERVICE_VERBS[effective.service] || effective.service.replace(/_/g, ' ');
+    const names = entities.map(e => e.attributes.friendly_name || e.entity_id);
+    const description = `${verb} ${names.join(', ')}`;
+
+    this.confirmations.request(context, {
+      method,
+      args,
+      description,
+      pinEntity: pinEntity ? pinEntity.entity_id : null
+    });
+    logger.info(`Awaiting confirmation from ${context.source} to ${description}`);
+
+    const seconds = Math.round(this.confirmations.timeout / 1000);
+    if (pinEntity) {
+      return `🔐 Reply with your PIN within ${seconds}s to ${description}`;
+    }
+    return `⚠️ Reply YES within ${seconds}s to ${description}`;
+  }
+
+  // Handles YES / NO / PIN answers; returns null if the text is not an answer
+  async handleConfirmation(text, context) {
+    const pending = this.confirmations ? this.confirmations.get(context) : null;
+    if (!pending) return null;
+
+    const answer = text.trim();
+
+    if (/^(no|n|cancel|stop)$/i.test(answer)) {
+      this.confirmations.cancel(context);
+      return `❎ Cancelled: ${pending.description}`;
+    }
+
+    // An alarm code goes to HA, which checks it - it is never compared, stored or logged here.
+    // Bare digits are a code for numeric panels; otherwise it takes "code ..." so that a
+    // command sent meanwhile isn't taken for one - it cancels the prompt and runs instead.
+    if (pending.code) {
+      const explicit = answer.match(/^code\s+(.+)$/i);
+      const code = explicit ? explicit[1] : (pending.codeFormat === 'number' && /^\d+$/.test(answer) ? answer : null);
+      this.confirmations.cancel(context);
+      if (code === null) {
+        logger.info(`Alarm code prompt for ${context.source} replaced by a command: ${pending.description}`);
+        return null;
       }
+      
+      logger.info(`Alarm code entered by ${context.source} to ${pending.description}`);
+      return await this[pending.method](...pending.args, { ...context, confirmed: true, code });
     }
     
-    return null;
+    if (pending.pinEntity) {
+      if (!/^\d+$/.test(answer)) return null;
+
+      this.confirmations.cancel(context);
+      if (answer !== this.confirmations.pinFor(pending.pinEntity)) {
+        logger.warn(`Wrong PIN from ${context.source} to ${pending.description}`);
+        return `❌ Wrong PIN - cancelled: ${pending.description}`;
+      }
+    } else {
+      if (!/^(yes|y)$/i.test(answer)) return null;
+      this.confirmations.cancel(context);
+    }
+
+    logger.info(`Confirmed by ${context.source}: ${pending.description}`);
+    return await this[pending.method](...pending.args, { ...context, confirmed: true });
+  }
+
+  // True while the sender owes us a PIN or alarm code (so the message is not logged)
+  expectsPin(context) {
+    const pending = this.confirmations ? this.confirmations.get(context) : null;
+    return !!(pending && (pending.pinEntity || pending.code));
+  }
+
+  conversationKey(context = {}) {
+    return context.groupId || context.source || 'default';
+  }
+
+  async resolveChoice(number, context) {
+    const pending = this.pendingChoices.get(this.conversationKey(context));
+    if (!pending) return null;
+
+    const entityId = pending.candidates[number - 1];
+    if (!entityId) {
+      return `❓ Please reply with a number between 1 and ${pending.candidates.length}`;
+    }
+
+    this.pendingChoices.delete(this.conversationKey(context));
+    return await this[pending.method](entityId, ...pending.args.slice(1), context);
   }
 
-  async execute(text) {
+  // context: { source, groupId } of the Signal conversation the command came from
+  async execute(text, context = {}) {
     const cmd = text.toLowerCase().trim();
     
-    // Refresh cache if empty
-    if (this.entityCache.size === 0) {
+    // Refresh cache if empty, expired or the HA registries changed
+    if (this.entityCache.size === 0 ||
+        Date.now() - this.cacheUpdated > this.cacheExpiry ||
+        this.cacheRegistryVersion !== this.ha.registryVersion) {
       await this.refreshCache();
     }
     
+    // Answer to a "reply YES to confirm" question
+    const pending = this.confirmations ? this.confirmations.get(context) : null;
+    const mayBeCode = !!(pending && pending.code);
+    const confirmed = await this.handleConfirmation(text, context);
+    if (confirmed) return confirmed;
+    
+    // Answer to a "which one did you mean?" question
+    if (/^\d+$/.test(cmd)) {
+      const response = await this.resolveChoice(parseInt(cmd), context);
+      if (response) return response;
+    }
+    
     // Help
     if (cmd === 'help' || cmd === '?') {
       return this.getHelp();
     }
     
+    // Schedules (a scheduled command never schedules another one)
+    if (!context.scheduled) {
+      if (cmd === 'my schedules' || cmd === 'schedules' || cmd === 'list schedules') {
+        return this.listSchedules(context);
+      }
+      
+      const cancelSchedule = cmd.match(/^(?:cancel|stop|delete|remove) schedule (\d+)$/);
+      if (cancelSchedule) {
+        return this.removeSchedule(parseInt(cancelSchedule[1]), context);
+      }
+      
+      // "fade X to 10% in 5 minutes" is a light transition, not a delay
+      if (!cmd.startsWith('fade ')) {
+        const response = await this.schedule(text, context);
+        if (response) return response;
+      }
+    }
+    
     // Status commands
     if (cmd === 'status') {
-      return await this.getFullStatus();
+      return this.authorize(context, 'status') || await this.getFullStatus();
     }
     
     if (cmd.startsWith('status ')) {
       const area = cmd.replace('status ', '');
-      return await this.getAreaStatus(area);
+      return this.authorize(context, 'status', { area: this.ha.findArea(area) }) || await this.getAreaStatus(area);
     }
     
     if (cmd === 'temperature' || cmd === 'temp') {
-      return await this.getTemperatureSummary();
+      return this.authorize(context, 'status') || await this.getTemperatureSummary();
     }
     
     if (cmd === 'locks') {
-      return await this.getLockStatus();
+      return this.authorize(context, 'status') || await this.getLockStatus();
+    }
+    
+    if (cmd === 'digest' || cmd === 'summary') {
+      return this.authorize(context, 'status') || await this.getDigest();
+    }
+    
+    // Alarm panels
+    if (cmd === 'alarm' || cmd === 'alarm status' || cmd === 'security') {
+      return this.authorize(context, 'status') || await this.getAlarmStatus();
+    }
+    
+    const armMode = cmd.match(/^arm (away|home|night|vacation)(?: (.+))?$/);
+    if (armMode) {
+      return await this.armAlarm(armMode[2] || '', armMode[1], context);
+    }
+    
+    const armPanel = cmd.match(/^arm (?:the )?(.+?) (?:in |to )?(away|home|night|vacation)(?: mode)?$/);
+    if (armPanel) {
+      return await this.armAlarm(armPanel[1], armPanel[2], context);
+    }
+    
+    const arm = cmd.match(/^arm(?: (.+))?$/);
+    if (arm) {
+      return await this.armAlarm(arm[1] || '', 'away', context);
+    }
+    
+    const disarm = cmd.match(/^disarm(?: (.+))?$/);
+    if (disarm) {
+      return await this.disarmAlarm(disarm[1] || '', context);
     }
     
     // Discovery commands
     if (cmd === 'list lights' || cmd === 'lights') {
-      return await this.listEntities('light');
+      return this.authorize(context, 'list') || await this.listEntities('light');
     }
     
     if (cmd === 'list switches' || cmd === 'switches') {
-      return await this.listEntities('switch');
+      return this.authorize(context, 'list') || await this.listEntities('switch');
     }
     
     if (cmd === 'list sensors') {
-      return await this.listEntities('sensor');
+      return this.authorize(context, 'list') || await this.listEntities('sensor');
     }
     
     if (cmd.startsWith('list ')) {
       const area = cmd.replace('list ', '');
-      return await this.listEntitiesByArea(area);
+      return this.authorize(context, 'list', { area: this.ha.findArea(area) }) || await this.listEntitiesByArea(area);
     }
     
     // Control commands
     if (cmd.startsWith('turn on ')) {
       const entityName = cmd.replace('turn on ', '');
-      return await this.turnOn(entityName);
+      return await this.turnOn(entityName, context);
     }
     
     if (cmd.startsWith('turn off ')) {
       const entityName = cmd.replace('turn off ', '');
-      return await this.turnOff(entityName);
+      return await this.turnOff(entityName, context);
     }
     
     if (cmd.startsWith('toggle ')) {
       const entityName = cmd.replace('toggle ', '');
-      return await this.toggle(entityName);
+      return await this.toggle(entityName, context);
+    }
+    
+    if (cmd.startsWith('lock ')) {
+      const entityName = cmd.replace('lock ', '');
+      return await this.lock(entityName, context);
+    }
+    
+    if (cmd.startsWith('unlock ')) {
+      const entityName = cmd.replace('unlock ', '');
+      return await this.unlock(entityName, context);
+    }
+    
+    // Light colour, white and fades: "make the lamp red", "fade bedroom to 10% over 5 minutes"
+    const light = this.matchLightCommand(cmd);
+    if (light) {
+      return await this.setLight(light.name, light.settings, context);
+    }
+    
+    const effect = cmd.match(/^(?:set )?(.+?) effect (?:to )?(.+)$/);
+    if (effect) {
+      return await this.setLightEffect(effect[1], effect[2], context);
     }
     
     if (cmd.startsWith('dim ')) {
       const match = cmd.match(/dim (.+) to (\d+)%?/);
       if (match) {
-        return await this.setBrightness(match[1], parseInt(match[2]));
+        return await this.setBrightness(match[1], parseInt(match[2]), context);
+      }
+    }
+    
+    // Volume and fan speed before "set X to N", which would take "volume" or "speed" as part of the name
+    const volume = cmd.match(/^(?:set )?volume (?:to )?(\d+)\s*%?(?: (?:on|in|for) (.+))?$/);
+    if (volume) {
+      return await this.setVolume(volume[2] || '', parseInt(volume[1]), context);
+    }
+    
+    const playerVolume = cmd.match(/^(?:set )?(.+?) volume (?:to )?(\d+)\s*%?$/);
+    if (playerVolume) {
+      return await this.setVolume(playerVolume[1], parseInt(playerVolume[2]), context);
+    }
+    
+    const fanSpeed = cmd.match(/^(?:set )?(.+?) speed (?:to )?(\w+)\s*%?$/);
+    if (fanSpeed) {
+      return await this.setFanSpeed(fanSpeed[1], fanSpeed[2], context);
+    }
+    
+    // "set blinds to 40%" - position, fan speed, volume or brightness depending on the entity
+    const level = cmd.match(/^(?:set|move) (.+?) to (\d+)\s*%$/);
+    if (level) {
+      return await this.setLevel(level[1], parseInt(level[2]), context);
+    }
+    
+    // Climate
+    const climateSet = cmd.match(new RegExp(`^(?:set|change) (.+?) (?:to|at) ${TEMPERATURE}$`));
+    if (climateSet) {
+      return await this.setClimateTemperature(climateSet[1], parseFloat(climateSet[2]), null, context);
+    }
+    
+    const heatCool = cmd.match(new RegExp(`^(heat|cool) (.+?) to ${TEMPERATURE}$`));
+    if (heatCool) {
+      return await this.setClimateTemperature(heatCool[2], parseFloat(heatCool[3]), heatCool[1], context);
+    }
+    
+    const adjust = cmd.match(/^(?:make it )?(?:a bit |a little )?(warmer|hotter|cooler|colder)(?: (?:in |on )?(.+))?$/);
+    if (adjust) {
+      const direction = adjust[1] === 'warmer' || adjust[1] === 'hotter' ? 1 : -1;
+      return await this.adjustClimateTemperature(adjust[2] || '', direction, context);
+    }
+    
+    const fanMode = cmd.match(/^(.+?) fan mode (?:to )?([\w ]+)$/);
+    if (fanMode) {
+      return await this.setClimateFanMode(fanMode[1], fanMode[2], context);
+    }
+    
+    const hvacMode = cmd.match(/^(.+?) (?:hvac )?mode (?:to )?([\w ]+)$/);
+    if (hvacMode) {
+      return await this.setClimateMode(hvacMode[1], hvacMode[2], context);
+    }
+    
+    const preset = cmd.match(/^(.+?) preset (?:to )?([\w ]+)$/);
+    if (preset) {
+      return await this.setClimatePreset(preset[1], preset[2], context);
+    }
+    
+    // "thermostat eco", "thermostat off" - a mode or a preset
+    const shorthand = cmd.match(/^(?:the )?(thermostat|heating|ac|climate) (\w+)$/);
+    if (shorthand) {
+      return await this.setClimateMode(shorthand[1], shorthand[2], context);
+    }
+    
+    // Camera snapshots
+    const snapshot = cmd.match(/^(?:snapshot|snap|camera)\s+(.+)$/);
+    if (snapshot) {
+      return await this.snapshot(snapshot[1], context);
+    }
+    
+    // Alert subscriptions
+    if (cmd.startsWith('notify me ')) {
+      return await this.parseSubscription(cmd, context);
+    }
+    
+    if (cmd === 'my alerts' || cmd === 'alerts') {
+      return this.listSubscriptions(context);
+    }
+    
+    const stopAlert = cmd.match(/^(?:stop|delete|remove) alert (\d+)$/);
+    if (stopAlert) {
+      return this.removeSubscription(parseInt(stopAlert[1]), context);
+    }
+    
+    // History and statistics
+    const lastTime = cmd.match(/^when (?:was|did) (?:the )?(.+?) last (?:turned |switched |get )?(\w+)\??$/);
+    if (lastTime && HISTORY_WORDS[lastTime[2]]) {
+      return await this.getLastTime(lastTime[1], lastTime[2], context);
+    }
+    
+    const stateAt = cmd.match(/^what (?:was|were) (?:the )?(.+?)(?: (yesterday|today))? at (\d{1,2}(?::\d{2})?\s*(?:am|pm)?|noon|midnight)(?: (yesterday|today))?\??$/);
+    if (stateAt) {
+      return await this.getStateAt(stateAt[1], stateAt[3], stateAt[2] || stateAt[4] || null, context);
+    }
+    
+    const entityHistory = cmd.match(new RegExp(`^(?:history (?:of |for )?(?:the )?(.+?)|(?:the )?(.+?) history)(?: ${history.PERIOD})?\\??$`));
+    if (entityHistory) {
+      return await this.getEntityHistory(entityHistory[1] || entityHistory[2], entityHistory[3] || 'today', context);
+    }
+    
+    const stats = cmd.match(new RegExp(`^(?:min|max|minimum|maximum|avg|average|mean|min/max/avg|stats|statistics)(?: (?:of|for))? (?:the )?(.+?)(?: ${history.PERIOD})?\\??$`)) ||
+      cmd.match(new RegExp(`^(?:the )?(.+?) (?:stats|statistics)(?: ${history.PERIOD})?\\??$`));
+    if (stats) {
+      return await this.getStats(stats[1], stats[2] || 'last 24 hours', context);
+    }
+    
+    const graph = cmd.match(new RegExp(`^(?:graph|chart|plot) (?:of |for )?(?:the )?(.+?)(?: ${history.PERIOD})?$`));
+    if (graph) {
+      const [first, ...others] = graph[1].split(/\s*,\s*(?:and\s+)?|\s+and\s+(?:the\s+)?|\s+vs\.?\s+/);
+      return await this.graph(first, others, graph[2] || this.graphPeriod, context);
+    }
+    
+    const howLong = cmd.match(new RegExp(`^how long (?:was|were|did|has|have) (?:the )?(.+?) (?:been |stay |stayed )?(?:turned |switched )?(\\w+)(?: for)?(?: ${history.PERIOD})?\\??$`));
+    if (howLong && HISTORY_WORDS[howLong[2]] && HISTORY_WORDS[howLong[2]] !== 'changes') {
+      // "how long has the heater been on" is about now; with a period, the total
+      if (!howLong[3] && /^how long ha(?:s|ve) /.test(cmd)) {
+        return await this.getCurrentDuration(howLong[1], howLong[2], context);
       }
+      return await this.getTimeInState(howLong[1], howLong[2], howLong[3] || 'today', context);
+    }
+    
+    // Covers, media players, vacuums, scenes and scripts
+    const cover = cmd.match(/^(open|close|stop) (.+)$/);
+    if (cover && cover[1] !== 'stop' && this.isMultiTarget(cover[2])) {
+      return await this.controlEntities(`${cover[1]}_cover`, cover[2], context);
+    }
+    if (cover) {
+      return await this.runVerb(cover[2], cover[1], context);
+    }
+    
+    const media = cmd.match(/^(play|resume|pause|next|skip|previous|prev)(?: track| song)?(?:(?: on| in)? (.+))?$/);
+    if (media) {
+      return await this.runVerb(media[2] || '', VERB_ALIASES[media[1]] || media[1], context);
+    }
+    
+    const vacuum = cmd.match(/^(start|dock) (.+)$/);
+    if (vacuum) {
+      return await this.runVerb(vacuum[2], vacuum[1], context);
+    }
+    
+    const sendHome = cmd.match(/^send (.+?) (?:home|back|to (?:the |its )?(?:dock|base))$/);
+    if (sendHome) {
+      return await this.runVerb(sendHome[1], 'dock', context);
+    }
+    
+    const scene = cmd.match(/^(?:activate|scene) (?:the )?(?:scene )?(.+?)(?: scene)?$/);
+    if (scene) {
+      return await this.runVerb(scene[1], 'activate', context);
+    }
+    
+    const script = cmd.match(/^run (?:the )?(?:script )?(.+?)(?: script)?$/);
+    if (script) {
+      return await this.runVerb(script[1], 'run', context);
     }
     
     // Query commands
     if (cmd.startsWith('is ') && cmd.includes(' on')) {
       const entityName = cmd.replace('is ', '').replace(' on?', '').replace(' on', '');
-      return await this.getEntityStatus(entityName);
+      return await this.getEntityStatus(entityName, [], context);
     }
     
     if (cmd.startsWith('is ') && cmd.includes(' locked')) {
       const entityName = cmd.replace('is ', '').replace(' locked?', '').replace(' locked', '');
-      return await this.getEntityStatus(entityName);
+      return await this.getEntityStatus(entityName, ['lock'], context);
+    }
+    
+    // What cancelled an alarm code prompt may be a mistyped code, so it is neither echoed nor sent to Assist
+    if (mayBeCode) {
+      return '❓ I don\'t understand that - the alarm code prompt was cancelled. Send "code" and the code to enter one.\n\nType "help" for available commands.';
+    }
+    
+    // Anything else goes to HA Assist when enabled
+    if (this.assist && this.canUseAssist(context)) {
+      return await this.askAssist(text, context);
     }
     
     // Unknown command
-    return `❓ I don't understand: "${text}"\n\nType "help" for available commands.`;
+    return this.unknownCommand(text);
   }
 
-  getHelp() {
-    return `🏠 *Home Assistant Bot Commands*
-
-*Device Control:*
-• turn on [name] - Turn on lights, switches
-• turn off [name] - Turn off devices  
-• toggle [name] - Toggle a switch
-• dim [name] to [%]% - Set brightness
+  unknownCommand(text) {
+    return `❓ I don't understand: "${text}"\n\nType "help" for available commands.`;
+  }
 
-*Status:*
-• status - Full home summary
-• status [room] - Room-specific status
-• temperature - All temperature readings
-• locks - Lock status
+  // Without assist permission the fallback is simply not offered
+  canUseAssist(context) {
+    if (!this.permissions) return true;
+    return this.permissions.check(context.source, context.groupId || null, { command: 'assist' }).allowed;
+  }
 
-*Discovery:*
-• list lights - All lights
-• list switches - All switches
-• list [room] - Entities in room
+  // Relay free text to HA's conversation agent, continuing the conversation for follow-ups
+  async askAssist(text, context) {
+    const key = this.conversationKey(context);
+    const conversationId = this.assistConversations.get(key);
+    
+    let result;
+    try {
+      result = this.assist.pipelineId
+        ? await this.ha.runAssistPipeline(text, { pipelineId: this.assist.pipelineId, conversationId })
+        : await this.ha.processConversation(text, {
+          conversationId,
+          agentId: this.assist.agentId,
+          language: this.assist.language
+        });
+    } catch (err) {
+      logger.error(`Assist failed for "${text}": ${err.message}`);
+      return this.unknownCommand(text);
+    }
+    
+    if (result.conversationId) {
+      this.assistConversations.set(key, result.conversationId);
+    }
+    
+    logger.info(`Assist answered ${context.source}: ${result.responseType || 'no response type'}`);
+    if (!result.speech) {
+      return result.responseType === 'error' ? this.unknownCommand(text) : '✅ Done';
+    }
+    return `${result.responseType === 'error' ? '❓' : '💬'} ${result.speech}`;
+  }
 
-*Queries:*
-• is [name] on? - Check entity state
-• is [name] locked? - Check lock status`;
+  // Only lists what the house has (everything while the entity list isn't loaded)
+  getHelp() {
+    const domains = new Set(this.entityList.map(e => e.entity.entity_id.split('.')[0]));
+    const has = (...names) => domains.size === 0 || names.some(d => domains.has(d));
+    const section = (title, lines) => {
+      const shown = lines.filter(Boolean);
+      return shown.length > 0 ? `*${title}:*\n${shown.join('\n')}` : null;
+    };
+    
+    const sections = [
+      section('Device Control', [
+        '• turn on [name] - Turn on lights, switches',
+        '• turn off [name] - Turn off devices',
+        '• toggle [name] - Toggle a switch',
+        has('lock') && '• lock / unlock [name] - Control a lock',
+        has('light') && '• dim [name] to [%]% - Set brightness',
+        has('light') && '• turn off all lights in [room]',
+        '• turn off everything [room/floor]',
+        has('light') && '• turn on [room] and [room] lights',
+        has('lock') && '• lock all doors'
+      ]),
+      has('light') && section('Lights', [
+        '• make [light] red / #ff8800 / warm white / 2700k',
+        '• set [room] to blue at 50%',
+        '• fade [light/room] to 10% over 5 minutes',
+        '• [light] effect [name]'
+      ]),
+      has('cover') && section('Covers', [
+        '• open / close / stop [name]',
+        '• set [name] to [%]% - Position',
+        '• close all blinds'
+      ]),
+      has('media_player') && section('Media', [
+        '• play / pause / next / previous [player]',
+        '• volume [%] on [player]'
+      ]),
+      has('fan') && section('Fans', [
+        '• [fan] speed [%] - or low / medium / high / a preset'
+      ]),
+      has('scene', 'script') && section('Scenes & Scripts', [
+        has('scene') && '• activate scene [name]',
+        has('script') && '• run script [name]'
+      ]),
+      has('vacuum') && section('Vacuum', [
+        '• start / pause / stop [vacuum]',
+        '• dock [vacuum] - Send it home'
+      ]),
+      has('alarm_control_panel') && section('Alarm', [
+        '• arm away / arm home / arm night [panel]',
+        '• disarm [panel] - Asks for the code by DM if needed',
+        '• alarm - Alarm status'
+      ]),
+      has('climate') && section('Climate', [
+        '• set thermostat to 21 - Target temperature',
+        '• heat / cool [room/floor] to [temp]',
+        '• warmer / cooler [thermostat]',
+        '• thermostat mode [heat/cool/auto/off]',
+        '• thermostat [preset] - e.g. thermostat eco',
+        '• [thermostat] fan mode [mode]'
+      ]),
+      section('Status', [
+        '• status - Full home summary',
+        '• status [room] - Room-specific status',
+        '• temperature - All temperature readings',
+        '• digest - What is left on, open, unlocked or low on battery',
+        has('lock') && '• locks - Lock status'
+      ]),
+      section('Discovery', [
+        has('light') && '• list lights - All lights',
+        has('switch') && '• list switches - All switches',
+        '• list [room] - Entities in room'
+      ]),
+      section('Queries', [
+        '• is [name] on? - Check entity state',
+        has('lock') && '• is [name] locked? - Check lock status',
+        has('camera') && '• snapshot [camera] - Current camera image'
+      ]),
+      section('History', [
+        '• when was [name] last opened/on/unlocked',
+        '• what was [name] at 8am',
+        '• [name] history [today/yesterday/last 24h]',
+        '• min/max/avg [sensor] [period]',
+        '• how long was [name] on [period]',
+        '• graph [sensor] [and sensor...] [24h/7d] - Chart image'
+      ]),
+      section('Alerts', [
+        '• notify me when [name] opens/closes/turns on - Personal alert',
+        '• notify me if [name] above/below [value]',
+        '• my alerts - Your alerts',
+        '• stop alert [number] - Remove an alert'
+      ]),
+      this.scheduler && section('Schedules', [
+        '• in 45 minutes turn off [name]',
+        '• turn off [name] at 23:30',
+        '• every weekday at 6:30 turn on [name]',
+        '• my schedules - Your schedules',
+        '• cancel schedule [number] - Remove a schedule'
+      ]),
+      this.assist && '*Anything else* is passed to Home Assistant Assist, e.g. "add milk to the shopping list"'
+    ];
+    
+    return `🏠 *Home Assistant Bot Commands*\n\n${sections.filter(Boolean).join('\n\n')}`;
   }
 
   async getFullStatus() {
@@ -174,6 +981,8 @@ class CommandParser {
       const locks = states.filter(e => e.entity_id.startsWith('lock.'));
       const lockedLocks = locks.filter(e => e.state === 'locked').length;
       
+      const alarms = states.filter(e => e.entity_id.startsWith('alarm_control_panel.'));
+      
       const climate = states.filter(e => e.entity_id.startsWith('climate.'));
       const tempSensors = states.filter(e => e.entity_id.startsWith('sensor.') && e.attributes.unit_of_measurement === '°C' || e.attributes.unit_of_measurement === '°F');
       
@@ -184,26 +993,41 @@ class CommandParser {
         tempInfo = `, Climate: ${climateInfo.attributes.current_temperature}${unit} (target: ${climateInfo.attributes.temperature}${unit})`;
       }
       
+      const attention = this.attentionItems(states);
+      
       return `🏠 *Home Status*\n\n` +
         `• Lights: ${onLights}/${lights.length} on\n` +
         `• Switches: ${onSwitches}/${switches.length} on\n` +
-        `• Locks: ${lockedLocks}/${locks.length} locked${tempInfo}\n\n` +
-        `Type "list lights" or "status [room]" for details.`;
+        `• Locks: ${lockedLocks}/${locks.length} locked${tempInfo}\n` +
+        alarms.map(a => `• ${a.attributes.friendly_name || a.entity_id}: ${a.state.replace(/_/g, ' ')}\n`).join('') +
+        (attention.open.length > 0 ? `• Open: ${attention.open.join(', ')}\n` : '') +
+        (attention.batteries.length > 0 ? `• Low batteries: ${attention.batteries.length}\n` : '') +
+        `\n` +
+        `Type "list lights", "status [room]" or "digest" for details.`;
     } catch (err) {
       return `❌ Error getting status: ${err.message}`;
     }
   }
 
+  unknownAreaReply(area) {
+    const known = this.ha.listAreas().map(a => a.name);
+    if (!this.ha.registryLoaded || known.length === 0 || this.ha.findArea(area)) {
+      return `❓ No entities found in area: ${area}`;
+    }
+    return `❓ Unknown area: "${area}"\n\nKnown areas: ${known.join(', ')}`;
+  }
+
   async getAreaStatus(area) {
     try {
       const entities = await this.ha.getEntitiesByArea(area);
       
       if (entities.length === 0) {
-        return `❓ No entities found in area: ${area}`;
+        return this.unknownAreaReply(area);
       }
       
+      const areaName = this.ha.findArea(area)?.name || area;
       const summary = this.ha.getAreaStateSummary(entities);
-      let response = `🏠 *${area} Status*\n\n`;
+      let response = `🏠 *${areaName} Status*\n\n`;
       
       if (summary.lights.length > 0) {
         response += `*Lights:*\n`;
@@ -241,11 +1065,7 @@ class CommandParser {
 
   async getTemperatureSummary() {
     try {
-      const states = await this.ha.getStates();
-      const temps = states.filter(e => 
-        (e.entity_id.startsWith('sensor.') || e.entity_id.startsWith('climate.')) &&
-        (e.attributes.unit_of_measurement === '°C' || e.attributes.unit_of_measurement === '°F' || e.attributes.unit_of_measurement === '°')
-      );
+      const temps = this.temperatureReadings(await this.ha.getStates());
       
       if (temps.length === 0) {
         return `❓ No temperature sensors found`;
@@ -253,10 +1073,7 @@ class CommandParser {
       
       let response = `🌡️ *Temperature Readings*\n\n`;
       for (const temp of temps) {
-        const name = temp.attributes.friendly_name || temp.entity_id;
-        const unit = temp.attributes.unit_of_measurement || '';
-        const value = temp.state;
-        response += `• ${name}: ${value}${unit}\n`;
+        response += `• ${temp}\n`;
       }
       
       return response;
@@ -287,6 +1104,107 @@ class CommandParser {
     }
   }
 
+  // "Living Room: 21.3°C" for each temperature sensor and thermostat
+  temperatureReadings(states) {
+    return states
+      .filter(e =>
+        (e.entity_id.startsWith('sensor.') || e.entity_id.startsWith('climate.')) &&
+        (e.attributes.unit_of_measurement === '°C' || e.attributes.unit_of_measurement === '°F' || e.attributes.unit_of_measurement === '°')
+      )
+      .map(e => `${e.attributes.friendly_name || e.entity_id}: ${e.state}${e.attributes.unit_of_measurement || ''}`);
+  }
+
+  // What may need a look, by name: lights etc. left on, unlocked locks, open doors and windows,
+  // low batteries ("Hall Sensor (12%)") and unavailable entities. Hidden entities are left out.
+  attentionItems(states, batteryBelow = DEFAULT_BATTERY_THRESHOLD) {
+    const visible = states.filter(e => !this.ha.isHidden(e.entity_id));
+    const name = (e) => e.attributes.friendly_name || e.entity_id;
+    const domain = (e) => e.entity_id.split('.')[0];
+    
+    const lowBattery = (e) => {
+      if (e.attributes.device_class !== 'battery') return false;
+      if (domain(e) === 'binary_sensor') return e.state === 'on';
+      return domain(e) === 'sensor' && parseFloat(e.state) < batteryBelow;
+    };
+    
+    return {
+      left_on: visible.filter(e => (LEFT_ON_STATES[domain(e)] || []).includes(e.state)).map(name),
+      unlocked: visible
+        .filter(e => domain(e) === 'lock' && e.state !== 'locked' && e.state !== 'unavailable')
+        .map(e => (e.state === 'unlocked' ? name(e) : `${name(e)} (${e.state})`)),
+      open: visible.filter(e =>
+        (domain(e) === 'binary_sensor' && e.state === 'on' && OPENING_CLASSES.includes(e.attributes.device_class)) ||
+        (domain(e) === 'cover' && e.state === 'open' && OPENING_COVERS.includes(e.attributes.device_class))
+      ).map(name),
+      batteries: visible.filter(lowBattery).map(e => (domain(e) === 'sensor' ? `${name(e)} (${e.state}%)` : name(e))),
+      unavailable: visible.filter(e => e.state === 'unavailable').map(name)
+    };
+  }
+
+  // The home digest - on demand (everything, events of the last day) or for a configured digest
+  // options: { title, sections, batteryBelow, since }
+  async getDigest(options = {}) {
+    const sections = options.sections || ['temperatures', 'left_on', 'unlocked', 'open', 'batteries', 'unavailable', 'events'];
+    const now = Date.now();
+    const since = options.since || now - 24 * 60 * 60 * 1000;
+    
+    try {
+      const states = await this.ha.getStates();
+      const attention = this.attentionItems(states, options.batteryBelow);
+      const parts = [];
+      
+      if (sections.includes('temperatures')) {
+        const temps = this.temperatureReadings(states);
+        if (temps.length > 0) parts.push(`*🌡️ Temperatures:*\n${temps.map(t => `• ${t}`).join('\n')}`);
+      }
+      
+      const lists = [
+        ['left_on', '💡 Left on'],
+        ['unlocked', '🔓 Unlocked'],
+        ['open', '🚪 Open'],
+        ['batteries', '🔋 Low batteries']
+      ].filter(([key]) => sections.includes(key));
+      for (const [key, label] of lists) {
+        if (attention[key].length > 0) parts.push(`*${label}:* ${attention[key].join(', ')}`);
+      }
+      if (lists.length > 0 && lists.every(([key]) => attention[key].length === 0)) {
+        parts.push(`✅ Nothing left on, open or unlocked`);
+      }
+      
+      if (sections.includes('unavailable') && attention.unavailable.length > 0) {
+        const shown = attention.unavailable.slice(0, MAX_DIGEST_UNAVAILABLE);
+        const more = attention.unavailable.length - shown.length;
+        parts.push(`*⚠️ Unavailable (${attention.unavailable.length}):* ${shown.join(', ')}${more > 0 ? ` and ${more} more` : ''}`);
+      }
+      
+      if (sections.includes('events') && this.digests) {
+        const timeZone = await this.ha.getTimeZone();
+        
+        // Repeats in a row (motion...) become one line with a count
+        const events = [];
+        for (const event of this.digests.events(since)) {
+          const last = events[events.length - 1];
+          if (last && last.message === event.message) last.count++;
+          else events.push({ ...event, count: 1 });
+        }
+        
+        if (events.length > 0) {
+          const shown = events.slice(-MAX_DIGEST_EVENTS);
+          let text = `*📋 Since ${formatWhen(since, now, timeZone)}:*\n`;
+          if (events.length > shown.length) text += `...${events.length - shown.length} earlier\n`;
+          text += shown.map(e => `${formatWhen(e.time, now, timeZone)} ${e.message}${e.count > 1 ? ` ×${e.count}` : ''}`).join('\n');
+          parts.push(text);
+        } else {
+          parts.push(`*📋 Since ${formatWhen(since, now, timeZone)}:* nothing to report`);
+        }
+      }
+      
+      return `🏠 *${options.title || 'Home Digest'}*\n\n${parts.join('\n\n')}`;
+    } catch (err) {
+      return `❌ Error building digest: ${err.message}`;
+    }
+  }
+
   async listEntities(type) {
     try {
       const entities = await this.ha.getEntitiesByType(type);
@@ -322,10 +1240,11 @@ class CommandParser {
       const entities = await this.ha.getEntitiesByArea(area);
       
       if (entities.length === 0) {
-        return `❓ No entities found in: ${area}`;
+        return this.unknownAreaReply(area);
       }
       
-      let response = `*Entities in ${area}* (${entities.length}):\n\n`;
+      const areaName = this.ha.findArea(area)?.name || area;
+      let response = `*Entities in ${areaName}* (${entities.length}):\n\n`;
       
       // Group by domain
       const byDomain = {};
@@ -345,63 +1264,345 @@ class CommandParser {
     }
   }
 
-  async turnOn(name) {
-    const entity = this.findEntity(name);
-    
-    if (!entity) {
-      return `❓ Entity not found: "${name}"\n\nTry "list lights" or "list switches" to see available entities.`;
+  // Multi-entity targets: "all lights", "everything downstairs",
+  // "kitchen and hallway lights", "desk lamp and porch light"
+  parseTargets(phrase) {
+    let text = phrase.trim().replace(/^the\s+/, '');
+    const quantified = /^(all|every|everything)\b/.test(text);
+    const everything = /^everything\b/.test(text);
+    text = text.replace(/^(everything|every|all)\b\s*(the\s+)?/, '');
+
+    let location = null;
+    const locationMatch = text.match(/(?:^|\s)(?:in|on|at)\s+(?:the\s+)?(.+)$/);
+    if (locationMatch) {
+      location = locationMatch[1].trim();
+      text = text.slice(0, locationMatch.index).trim();
     }
-    
-    try {
-      await this.ha.turnOn(entity.entity_id);
-      return `✅ Turned on: ${entity.attributes.friendly_name || entity.entity_id}`;
-    } catch (err) {
-      return `❌ Failed to turn on ${entity.attributes.friendly_name || entity.entity_id}: ${err.message}`;
+
+    const parts = text.split(/\s*(?:,|\band\b|&)\s*/).map(p => p.trim()).filter(Boolean);
+
+    // A trailing plural applies to every part ("kitchen and hallway lights")
+    let domains = null;
+    if (parts.length > 0) {
+      const words = parts[parts.length - 1].split(/\s+/);
+      const last = words[words.length - 1];
+      if (DOMAIN_WORDS[last]) {
+        domains = DOMAIN_WORDS[last];
+        parts[parts.length - 1] = words.slice(0, -1).join(' ');
+      }
     }
+
+    return {
+      quantified,
+      everything,
+      domains,
+      location,
+      parts: parts.filter(Boolean)
+    };
   }
 
-  async turnOff(name) {
-    const entity = this.findEntity(name);
-    
-    if (!entity) {
-      return `❓ Entity not found: "${name}"`;
-    }
-    
-    try {
-      await this.ha.turnOff(entity.entity_id);
-      return `✅ Turned off: ${entity.attributes.friendly_name || entity.entity_id}`;
-    } catch (err) {
-      return `❌ Failed to turn off: ${err.message}`;
-    }
+  isMultiTarget(phrase) {
+    const { quantified, domains, location, parts } = this.parseTargets(phrase);
+    if (quantified || parts.length > 1) return true;
+    if (!domains) return false;
+
+    // "lights" or "kitchen lights" - but not "desk lamp lights"
+    const place = location || parts[0];
+    return !place || !!(this.ha.findArea(place) || this.ha.findFloor(place));
   }
 
-  async toggle(name) {
-    const entity = this.findEntity(name);
-    
+  // Returns { entities } or { reply } explaining what could not be resolved
+  async resolveTargets(phrase, action) {
+    const { everything, domains, location, parts } = this.parseTargets(phrase);
+    const states = await this.ha.getStates();
+
+    const base = domains || (everything && action.domain === 'homeassistant' ? EVERYTHING_DOMAINS : action.domains);
+    const allowed = new Set(base.filter(d => action.domains.includes(d)));
+    const inScope = (e) => allowed.has(e.entity_id.split('.')[0]) && !this.ha.isHidden(e.entity_id);
+
+    const areaIdsFor = (place) => {
+      const area = this.ha.findArea(place);
+      if (area) return [area.area_id];
+      const floor = this.ha.findFloor(place);
+      if (floor) return this.ha.getAreasOnFloor(floor.floor_id).map(a => a.area_id);
+      return null;
+    };
+
+    let locationAreas = null;
+    if (location) {
+      locationAreas = areaIdsFor(location);
+      if (!locationAreas) {
+        return { reply: this.unknownAreaReply(location) };
+      }
+    }
+
+    const selected = new Map();
+    const add = (e) => selected.set(e.entity_id, e);
+
+    if (parts.length === 0) {
+      // "all lights" or "everything in the kitchen"
+      states.filter(inScope)
+        .filter(e => !locationAreas || locationAreas.includes(this.ha.getAreaId(e.entity_id)))
+        .forEach(add);
+    }
+
+    for (const part of parts) {
+      const areaIds = areaIdsFor(part);
+      if (areaIds) {
+        states.filter(inScope).filter(e => areaIds.includes(this.ha.getAreaId(e.entity_id))).forEach(add);
+        continue;
+      }
+
+      const { best, candidates } = rankEntities(part, this.entityList, {
+        domains: [...allowed],
+        hints: domains || []
+      });
+      if (!best) {
+        if (candidates.length === 0) {
+          return { reply: `❓ Entity not found: "${part}"` };
+        }
+        const names = candidates.slice(0, MAX_CHOICES).map(e => e.attributes.friendly_name || e.entity_id);
+        return { reply: `🤔 "${part}" could be ${names.join(', ')} - please be more specific` };
+      }
+      add(states.find(e => e.entity_id === best.entity_id) || best);
+    }
+
+    if (selected.size === 0) {
+      return { reply: `❓ Nothing to control for "${phrase}"` };
+    }
+
+    return { entities: [...selected.values()] };
+  }
+
+  async controlEntities(actionKey, phrase, context) {
+    const action = ACTIONS[actionKey];
+    const resolved = await this.resolveTargets(phrase, action);
+
+    if (!resolved.entities) {
+      return resolved.reply;
+    }
+
+    // Leave out entities that can't do it rather than failing the whole call
+    const entities = resolved.entities.filter(e => !action.feature || this.supports(e, action.feature));
+    const unsupported = resolved.entities.filter(e => !entities.includes(e));
+    if (entities.length === 0) {
+      const names = unsupported.map(e => e.attributes.friendly_name || e.entity_id);
+      return `❌ Can't ${action.verb}: ${names.join(', ')}`;
+    }
+
+    if (this.permissions) {
+      const denied = entities.filter(entity => this.authorize(context, 'control', { entity }));
+      if (denied.length > 0) {
+        const names = denied.map(e => e.attributes.friendly_name || e.entity_id);
+        return `🚫 You are not allowed to control: ${names.join(', ')}\n\nNothing was changed.`;
+      }
+    }
+
+    const ids = entities.map(e => e.entity_id);
+    const confirm = this.confirmIfSensitive(context, action.domain, action.service, entities, {
+      method: 'controlEntities',
+      args: [actionKey, ids.join(', ')]
+    });
+    if (confirm) return confirm;
+
+    const before = new Map(entities.map(e => [e.entity_id, e.state]));
+
+    try {
+      await this.ha.callService(action.domain, action.service, { entity_id: ids });
+    } catch (err) {
+      return `❌ Failed to ${action.verb} ${ids.length} entities: ${err.message}`;
+    }
+
+    // Check each entity's new state to report per-entity results, giving slow devices a moment
+    const after = new Map();
+    await Promise.all(ids.map(async (id) => {
+      try {
+        const current = await this.waitForState(id, state => state === 'unavailable' || action.done(state, before.get(id)), CONTROL_SETTLE_TIME);
+        if (current) after.set(id, current);
+      } catch (err) {
+        logger.warn(`Could not verify the state of ${id} after service call:`, err.message);
+      }
+    }));
+
+    const lines = [];
+    let succeeded = 0;
+    for (const entity of entities) {
+      const name = entity.attributes.friendly_name || entity.entity_id;
+      const current = after.get(entity.entity_id);
+
+      if (!current) {
+        lines.push(`❔ ${name}`);
+      } else if (current.state === 'unavailable') {
+        lines.push(`❌ ${name} (unavailable)`);
+      } else if (action.done(current.state, before.get(entity.entity_id))) {
+        lines.push(`✅ ${name}`);
+        succeeded++;
+      } else {
+        lines.push(`⚠️ ${name} (still ${current.state})`);
+      }
+    }
+
+    for (const entity of unsupported) {
+      lines.push(`➖ ${entity.attributes.friendly_name || entity.entity_id} (can't ${action.verb})`);
+    }
+
+    let response = `${succeeded === entities.length ? '✅' : '⚠️'} ${action.label} ${succeeded}/${entities.length}:\n\n`;
+    response += lines.slice(0, MAX_RESULT_LINES).join('\n');
+    if (lines.length > MAX_RESULT_LINES) {
+      response += `\n...and ${lines.length - MAX_RESULT_LINES} more`;
+    }
+    return response;
+  }
+
+  async turnOn(name, context) {
+    if (this.isMultiTarget(name)) {
+      return await this.controlEntities('turn_on', name, context);
+    }
+    
+    const { entity, reply } = this.resolveEntity(name, context, {
+      domains: CONTROLLABLE_DOMAINS,
+      method: 'turnOn',
+      args: [name],
+      notFound: `❓ Entity not found: "${name}"\n\nTry "list lights" or "list switches" to see available entities.`
+    });
+    
+    if (!entity) {
+      return reply;
+    }
+    
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return denied;
+    
+    const confirm = this.confirmIfSensitive(context, 'homeassistant', 'turn_on', [entity], { method: 'turnOn', args: [entity.entity_id] });
+    if (confirm) return confirm;
+    
+    try {
+      await this.ha.turnOn(entity.entity_id);
+      return `✅ Turned on: ${entity.attributes.friendly_name || entity.entity_id}`;
+    } catch (err) {
+      return `❌ Failed to turn on ${entity.attributes.friendly_name || entity.entity_id}: ${err.message}`;
+    }
+  }
+
+  async turnOff(name, context) {
+    if (this.isMultiTarget(name)) {
+      return await this.controlEntities('turn_off', name, context);
+    }
+    
+    const { entity, reply } = this.resolveEntity(name, context, {
+      domains: CONTROLLABLE_DOMAINS,
+      method: 'turnOff',
+      args: [name]
+    });
+    
+    if (!entity) {
+      return reply;
+    }
+    
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return denied;
+    
+    const confirm = this.confirmIfSensitive(context, 'homeassistant', 'turn_off', [entity], { method: 'turnOff', args: [entity.entity_id] });
+    if (confirm) return confirm;
+    
+    try {
+      await this.ha.turnOff(entity.entity_id);
+      return `✅ Turned off: ${entity.attributes.friendly_name || entity.entity_id}`;
+    } catch (err) {
+      return `❌ Failed to turn off: ${err.message}`;
+    }
+  }
+
+  async toggle(name, context) {
+    if (this.isMultiTarget(name)) {
+      return await this.controlEntities('toggle', name, context);
+    }
+    
+    const { entity, reply } = this.resolveEntity(name, context, {
+      domains: CONTROLLABLE_DOMAINS,
+      method: 'toggle',
+      args: [name]
+    });
+    
     if (!entity) {
-      return `❓ Entity not found: "${name}"`;
+      return reply;
     }
     
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return denied;
+    
+    const confirm = this.confirmIfSensitive(context, 'homeassistant', 'toggle', [entity], { method: 'toggle', args: [entity.entity_id] });
+    if (confirm) return confirm;
+    
     try {
       await this.ha.toggle(entity.entity_id);
-      const newState = entity.state === 'on' ? 'off' : 'on';
+      const current = await this.waitForChange(entity.entity_id, entity.state, CONTROL_SETTLE_TIME);
+      const newState = current && current.state !== entity.state
+        ? current.state
+        : (entity.state === 'on' ? 'off' : 'on');
       return `🔄 Toggled ${entity.attributes.friendly_name || entity.entity_id} to ${newState}`;
     } catch (err) {
       return `❌ Failed to toggle: ${err.message}`;
     }
   }
 
-  async setBrightness(name, level) {
-    const entity = this.findEntity(name);
+  async lock(name, context) {
+    return await this.lockAction('lock', name, context);
+  }
+
+  async unlock(name, context) {
+    return await this.lockAction('unlock', name, context);
+  }
+
+  async lockAction(actionKey, name, context) {
+    if (this.isMultiTarget(name)) {
+      return await this.controlEntities(actionKey, name, context);
+    }
+    
+    const { entity, reply } = this.resolveEntity(name, context, {
+      domains: ['lock'],
+      method: actionKey,
+      args: [name],
+      notFound: `❓ Lock not found: "${name}"`
+    });
     
     if (!entity) {
-      return `❓ Light not found: "${name}"`;
+      return reply;
+    }
+    
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return denied;
+    
+    const confirm = this.confirmIfSensitive(context, 'lock', actionKey, [entity], { method: actionKey, args: [entity.entity_id] });
+    if (confirm) return confirm;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    try {
+      await this.ha.callService('lock', actionKey, { entity_id: entity.entity_id });
+      return actionKey === 'lock' ? `🔒 Locked: ${friendly}` : `🔓 Unlocked: ${friendly}`;
+    } catch (err) {
+      return `❌ Failed to ${actionKey} ${friendly}: ${err.message}`;
     }
+  }
+
+  async setBrightness(name, level, context) {
+    const { entity, reply } = this.resolveEntity(name, context, {
+      domains: ['light'],
+      method: 'setBrightness',
+      args: [name, level],
+      notFound: `❓ Light not found: "${name}"`
+    });
     
-    if (!entity.entity_id.startsWith('light.')) {
-      return `❌ "${name}" is not a dimmable light`;
+    if (!entity) {
+      return reply;
     }
     
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return denied;
+    
+    const confirm = this.confirmIfSensitive(context, 'light', 'turn_on', [entity], { method: 'setBrightness', args: [entity.entity_id, level] });
+    if (confirm) return confirm;
+    
     try {
       await this.ha.setBrightness(entity.entity_id, level);
       return `💡 Set ${entity.attributes.friendly_name || entity.entity_id} to ${level}% brightness`;
@@ -410,13 +1611,765 @@ class CommandParser {
     }
   }
 
-  async getEntityStatus(name) {
-    const entity = this.findEntity(name);
+  // "set|make|turn|fade|dim <lights> <settings>" - returns { name, settings } or null.
+  // A plain percentage is left to dim / "set X to 40%" unless it fades.
+  matchLightCommand(cmd) {
+    const match = cmd.match(/^(set|make|turn|fade|dim|change) (.+)$/);
+    if (!match) return null;
+    
+    const words = match[2].split(' ');
+    for (let i = 1; i < words.length; i++) {
+      const settings = parseLightSettings(words.slice(i).join(' '));
+      if (!settings) continue;
+      if (!settings.color && !settings.transition && match[1] !== 'fade') return null;
+      
+      const name = words.slice(0, i).join(' ');
+      const isLight = this.isMultiTarget(name) || this.ha.findArea(name) || this.ha.findFloor(name) ||
+        rankEntities(name, this.entityList, { domains: ['light'] }).candidates.length > 0;
+      return isLight ? { name, settings } : null;
+    }
+    return null;
+  }
+
+  // Why a light can't take these settings, or null when it can
+  lightProblem(entity, settings) {
+    const attrs = entity.attributes;
+    if (settings.transition && !((attrs.supported_features || 0) & LIGHT_FEATURES.TRANSITION)) {
+      return "can't fade";
+    }
+    
+    // Unavailable lights don't report their modes - let HA decide
+    const modes = attrs.supported_color_modes;
+    if (!modes) return null;
+    
+    const hasColor = modes.some(m => COLOR_MODES.includes(m));
+    const color = settings.color;
+    if (color && color.rgb && !hasColor) {
+      return "can't change colour";
+    }
+    if (color && color.kelvin) {
+      if (!hasColor && !modes.includes('color_temp')) {
+        return "can't change its white";
+      }
+      const min = attrs.min_color_temp_kelvin;
+      const max = attrs.max_color_temp_kelvin;
+      if (modes.includes('color_temp') && min && max && (color.kelvin < min || color.kelvin > max)) {
+        return `only does ${min}K to ${max}K`;
+      }
+    }
+    if (settings.brightness !== undefined && modes.every(m => m === 'onoff')) {
+      return "can't be dimmed";
+    }
+    return null;
+  }
+
+  // Colour, white temperature, brightness and transition for one light, a room or several
+  async setLight(name, settings, context) {
+    let lights;
+    if (this.isMultiTarget(name) || this.ha.findArea(name) || this.ha.findFloor(name)) {
+      const { entities, reply } = await this.resolveTargets(name, { domain: 'light', domains: ['light'] });
+      if (!entities) return reply;
+      lights = entities;
+    } else {
+      const { entity, reply } = this.resolveEntity(name, context, {
+        domains: ['light'],
+        method: 'setLight',
+        args: [name, settings],
+        notFound: `❓ Light not found: "${name}"`
+      });
+      if (!entity) return reply;
+      lights = [entity];
+    }
+    
+    if (this.permissions) {
+      const denied = lights.filter(entity => this.authorize(context, 'control', { entity }));
+      if (denied.length > 0) {
+        const names = denied.map(e => e.attributes.friendly_name || e.entity_id);
+        return `🚫 You are not allowed to control: ${names.join(', ')}\n\nNothing was changed.`;
+      }
+    }
+    
+    const ids = lights.map(e => e.entity_id);
+    const confirm = this.confirmIfSensitive(context, 'light', 'turn_on', lights, {
+      method: 'setLight',
+      args: [ids.join(', '), settings]
+    });
+    if (confirm) return confirm;
+    
+    const description = describeLightSettings(settings);
+    const skipped = lights.map(e => [e, this.lightProblem(e, settings)]).filter(([, problem]) => problem);
+    const able = lights.filter(e => !skipped.some(([s]) => s === e));
+    const skippedLines = skipped.map(([e, problem]) => `➖ ${e.attributes.friendly_name || e.entity_id} ${problem}`);
+    
+    if (able.length === 0) {
+      if (lights.length === 1) {
+        return `❌ ${lights[0].attributes.friendly_name || lights[0].entity_id} ${skipped[0][1]}`;
+      }
+      return `❌ None of those lights can do ${description}:\n\n${skippedLines.join('\n')}`;
+    }
+    
+    const data = {};
+    if (settings.color && settings.color.rgb) data.rgb_color = settings.color.rgb;
+    if (settings.color && settings.color.kelvin) data.color_temp_kelvin = settings.color.kelvin;
+    if (settings.brightness !== undefined) data.brightness_pct = settings.brightness;
+    if (settings.transition) data.transition = settings.transition;
+    
+    const target = able.length === 1 ? able[0].attributes.friendly_name || able[0].entity_id : `${able.length} lights`;
+    try {
+      await this.ha.setLight(able.map(e => e.entity_id), data);
+    } catch (err) {
+      return `❌ Failed to set ${target}: ${err.message}`;
+    }
+    
+    let response = `💡 ${settings.transition ? 'Fading' : 'Set'} ${target} to ${description}`;
+    if (skippedLines.length > 0) {
+      response += `\n\n${skippedLines.slice(0, MAX_RESULT_LINES).join('\n')}`;
+    }
+    return response;
+  }
+
+  async setLightEffect(name, effect, context) {
+    const { entity, reply } = this.resolveEntity(name, context, {
+      domains: ['light'],
+      method: 'setLightEffect',
+      args: [name, effect],
+      notFound: `❓ Light not found: "${name}"`
+    });
+    
+    if (!entity) {
+      return reply;
+    }
+    
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return denied;
+    
+    const attrs = entity.attributes;
+    const friendly = attrs.friendly_name || entity.entity_id;
+    if (!((attrs.supported_features || 0) & LIGHT_FEATURES.EFFECT) || !(attrs.effect_list || []).length) {
+      return `❌ ${friendly} has no effects`;
+    }
+    
+    const wanted = effect.trim().toLowerCase().replace(/[\s_]+/g, ' ');
+    const match = attrs.effect_list.find(e => e.toLowerCase().replace(/[\s_]+/g, ' ') === wanted);
+    if (!match) {
+      return `❓ ${friendly} has no "${effect}" effect\nEffects: ${attrs.effect_list.join(', ')}`;
+    }
+    
+    const confirm = this.confirmIfSensitive(context, 'light', 'turn_on', [entity], { method: 'setLightEffect', args: [entity.entity_id, match] });
+    if (confirm) return confirm;
+    
+    try {
+      await this.ha.setLight(entity.entity_id, { effect: match });
+      return `✨ ${friendly} effect set to ${match}`;
+    } catch (err) {
+      return `❌ Failed to set effect: ${err.message}`;
+    }
+  }
+
+  // Entity of some domains by name, area or floor. A generic name ("thermostat", "the tv")
+  // works when there's only one - or only one in an `active` state ("pause" the one playing)
+  resolveInDomains(name, context, { domains, active, method, args, none, notFound }) {
+    const all = this.entityList
+      .map(e => this.ha.getMirroredState(e.entity.entity_id) || e.entity)
+      .filter(e => domains.includes(e.entity_id.split('.')[0]) && !this.ha.isHidden(e.entity_id));
+    
+    if (all.length === 0) {
+      return { reply: none };
+    }
+    
+    const generic = (e) => {
+      const pattern = GENERIC_NAMES[e.entity_id.split('.')[0]];
+      return !!pattern && pattern.test(name.trim());
+    };
+    
+    let candidates = null;
+    if (all.some(generic)) {
+      candidates = all.filter(generic);
+    } else {
+      const area = this.ha.findArea(name);
+      const floor = area ? null : this.ha.findFloor(name);
+      const areaIds = area ? [area.area_id] : floor ? this.ha.getAreasOnFloor(floor.floor_id).map(a => a.area_id) : null;
+      if (areaIds) {
+        candidates = all.filter(e => areaIds.includes(this.ha.getAreaId(e.entity_id)));
+      }
+    }
+    
+    if (candidates && candidates.length > 1 && active) {
+      const busy = candidates.filter(e => active.includes(e.state));
+      if (busy.length === 1) candidates = busy;
+    }
+    
+    if (candidates && candidates.length === 1) {
+      return { entity: candidates[0] };
+    }
+    if (candidates && candidates.length > 1) {
+      return { reply: this.offerChoices(context, candidates, { method, args }) };
+    }
+    
+    return this.resolveEntity(name, context, { domains, method, args, notFound });
+  }
+
+  resolveClimate(name, context, { method, args }) {
+    return this.resolveInDomains(name, context, {
+      domains: ['climate'],
+      method,
+      args,
+      none: '❓ No thermostats found',
+      notFound: `❓ Thermostat not found: "${name}"`
+    });
+  }
+
+  supports(entity, feature) {
+    return feature === null || ((entity.attributes.supported_features || 0) & feature) !== 0;
+  }
+
+  // open/close/stop, play/pause/next, start/dock, activate (scenes), run (scripts)
+  async runVerb(name, verb, context) {
+    const { services, active, reply: done } = VERBS[verb];
+    const { entity, reply } = this.resolveInDomains(name, context, {
+      domains: Object.keys(services),
+      active,
+      method: 'runVerb',
+      args: [name, verb],
+      none: `❓ Nothing here can ${verb}`,
+      notFound: `❓ Nothing to ${verb} called "${name}"`
+    });
+    
+    if (!entity) {
+      return reply;
+    }
+    
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return denied;
+    
+    const domain = entity.entity_id.split('.')[0];
+    const [service, feature] = services[domain];
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    if (!this.supports(entity, feature)) {
+      return `❌ ${friendly} doesn't support "${verb}"`;
+    }
+    
+    const confirm = this.confirmIfSensitive(context, domain, service, [entity], { method: 'runVerb', args: [entity.entity_id, verb] });
+    if (confirm) return confirm;
+    
+    try {
+      await this.ha.callService(domain, service, { entity_id: entity.entity_id });
+      return `${done} ${friendly}`;
+    } catch (err) {
+      return `❌ Failed to ${verb} ${friendly}: ${err.message}`;
+    }
+  }
+
+  // "set X to 40%" means whatever a percentage means for the entity
+  async setLevel(name, level, context) {
+    const { entity, reply } = this.resolveEntity(name, context, {
+      domains: ['cover', 'fan', 'media_player', 'light'],
+      method: 'setLevel',
+      args: [name, level]
+    });
     
     if (!entity) {
-      return `❓ Entity not found: "${name}"`;
+      return reply;
+    }
+    
+    switch (entity.entity_id.split('.')[0]) {
+      case 'cover': return await this.setCoverPosition(entity.entity_id, level, context);
+      case 'fan': return await this.setFanSpeed(entity.entity_id, String(level), context);
+      case 'media_player': return await this.setVolume(entity.entity_id, level, context);
+      default: return await this.setBrightness(entity.entity_id, level, context);
+    }
+  }
+
+  // Resolve, authorize, check the feature and confirm a service call with a value;
+  // returns { entity } or { reply }
+  levelTarget(name, domain, service, context, { method, args, feature, unsupported, active }) {
+    const resolved = this.resolveInDomains(name, context, {
+      domains: [domain],
+      active,
+      method,
+      args: [name, ...args],
+      none: `❓ No ${domain.replace('_', ' ')}s found`,
+      notFound: `❓ Not found: "${name}"`
+    });
+    if (!resolved.entity) return resolved;
+    
+    const entity = resolved.entity;
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return { reply: denied };
+    
+    if (feature !== undefined && !this.supports(entity, feature)) {
+      return { reply: `❌ ${entity.attributes.friendly_name || entity.entity_id} ${unsupported}` };
+    }
+    
+    const confirm = this.confirmIfSensitive(context, domain, service, [entity], {
+      method,
+      args: [entity.entity_id, ...args]
+    });
+    if (confirm) return { reply: confirm };
+    
+    return { entity };
+  }
+
+  async setCoverPosition(name, position, context) {
+    if (position > 100) {
+      return `❓ Position must be between 0 and 100%`;
+    }
+    
+    // A garage door at 40% is an open garage door
+    const service = position > 0 ? 'open_cover' : 'close_cover';
+    const { entity, reply } = this.levelTarget(name, 'cover', service, context, {
+      method: 'setCoverPosition',
+      args: [position],
+      feature: COVER_FEATURES.SET_POSITION,
+      unsupported: `can only open and close, not move to ${position}%`
+    });
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    try {
+      await this.ha.callService('cover', 'set_cover_position', { entity_id: entity.entity_id, position });
+      return `🪟 Moving ${friendly} to ${position}%`;
+    } catch (err) {
+      return `❌ Failed to move ${friendly}: ${err.message}`;
+    }
+  }
+
+  async setVolume(name, level, context) {
+    if (level > 100) {
+      return `❓ Volume must be between 0 and 100%`;
+    }
+    
+    const { entity, reply } = this.levelTarget(name, 'media_player', 'volume_set', context, {
+      method: 'setVolume',
+      args: [level],
+      active: ['playing'],
+      feature: MEDIA_FEATURES.VOLUME_SET,
+      unsupported: `doesn't support setting the volume`
+    });
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    try {
+      await this.ha.callService('media_player', 'volume_set', { entity_id: entity.entity_id, volume_level: level / 100 });
+      return `🔊 ${friendly} volume set to ${level}%`;
+    } catch (err) {
+      return `❌ Failed to set volume: ${err.message}`;
+    }
+  }
+
+  // A percentage, one of the fan's presets, or low/medium/high
+  async setFanSpeed(name, speed, context) {
+    const { entity, reply } = this.levelTarget(name, 'fan', 'set_percentage', context, {
+      method: 'setFanSpeed',
+      args: [speed]
+    });
+    if (!entity) return reply;
+    
+    const attrs = entity.attributes;
+    const friendly = attrs.friendly_name || entity.entity_id;
+    const features = attrs.supported_features || 0;
+    const preset = /^\d+$/.test(speed) ? null : this.findMode(attrs.preset_modes, speed);
+    const percentage = /^\d+$/.test(speed) ? parseInt(speed) : preset ? null : FAN_SPEEDS[speed];
+    
+    let service, data;
+    if (preset && features & FAN_FEATURES.PRESET_MODE) {
+      service = 'set_preset_mode';
+      data = { preset_mode: preset };
+    } else if (percentage !== undefined && percentage !== null && features & FAN_FEATURES.SET_SPEED) {
+      if (percentage > 100) {
+        return `❓ Fan speed must be between 0 and 100%`;
+      }
+      service = 'set_percentage';
+      data = { percentage };
+    } else if (!(features & (FAN_FEATURES.SET_SPEED | FAN_FEATURES.PRESET_MODE))) {
+      return `❌ ${friendly} only turns on and off`;
+    } else {
+      const presets = attrs.preset_modes && attrs.preset_modes.length ? `\nPresets: ${attrs.preset_modes.join(', ')}` : '';
+      return `❓ ${friendly} has no "${speed}" speed${features & FAN_FEATURES.SET_SPEED ? '\nTry a percentage, e.g. 50%' : ''}${presets}`;
+    }
+    
+    try {
+      await this.ha.callService('fan', service, { entity_id: entity.entity_id, ...data });
+      return `🌀 ${friendly} speed set to ${preset || `${percentage}%`}`;
+    } catch (err) {
+      return `❌ Failed to set fan speed: ${err.message}`;
+    }
+  }
+
+  // Resolve, authorize and confirm a climate service call; returns { entity } or { reply }
+  climateTarget(name, service, context, { method, args }) {
+    const resolved = this.resolveClimate(name, context, { method, args: [name, ...args] });
+    if (!resolved.entity) return resolved;
+    
+    const entity = resolved.entity;
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return { reply: denied };
+    
+    const confirm = this.confirmIfSensitive(context, 'climate', service, [entity], {
+      method,
+      args: [entity.entity_id, ...args]
+    });
+    if (confirm) return { reply: confirm };
+    
+    return { entity };
+  }
+
+  formatTemperature(value, unit) {
+    return value === undefined || value === null ? 'unknown' : `${value}${unit}`;
+  }
+
+  async setClimateTemperature(name, temperature, hvacMode, context) {
+    const { entity, reply } = this.climateTarget(name, 'set_temperature', context, {
+      method: 'setClimateTemperature',
+      args: [temperature, hvacMode]
+    });
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    const attrs = entity.attributes;
+    const features = attrs.supported_features || 0;
+    const unit = await this.ha.getTemperatureUnit();
+    
+    if (!(features & CLIMATE_FEATURES.TARGET_TEMPERATURE)) {
+      if (features & CLIMATE_FEATURES.TARGET_TEMPERATURE_RANGE) {
+        return `❌ ${friendly} only takes a low/high temperature range`;
+      }
+      return `❌ ${friendly} doesn't support setting a temperature`;
+    }
+    
+    if ((attrs.min_temp !== undefined && temperature < attrs.min_temp) ||
+        (attrs.max_temp !== undefined && temperature > attrs.max_temp)) {
+      return `❌ ${friendly} accepts ${this.formatTemperature(attrs.min_temp, unit)} to ${this.formatTemperature(attrs.max_temp, unit)}, not ${temperature}${unit}`;
+    }
+    
+    if (hvacMode && !(attrs.hvac_modes || []).includes(hvacMode)) {
+      return `❌ ${friendly} can't ${hvacMode} (modes: ${(attrs.hvac_modes || []).join(', ') || 'none'})`;
+    }
+    
+    try {
+      await this.ha.setTemperature(entity.entity_id, temperature, hvacMode);
+      const mode = hvacMode ? ` and ${hvacMode === 'heat' ? 'heating' : 'cooling'}` : '';
+      const current = attrs.current_temperature !== undefined ? ` (currently ${this.formatTemperature(attrs.current_temperature, unit)})` : '';
+      return `🌡️ ${friendly} set to ${temperature}${unit}${mode}${current}`;
+    } catch (err) {
+      return `❌ Failed to set temperature: ${err.message}`;
+    }
+  }
+
+  async adjustClimateTemperature(name, direction, context) {
+    const resolved = this.resolveClimate(name, context, { method: 'adjustClimateTemperature', args: [name, direction] });
+    if (!resolved.entity) return resolved.reply;
+    
+    const attrs = resolved.entity.attributes;
+    const friendly = attrs.friendly_name || resolved.entity.entity_id;
+    if (attrs.temperature === undefined || attrs.temperature === null) {
+      return `❌ ${friendly} has no target temperature to change`;
+    }
+    
+    const step = Math.max(1, attrs.target_temp_step || 1);
+    let target = attrs.temperature + direction * step;
+    if (attrs.min_temp !== undefined) target = Math.max(attrs.min_temp, target);
+    if (attrs.max_temp !== undefined) target = Math.min(attrs.max_temp, target);
+    
+    if (target === attrs.temperature) {
+      const unit = await this.ha.getTemperatureUnit();
+      return `🌡️ ${friendly} is already at its ${direction > 0 ? 'maximum' : 'minimum'} (${this.formatTemperature(target, unit)})`;
+    }
+    
+    return await this.setClimateTemperature(resolved.entity.entity_id, target, null, context);
+  }
+
+  // Case-insensitive lookup in an entity's list of modes ("heat cool" -> "heat_cool")
+  findMode(modes, value) {
+    const wanted = value.trim().toLowerCase().replace(/\s+/g, '_');
+    return (modes || []).find(m => m.toLowerCase() === wanted) || null;
+  }
+
+  // HVAC mode, or a preset when the word isn't a mode ("thermostat eco")
+  async setClimateMode(name, mode, context) {
+    const resolved = this.resolveClimate(name, context, { method: 'setClimateMode', args: [name, mode] });
+    if (!resolved.entity) return resolved.reply;
+    
+    const attrs = resolved.entity.attributes;
+    const hvacMode = this.findMode(attrs.hvac_modes, mode);
+    if (!hvacMode && this.findMode(attrs.preset_modes, mode)) {
+      return await this.setClimatePreset(resolved.entity.entity_id, mode, context);
+    }
+    
+    const friendly = attrs.friendly_name || resolved.entity.entity_id;
+    if (!hvacMode) {
+      const presets = attrs.preset_modes && attrs.preset_modes.length ? `\nPresets: ${attrs.preset_modes.join(', ')}` : '';
+      return `❓ ${friendly} has no "${mode}" mode\nModes: ${(attrs.hvac_modes || []).join(', ') || 'none'}${presets}`;
     }
     
+    const { entity, reply } = this.climateTarget(resolved.entity.entity_id, 'set_hvac_mode', context, {
+      method: 'setClimateMode',
+      args: [mode]
+    });
+    if (!entity) return reply;
+    
+    try {
+      await this.ha.setHvacMode(entity.entity_id, hvacMode);
+      return `🌡️ ${friendly} mode set to ${hvacMode.replace(/_/g, ' ')}`;
+    } catch (err) {
+      return `❌ Failed to set mode: ${err.message}`;
+    }
+  }
+
+  async setClimatePreset(name, preset, context) {
+    const { entity, reply } = this.climateTarget(name, 'set_preset_mode', context, {
+      method: 'setClimatePreset',
+      args: [preset]
+    });
+    if (!entity) return reply;
+    
+    const attrs = entity.attributes;
+    const friendly = attrs.friendly_name || entity.entity_id;
+    if (!((attrs.supported_features || 0) & CLIMATE_FEATURES.PRESET_MODE)) {
+      return `❌ ${friendly} doesn't support presets`;
+    }
+    
+    const presetMode = this.findMode(attrs.preset_modes, preset);
+    if (!presetMode) {
+      return `❓ ${friendly} has no "${preset}" preset\nPresets: ${(attrs.preset_modes || []).join(', ') || 'none'}`;
+    }
+    
+    try {
+      await this.ha.setPresetMode(entity.entity_id, presetMode);
+      return `🌡️ ${friendly} preset set to ${presetMode}`;
+    } catch (err) {
+      return `❌ Failed to set preset: ${err.message}`;
+    }
+  }
+
+  async setClimateFanMode(name, fanMode, context) {
+    const { entity, reply } = this.climateTarget(name, 'set_fan_mode', context, {
+      method: 'setClimateFanMode',
+      args: [fanMode]
+    });
+    if (!entity) return reply;
+    
+    const attrs = entity.attributes;
+    const friendly = attrs.friendly_name || entity.entity_id;
+    if (!((attrs.supported_features || 0) & CLIMATE_FEATURES.FAN_MODE)) {
+      return `❌ ${friendly} doesn't support fan modes`;
+    }
+    
+    const mode = this.findMode(attrs.fan_modes, fanMode);
+    if (!mode) {
+      return `❓ ${friendly} has no "${fanMode}" fan mode\nFan modes: ${(attrs.fan_modes || []).join(', ') || 'none'}`;
+    }
+    
+    try {
+      await this.ha.setFanMode(entity.entity_id, mode);
+      return `🌡️ ${friendly} fan set to ${mode}`;
+    } catch (err) {
+      return `❌ Failed to set fan mode: ${err.message}`;
+    }
+  }
+
+  // Resolve and authorize a panel, then ask for the code or a confirmation when needed.
+  // Returns { entity } when the service may run now, otherwise { reply }.
+  alarmTarget(name, service, context, { method, args, feature, needsCode, done }) {
+    const resolved = this.resolveInDomains(name, context, {
+      domains: ['alarm_control_panel'],
+      method,
+      args: [name, ...args],
+      none: '❓ No alarm panels found',
+      notFound: `❓ Alarm panel not found: "${name}"`
+    });
+    if (!resolved.entity) return resolved;
+    
+    const entity = resolved.entity;
+    const denied = this.authorize(context, 'control', { entity });
+    if (denied) return { reply: denied };
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    if (feature && !this.supports(entity, feature)) {
+      return { reply: `❌ ${friendly} can't ${SERVICE_VERBS[service]}` };
+    }
+    if (entity.state === done) {
+      return { reply: `ℹ️ ${friendly} is already ${done.replace(/_/g, ' ')}` };
+    }
+    
+    // The code doubles as the confirmation
+    if (needsCode(entity.attributes)) {
+      return context.code
+        ? { entity }
+        : { reply: this.requestAlarmCode(context, entity, service, { method, args: [entity.entity_id, ...args] }) };
+    }
+    
+    const confirm = this.confirmIfSensitive(context, 'alarm_control_panel', service, [entity], {
+      method,
+      args: [entity.entity_id, ...args]
+    });
+    if (confirm) return { reply: confirm };
+    
+    return { entity };
+  }
+
+  // Codes are asked for by DM so they never end up in a group's history
+  requestAlarmCode(context, entity, service, { method, args }) {
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    if (!this.confirmations) {
+      return `❌ ${friendly} needs a code, which requires confirmations to be enabled`;
+    }
+    
+    const description = `${SERVICE_VERBS[service]} ${friendly}`;
+    this.confirmations.request({ source: context.source }, {
+      method,
+      args,
+      description,
+      code: true,
+      codeFormat: entity.attributes.code_format
+    });
+    logger.info(`Awaiting alarm code from ${context.source} to ${description}`);
+    
+    const seconds = Math.round(this.confirmations.timeout / 1000);
+    const code = entity.attributes.code_format === 'number' ? 'the alarm code' : '"code" and the alarm code (e.g. "code 1234")';
+    if (context.groupId) {
+      return `🔐 Send me ${code} in a direct message within ${seconds}s to ${description}`;
+    }
+    return `🔐 Reply with ${code} within ${seconds}s to ${description}`;
+  }
+
+  // The entity's state once it has left `from`, or as it is when the time is up
+  async waitForChange(entityId, from, timeout = ALARM_SETTLE_TIME) {
+    return this.waitForState(entityId, state => state !== from, timeout);
+  }
+
+  // The entity's state once `matches(state)` holds, or as it is when the time is up
+  async waitForState(entityId, matches, timeout) {
+    const deadline = Date.now() + timeout;
+    let current = null;
+    do {
+      current = this.ha.getMirroredState(entityId) || await this.ha.getState(entityId);
+      if (current && matches(current.state)) return current;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    } while (Date.now() < deadline);
+    return current;
+  }
+
+  // Names of open doors and windows - what usually blocks arming
+  openSensors(panel) {
+    // Alarmo lists the sensors that blocked it on the panel
+    const reported = panel.attributes.open_sensors;
+    const sensors = reported && typeof reported === 'object'
+      ? Object.keys(reported).map(id => this.ha.getMirroredState(id) || { entity_id: id, attributes: {} })
+      : this.entityList
+        .map(e => this.ha.getMirroredState(e.entity.entity_id) || e.entity)
+        .filter(e => e.entity_id.startsWith('binary_sensor.') && e.state === 'on' &&
+          OPENING_CLASSES.includes(e.attributes.device_class));
+    return sensors.map(e => e.attributes.friendly_name || e.entity_id);
+  }
+
+  async armAlarm(name, mode, context) {
+    const [service, feature] = ALARM_MODES[mode];
+    const { entity, reply } = this.alarmTarget(name, service, context, {
+      method: 'armAlarm',
+      args: [mode],
+      feature,
+      done: `armed_${mode}`,
+      needsCode: (attrs) => !!attrs.code_format && attrs.code_arm_required !== false
+    });
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    const data = { entity_id: entity.entity_id };
+    if (context.code) data.code = context.code;
+    
+    try {
+      await this.ha.callService('alarm_control_panel', service, data);
+    } catch (err) {
+      const open = this.openSensors(entity);
+      if (open.length > 0) {
+        return `❌ Arming blocked: ${open.join(', ')} open`;
+      }
+      return `❌ Failed to arm ${friendly}: ${err.message}`;
+    }
+    
+    const current = await this.waitForChange(entity.entity_id, entity.state);
+    const state = current ? current.state : entity.state;
+    if (state === `armed_${mode}`) {
+      return `🛡️ ${friendly} armed ${mode}`;
+    }
+    if (state === 'arming') {
+      return `⏳ Arming ${friendly} (${mode})`;
+    }
+    
+    const open = this.openSensors(current || entity);
+    if (open.length > 0) {
+      return `❌ Arming blocked: ${open.join(', ')} open`;
+    }
+    return `⚠️ ${friendly} is still ${state.replace(/_/g, ' ')} - arming may have been blocked`;
+  }
+
+  async disarmAlarm(name, context) {
+    const { entity, reply } = this.alarmTarget(name, 'alarm_disarm', context, {
+      method: 'disarmAlarm',
+      args: [],
+      done: 'disarmed',
+      needsCode: (attrs) => !!attrs.code_format
+    });
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    const data = { entity_id: entity.entity_id };
+    if (context.code) data.code = context.code;
+    
+    try {
+      await this.ha.callService('alarm_control_panel', 'alarm_disarm', data);
+    } catch (err) {
+      return `❌ Failed to disarm ${friendly}: ${err.message}`;
+    }
+    
+    const current = await this.waitForChange(entity.entity_id, entity.state);
+    if (current && current.state !== 'disarmed' && current.state !== 'disarming') {
+      return `⚠️ ${friendly} is still ${current.state.replace(/_/g, ' ')} - was the code right?`;
+    }
+    return `🔓 ${friendly} disarmed`;
+  }
+
+  async getAlarmStatus() {
+    try {
+      const panels = await this.ha.getEntitiesByType('alarm_control_panel');
+      
+      if (panels.length === 0) {
+        return `🏠 No alarm panels configured`;
+      }
+      
+      let response = `🛡️ *Alarm Status*\n\n`;
+      for (const panel of panels) {
+        const name = panel.attributes.friendly_name || panel.entity_id;
+        const since = new Date(panel.last_changed).toLocaleString();
+        response += `${ALARM_STATES[panel.state] || `❔ ${panel.state}`}: ${name} (since ${since})\n`;
+        
+        const open = panel.state === 'disarmed' ? this.openSensors(panel) : [];
+        if (open.length > 0) {
+          response += `   Open: ${open.join(', ')}\n`;
+        }
+      }
+      
+      return response;
+    } catch (err) {
+      return `❌ Error getting alarm status: ${err.message}`;
+    }
+  }
+
+  async getEntityStatus(name, hints, context) {
+    const { entity, reply } = this.resolveEntity(name, context, {
+      hints,
+      method: 'getEntityStatus',
+      args: [name, hints]
+    });
+    
+    if (!entity) {
+      return reply;
+    }
+    
+    const denied = this.authorize(context, 'query', { entity });
+    if (denied) return denied;
+    
     const status = entity.state;
     const friendly = entity.attributes.friendly_name || entity.entity_id;
     
@@ -430,6 +2383,478 @@ class CommandParser {
     
     return `${icon} *${friendly}*\nStatus: ${status}\nLast changed: ${lastChanged}`;
   }
+
+  // Resolve and authorize an entity for a history question: { entity } or { reply }
+  historyTarget(name, context, method, args) {
+    const { entity, reply } = this.resolveEntity(name, context, { method, args });
+    if (!entity) return { reply };
+    
+    const denied = this.authorize(context, 'query', { entity });
+    return denied ? { reply: denied } : { entity };
+  }
+
+  // "when was the front door last opened"
+  async getLastTime(name, word, context) {
+    const { entity, reply } = this.historyTarget(name, context, 'getLastTime', [name, word]);
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    const target = HISTORY_WORDS[word];
+    const now = Date.now();
+    
+    try {
+      const timeZone = await this.ha.getTimeZone();
+      const ago = (time) => `${formatWhen(time, now, timeZone)} (${history.formatDuration(now - time)} ago)`;
+      
+      if (target === 'changes') {
+        const changed = Date.parse(entity.last_changed);
+        return `🕒 *${friendly}* last changed ${ago(changed)} - now ${history.describeState(entity, entity.state)}`;
+      }
+      
+      const matches = history.stateMatcher(entity, target, SUBSCRIPTION_STATES[target]);
+      const points = await this.ha.getHistory(entity.entity_id, now - LAST_CHANGE_LOOKBACK, now);
+      const entered = history.lastEntered(points, matches);
+      if (!entered) {
+        const still = matches(entity.state) ? ` (it has been ${history.describeState(entity, entity.state)} all that time)` : '';
+        return `🕒 *${friendly}* hasn't ${LAST_VERBS[target]} in the last 7 days${still}`;
+      }
+      
+      const current = matches(entity.state) && !points.some(p => p.time > entered.time && !matches(p.state))
+        ? ` - still ${history.describeMatch(entity, entity.state, target)}`
+        : '';
+      return `🕒 *${friendly}* last ${LAST_VERBS[target]} ${ago(entered.time)}${current}`;
+    } catch (err) {
+      return `❌ Error getting history: ${err.message}`;
+    }
+  }
+
+  // "what was the living room temperature at 8am" - today, or yesterday if it's not 8 yet
+  async getStateAt(name, clockText, day, context) {
+    const { entity, reply } = this.historyTarget(name, context, 'getStateAt', [name, clockText, day]);
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    const time = parseClock(clockText);
+    if (!time) return `❓ "${clockText}" is not a time`;
+    
+    try {
+      const now = Date.now();
+      const timeZone = await this.ha.getTimeZone();
+      const today = zonedParts(now, timeZone);
+      const on = (offset) => zonedTime({ year: today.year, month: today.month, day: today.day + offset, ...time }, timeZone);
+      
+      let at = on(day === 'yesterday' ? -1 : 0);
+      if (at > now) {
+        if (day === 'today') return `❓ ${formatWhen(at, now, timeZone)} hasn't happened yet`;
+        at = on(-1);
+      }
+      
+      const point = history.stateAt(await this.ha.getHistory(entity.entity_id, at, at + 60 * 1000), at);
+      if (!point) {
+        return `🕒 No history for *${friendly}* ${formatWhen(at, now, timeZone)}`;
+      }
+      return `🕒 *${friendly}* was ${history.describeState(entity, point.state)} ${formatWhen(at, now, timeZone)}`;
+    } catch (err) {
+      return `❌ Error getting history: ${err.message}`;
+    }
+  }
+
+  // "how long has the heater been on" - the current state only
+  async getCurrentDuration(name, word, context) {
+    const { entity, reply } = this.historyTarget(name, context, 'getCurrentDuration', [name, word]);
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    const target = HISTORY_WORDS[word];
+    const matches = history.stateMatcher(entity, target, SUBSCRIPTION_STATES[target]);
+    const state = history.describeMatch(entity, entity.state, target);
+    const since = Date.now() - Date.parse(entity.last_changed);
+    
+    if (!matches(entity.state)) {
+      return `⏱️ *${friendly}* isn't ${target} - it has been ${state} for ${history.formatDuration(since)}`;
+    }
+    return `⏱️ *${friendly}* has been ${state} for ${history.formatDuration(since)}`;
+  }
+
+  // "how long was the heater on yesterday"
+  async getTimeInState(name, word, periodText, context) {
+    const { entity, reply } = this.historyTarget(name, context, 'getTimeInState', [name, word, periodText]);
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    const target = HISTORY_WORDS[word];
+    
+    try {
+      const period = history.parsePeriod(periodText, Date.now(), await this.ha.getTimeZone());
+      if (!period) return `❓ Unknown period "${periodText}" - try today, yesterday or last 24h`;
+      
+      const matches = history.stateMatcher(entity, target, SUBSCRIPTION_STATES[target]);
+      const points = await this.ha.getHistory(entity.entity_id, period.start, period.end);
+      const { duration, count } = history.timeInState(points, matches, period.start, period.end);
+      
+      if (count === 0) {
+        return `⏱️ *${friendly}* wasn't ${target} ${history.periodPhrase(period)}`;
+      }
+      const times = count > 1 ? ` (${count} times)` : '';
+      return `⏱️ *${friendly}* was ${target} for ${history.formatDuration(duration)} ${history.periodPhrase(period)}${times}`;
+    } catch (err) {
+      return `❌ Error getting history: ${err.message}`;
+    }
+  }
+
+  // "garage door history today" - the changes, latest last
+  async getEntityHistory(name, periodText, context) {
+    const { entity, reply } = this.historyTarget(name, context, 'getEntityHistory', [name, periodText]);
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    
+    try {
+      const now = Date.now();
+      const timeZone = await this.ha.getTimeZone();
+      const period = history.parsePeriod(periodText, now, timeZone);
+      if (!period) return `❓ Unknown period "${periodText}" - try today, yesterday or last 24h`;
+      
+      const points = await this.ha.getHistory(entity.entity_id, period.start, period.end);
+      // The first point is the state at the start, unless the entity is newer than that
+      const changes = history.changes(points).filter((p, i) => i > 0 || p.time > period.start);
+      if (changes.length === 0) {
+        const state = points.length > 0 ? points[0].state : entity.state;
+        return `📜 *${friendly}*: no changes ${history.periodPhrase(period)} (${history.describeState(entity, state)})`;
+      }
+      
+      let response = `📜 *${friendly}* - ${period.label}\n\n`;
+      if (changes.length > MAX_HISTORY_LINES) {
+        response += `...${changes.length - MAX_HISTORY_LINES} earlier changes\n`;
+      }
+      
+      // Times only, under a heading for each day unless the period is a single day
+      const singleDay = period.label === 'today' || period.label === 'yesterday';
+      let lastDay = null;
+      for (const change of changes.slice(-MAX_HISTORY_LINES)) {
+        const when = formatWhen(change.time, now, timeZone);
+        const day = when.slice(0, when.lastIndexOf(' '));
+        if (!singleDay && day !== lastDay) {
+          response += `${lastDay ? '\n' : ''}_${day}_\n`;
+          lastDay = day;
+        }
+        response += `${when.slice(day.length + 1)} ${history.describeState(entity, change.state)}\n`;
+      }
+      return response.trim();
+    } catch (err) {
+      return `❌ Error getting history: ${err.message}`;
+    }
+  }
+
+  // "min/max/avg living room temperature last 24h"
+  async getStats(name, periodText, context) {
+    const { entity, reply } = this.historyTarget(name, context, 'getStats', [name, periodText]);
+    if (!entity) return reply;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    const unit = entity.attributes.unit_of_measurement ? ` ${entity.attributes.unit_of_measurement}` : '';
+    
+    try {
+      const now = Date.now();
+      const timeZone = await this.ha.getTimeZone();
+      const period = history.parsePeriod(periodText, now, timeZone);
+      if (!period) return `❓ Unknown period "${periodText}" - try today, yesterday or last 24h`;
+      
+      let summary = history.numericStats(await this.ha.getHistory(entity.entity_id, period.start, period.end), period.start, period.end);
+      
+      // Older than the recorder keeps: hourly long-term statistics, for sensors that have them
+      if (!summary && entity.attributes.state_class) {
+        summary = history.statisticsSummary(await this.ha.getStatistics(entity.entity_id, period.start, period.end));
+      }
+      if (!summary) {
+        return `📊 No numeric history for *${friendly}* ${history.periodPhrase(period)}`;
+      }
+      
+      const round = (value) => Math.round(value * 10) / 10;
+      return `📊 *${friendly}* - ${period.label}\n\n` +
+        `Min: ${round(summary.min.value)}${unit} (${formatWhen(summary.min.time, now, timeZone)})\n` +
+        `Max: ${round(summary.max.value)}${unit} (${formatWhen(summary.max.time, now, timeZone)})\n` +
+        `Avg: ${round(summary.mean)}${unit}`;
+    } catch (err) {
+      return `❌ Error getting statistics: ${err.message}`;
+    }
+  }
+
+  // "graph living room temperature and bedroom temperature 24h" - a PNG line chart
+  // An ambiguous name is offered as a choice first; the pick re-runs the graph in its place
+  async graph(name, others, periodText, context) {
+    const names = [name, ...others];
+    if (names.length > MAX_GRAPH_SERIES) {
+      return `❓ Up to ${MAX_GRAPH_SERIES} entities fit on one graph`;
+    }
+    
+    const entities = [];
+    for (const [i, current] of names.entries()) {
+      const rest = names.filter((_, j) => j !== i);
+      const { entity, reply } = this.historyTarget(current.replace(/^the /, ''), context, 'graph', [current, rest, periodText]);
+      if (!entity) return reply;
+      if (!entities.some(e => e.entity_id === entity.entity_id)) entities.push(entity);
+    }
+    
+    try {
+      const now = Date.now();
+      const timeZone = await this.ha.getTimeZone();
+      const period = history.parsePeriod(periodText, now, timeZone);
+      if (!period) return `❓ Unknown period "${periodText}" - try 24h, 7d, today or yesterday`;
+      
+      const series = [];
+      const skipped = [];
+      for (const entity of entities) {
+        const points = await this.graphPoints(entity, period);
+        if (points.some(p => p.value !== null)) {
+          series.push({ entity, points });
+        } else {
+          skipped.push(entity.attributes.friendly_name || entity.entity_id);
+        }
+      }
+      
+      if (series.length === 0) {
+        return `📈 No numeric history for ${skipped.join(', ')} ${history.periodPhrase(period)}`;
+      }
+      
+      // One unit goes in the title, several go in the legend
+      const units = [...new Set(series.map(s => s.entity.attributes.unit_of_measurement || ''))];
+      const shared = units.length === 1 ? units[0] : null;
+      const label = (entity) => {
+        const friendly = entity.attributes.friendly_name || entity.entity_id;
+        const unit = entity.attributes.unit_of_measurement;
+        return !shared && unit ? `${friendly} (${unit})` : friendly;
+      };
+      const unitSuffix = shared ? ` (${shared})` : '';
+      const title = series.length === 1
+        ? `${label(series[0].entity)}${unitSuffix} - ${period.label}`
+        : `${period.label}${unitSuffix}`;
+      
+      const png = renderChart(series.map(s => ({ name: label(s.entity), points: s.points })), {
+        start: period.start,
+        end: period.end,
+        timeZone,
+        title
+      });
+      
+      // The range and current value of each line, as text next to the image
+      let text = series.length === 1 ? `📈 *${label(series[0].entity)}* - ${period.label}` : `📈 *${period.label}*`;
+      for (const { entity, points } of series) {
+        const values = points.map(p => p.value).filter(v => v !== null);
+        const unit = entity.attributes.unit_of_measurement ? ` ${entity.attributes.unit_of_measurement}` : '';
+        const prefix = series.length === 1 ? '' : `• ${entity.attributes.friendly_name || entity.entity_id}: `;
+        text += `\n${prefix}${Math.min(...values)} to ${Math.max(...values)}${unit}, now ${history.describeState(entity, entity.state)}`;
+      }
+      if (skipped.length > 0) {
+        text += `\n\nNo numeric history for ${skipped.join(', ')}`;
+      }
+      
+      return { text, attachments: [fromBuffer(png, 'image/png', 'graph.png')] };
+    } catch (err) {
+      logger.error('Failed to draw graph:', err.message);
+      return `❌ Error drawing graph: ${err.message}`;
+    }
+  }
+
+  // [{ time, value }] with value null where the state isn't a number
+  async graphPoints(entity, period) {
+    const points = (await this.ha.getHistory(entity.entity_id, period.start, period.end)).map(p => {
+      const value = parseFloat(p.state);
+      return { time: p.time, value: isNaN(value) ? null : value };
+    });
+    if (points.some(p => p.value !== null) || !entity.attributes.state_class) return points;
+    
+    // History already purged: hourly means from the long-term statistics
+    const rows = await this.ha.getStatistics(entity.entity_id, period.start, period.end);
+    return rows
+      .filter(row => typeof row.mean === 'number')
+      .map(row => ({ time: row.start, value: Math.round(row.mean * 100) / 100 }));
+  }
+
+  // Replies with { text, attachments } so the image goes out with the message
+  async snapshot(name, context) {
+    // "snapshot doorbell" - no camera by that name, but maybe one next to that entity
+    if (rankEntities(name, this.entityList, { domains: ['camera'] }).candidates.length === 0) {
+      const { best } = rankEntities(name, this.entityList);
+      const cameraId = best ? this.ha.findCameraFor(best.entity_id) : null;
+      if (cameraId) name = cameraId;
+    }
+    
+    const { entity, reply } = this.resolveEntity(name, context, {
+      domains: ['camera'],
+      method: 'snapshot',
+      args: [name],
+      notFound: `📷 No camera found for "${name}"`
+    });
+    
+    if (!entity) {
+      return reply;
+    }
+    
+    const denied = this.authorize(context, 'query', { entity });
+    if (denied) return denied;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    
+    try {
+      const attachment = await this.ha.getCameraSnapshot(entity.entity_id);
+      return { text: `📷 ${friendly}`, attachments: [attachment] };
+    } catch (err) {
+      logger.error(`Failed to get snapshot from ${entity.entity_id}:`, err.message);
+      return `❌ Failed to get a snapshot from ${friendly}: ${err.message}`;
+    }
+  }
+
+  async parseSubscription(cmd, context) {
+    if (!this.subscriptions) {
+      return `❌ Alerts are not enabled on this bridge`;
+    }
+    
+    const threshold = cmd.match(/^notify me (?:when|if) (.+?) (?:(?:is|goes|gets|rises|drops|falls) )?(above|over|below|under) (-?\d+(?:\.\d+)?)\s*\S*$/);
+    if (threshold) {
+      const direction = threshold[2] === 'above' || threshold[2] === 'over' ? 'above' : 'below';
+      return await this.subscribe(threshold[1], { [direction]: parseFloat(threshold[3]) }, context);
+    }
+    
+    const state = cmd.match(/^notify me (?:when|if) (.+?) (?:(?:is|gets|turns|becomes) )?(\w+)$/);
+    if (state && SUBSCRIPTION_WORDS[state[2]]) {
+      return await this.subscribe(state[1], { state: SUBSCRIPTION_WORDS[state[2]] }, context);
+    }
+    
+    return `❓ Try "notify me when garage door opens" or "notify me if freezer temperature above -10"`;
+  }
+
+  async subscribe(name, condition, context) {
+    const { entity, reply } = this.resolveEntity(name.replace(/^the /, ''), context, {
+      method: 'subscribe',
+      args: [name, condition]
+    });
+    
+    if (!entity) {
+      return reply;
+    }
+    
+    // Anyone who may look at an entity may subscribe to it
+    const denied = this.authorize(context, 'query', { entity });
+    if (denied) return denied;
+    
+    const friendly = entity.attributes.friendly_name || entity.entity_id;
+    const domain = entity.entity_id.split('.')[0];
+    const unit = entity.attributes.unit_of_measurement || '';
+    const subscription = { entityId: entity.entity_id, name: friendly };
+    
+    if (condition.above !== undefined) {
+      subscription.above = condition.above;
+      subscription.description = `${friendly} is above ${condition.above}${unit}`;
+    } else if (condition.below !== undefined) {
+      subscription.below = condition.below;
+      subscription.description = `${friendly} is below ${condition.below}${unit}`;
+    } else if (condition.state === 'changes') {
+      subscription.description = `${friendly} changes`;
+    } else {
+      const states = SUBSCRIPTION_STATES[condition.state];
+      subscription.to = states[domain] || states.default;
+      subscription.description = `${friendly} is ${subscription.to.replace('_', ' ')}`;
+    }
+    
+    this.subscriptions.add(context.source, subscription);
+    const count = this.subscriptions.list(context.source).length;
+    return `🔔 OK, I'll message you when ${subscription.description}\n\nSee "my alerts" (you have ${count}).`;
+  }
+
+  listSubscriptions(context) {
+    if (!this.subscriptions) {
+      return `❌ Alerts are not enabled on this bridge`;
+    }
+    
+    const items = this.subscriptions.list(context.source);
+    if (items.length === 0) {
+      return `🔕 You have no alerts\n\nTry "notify me when garage door opens".`;
+    }
+    
+    let response = `🔔 *Your Alerts*\n\n`;
+    items.forEach((item, i) => {
+      response += `${i + 1}. ${item.description}\n`;
+    });
+    response += `\nSend "stop alert [number]" to remove one.`;
+    return response;
+  }
+
+  removeSubscription(index, context) {
+    if (!this.subscriptions) {
+      return `❌ Alerts are not enabled on this bridge`;
+    }
+    
+    const removed = this.subscriptions.remove(context.source, index);
+    if (!removed) {
+      return `❓ No alert ${index} - send "my alerts" to see yours`;
+    }
+    return `🔕 Removed alert: ${removed.description}`;
+  }
+
+  // Null when the text isn't a scheduled command
+  async schedule(text, context) {
+    const cmd = text.toLowerCase().trim();
+    const timeZone = /\b(?:in|at|every)\b/.test(cmd) ? await this.ha.getTimeZone() : null;
+    const schedule = timeZone ? parseSchedule(cmd, Date.now(), timeZone, { bareHour: TIMED_VERBS.test(cmd) }) : null;
+    
+    if (!schedule) {
+      // "turn on the lamp tomorrow" must not turn it on now
+      if (SCHEDULABLE.test(cmd) && mentionsTime(cmd)) {
+        return `❓ I couldn't understand the time - try "at 7:30", "tomorrow at 7am", "in 2 hours" or "every weekday at 6:30"`;
+      }
+      return null;
+    }
+    if (!schedule.error && !SCHEDULABLE.test(schedule.command)) return null;
+    
+    if (!this.scheduler) {
+      return `❌ Schedules are not enabled on this bridge`;
+    }
+    if (schedule.error) {
+      return `❓ ${schedule.error.charAt(0).toUpperCase()}${schedule.error.slice(1)}`;
+    }
+    
+    // Permissions and confirmations are checked when it runs, as the creator
+    const job = this.scheduler.add(context.source, context.groupId, schedule, timeZone);
+    const count = this.scheduler.list(context.source).length;
+    return `⏰ Scheduled ${this.describeSchedule(job)}: ${job.command}\n\nSee "my schedules" (you have ${count}).`;
+  }
+
+  // "today 23:30" / "every weekday at 06:30"
+  describeSchedule(job) {
+    return job.repeat ? describeRepeat(job.repeat) : formatWhen(job.at, Date.now(), job.timeZone);
+  }
+
+  listSchedules(context) {
+    if (!this.scheduler) {
+      return `❌ Schedules are not enabled on this bridge`;
+    }
+    
+    const items = this.scheduler.list(context.source);
+    if (items.length === 0) {
+      return `⏰ You have no schedules\n\nTry "at 23:30 turn off porch light" or "in 45 minutes turn off the fan".`;
+    }
+    
+    let response = `⏰ *Your Schedules*\n\n`;
+    items.forEach((item, i) => {
+      const next = item.repeat ? ` (next ${formatWhen(item.at, Date.now(), item.timeZone)})` : '';
+      response += `${i + 1}. ${this.describeSchedule(item)}: ${item.command}${next}\n`;
+    });
+    response += `\nSend "cancel schedule [number]" to remove one.`;
+    return response;
+  }
+
+  removeSchedule(index, context) {
+    if (!this.scheduler) {
+      return `❌ Schedules are not enabled on this bridge`;
+    }
+    
+    const removed = this.scheduler.remove(context.source, index);
+    if (!removed) {
+      return `❓ No schedule ${index} - send "my schedules" to see yours`;
+    }
+    return `🗑️ Cancelled: ${this.describeSchedule(removed)}: ${removed.command}`;
+  }
 }
 
 module.exports = CommandParser;
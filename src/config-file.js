@@ -0,0 +1,20 @@
+// Loads YAML or JSON configuration files
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+function loadConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  try {
+    if (ext === '.json') {
+      return JSON.parse(text);
+    }
+    return yaml.load(text) || {};
+  } catch (err) {
+    throw new Error(`Invalid config file ${filePath}: ${err.message}`);
+  }
+}
+
+module.exports = { loadConfigFile };
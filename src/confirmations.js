@@ -0,0 +1,106 @@
+// Confirmation step for security-sensitive actions
+const PendingStore = require('./pending-store');
+const { globToRegex } = require('./glob');
+
+// domain.service[:entity_glob] - "lock.unlock", "alarm_control_panel.*", "cover.open_cover:cover.garage*"
+const DEFAULT_ACTIONS = [
+  'lock.unlock',
+  'lock.open',
+  'alarm_control_panel.alarm_disarm',
+  'cover.open_cover:cover.garage*'
+];
+
+const DEFAULT_TIMEOUT = 60 * 1000; // 60 seconds
+
+function parseList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// The generic homeassistant.* services act through the entity's own domain
+function effectiveService(domain, service, entity) {
+  if (domain !== 'homeassistant') return { domain, service };
+
+  const entityDomain = entity.entity_id.split('.')[0];
+  if (entityDomain === 'cover') {
+    if (service === 'toggle') {
+      return { domain: 'cover', service: entity.state === 'closed' ? 'open_cover' : 'close_cover' };
+    }
+    return { domain: 'cover', service: service === 'turn_on' ? 'open_cover' : 'close_cover' };
+  }
+  if (entityDomain === 'lock') {
+    if (service === 'toggle') {
+      return { domain: 'lock', service: entity.state === 'locked' ? 'unlock' : 'lock' };
+    }
+    return { domain: 'lock', service: service === 'turn_on' ? 'unlock' : 'lock' };
+  }
+  return { domain: entityDomain, service };
+}
+
+class Confirmations {
+  // options: { actions: [spec], pins: { entity_glob: pin }, timeout: ms, now, store }
+  constructor(options = {}) {
+    this.actions = (options.actions || DEFAULT_ACTIONS).map(spec => {
+      const [serviceSpec, entityGlob] = spec.split(':');
+      return {
+        service: globToRegex(serviceSpec),
+        entity: entityGlob ? globToRegex(entityGlob) : null
+      };
+    });
+    this.pins = Object.entries(options.pins || {}).map(([glob, pin]) => ({ entity: globToRegex(glob), pin: String(pin) }));
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.pending = new PendingStore(this.timeout, {
+      now: options.now,
+      store: options.store,
+      namespace: 'pending_confirmations'
+    });
+  }
+
+  // CONFIRM_ACTIONS=lock.unlock,cover.open_cover:cover.garage*
+  // CONFIRM_PINS=lock.front_door=1234,alarm_control_panel.*=9999
+  // CONFIRM_TIMEOUT=60 (seconds)
+  static fromEnv(env = process.env, options = {}) {
+    const pins = {};
+    for (const entry of parseList(env.CONFIRM_PINS)) {
+      const [glob, pin] = entry.split('=');
+      if (glob && pin) pins[glob.trim()] = pin.trim();
+    }
+
+    return new Confirmations({
+      actions: env.CONFIRM_ACTIONS !== undefined ? parseList(env.CONFIRM_ACTIONS) : DEFAULT_ACTIONS,
+      pins,
+      timeout: env.CONFIRM_TIMEOUT ? parseInt(env.CONFIRM_TIMEOUT) * 1000 : DEFAULT_TIMEOUT,
+      ...options
+    });
+  }
+
+  isSensitive(domain, service, entity) {
+    const effective = effectiveService(domain, service, entity);
+    const name = `${effective.domain}.${effective.service}`;
+    return this.actions.some(a => a.service.test(name) && (!a.entity || a.entity.test(entity.entity_id)));
+  }
+
+  pinFor(entityId) {
+    const match = this.pins.find(p => p.entity.test(entityId));
+    return match ? match.pin : null;
+  }
+
+  // Pending confirmations belong to one sender in one conversation
+  key(context) {
+    return `${context.groupId || 'dm'}:${context.source}`;
+  }
+
+  request(context, pending) {
+    this.pending.set(this.key(context), pending);
+  }
+
+  get(context) {
+    return this.pending.get(this.key(context));
+  }
+
+  cancel(context) {
+    this.pending.delete(this.key(context));
+  }
+}
+
+module.exports = Confirmations;
+module.exports.effectiveService = effectiveService;
@@ -0,0 +1,138 @@
+// Scheduled home digests ("every morning at 7:30, tell the group what needs attention")
+// Configured as `digests:` in the notification rules file; notable events are collected in between
+const { parseClock, parseDays, nextOccurrence } = require('./scheduler');
+const logger = require('./logger');
+
+const SECTIONS = ['temperatures', 'left_on', 'unlocked', 'open', 'batteries', 'unavailable', 'events'];
+
+const DEFAULT_BATTERY_THRESHOLD = 20;
+
+// A digest is sent if the bridge notices it is due at most this late
+const SEND_GRACE = 5 * 60 * 1000;
+
+const CHECK_INTERVAL = 30 * 1000;
+
+// Events older than this are dropped (a weekly digest needs a week)
+const EVENT_RETENTION = 8 * 24 * 60 * 60 * 1000;
+const MAX_EVENTS = 500;
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+function normalizeDigest(digest, index) {
+  const id = String(digest.id || `digest_${index + 1}`);
+
+  const times = (toList(digest.at) || []).map(value => {
+    const time = parseClock(String(value).toLowerCase());
+    if (!time) throw new Error(`Digest ${id} has an invalid time: ${value}`);
+    return time;
+  });
+  if (times.length === 0) {
+    throw new Error(`Digest ${id} has no "at" time`);
+  }
+
+  const dayText = (toList(digest.days) || ['day']).join(', ').toLowerCase().replace(/^every\s+/, '');
+  const days = parseDays(dayText);
+  if (!days) throw new Error(`Digest ${id} has invalid days: ${dayText}`);
+
+  const sections = (toList(digest.sections) || SECTIONS).map(String);
+  const unknown = sections.filter(s => !SECTIONS.includes(s));
+  if (unknown.length > 0) {
+    throw new Error(`Digest ${id} has unknown sections: ${unknown.join(', ')} (known: ${SECTIONS.join(', ')})`);
+  }
+
+  return {
+    id,
+    title: digest.title ? String(digest.title) : null,
+    times,
+    days,
+    sections,
+    batteryBelow: digest.battery_below !== undefined ? Number(digest.battery_below) : DEFAULT_BATTERY_THRESHOLD,
+    notify: digest.notify || { group: true }
+  };
+}
+
+class Digests {
+  // State lives in the store's "digests" namespace.
+  // options:
+  //   getDigests()        - the configured digests (normalized), re-read on every check
+  //   getTimeZone()       - HA's time zone
+  //   build(digest, since) - the digest text, with events since `since`
+  //   send(digest, text)  - deliver to the digest's recipients
+  //   now()               - clock, injectable for tests
+  constructor(store, options = {}) {
+    this.store = store;
+    this.getDigests = options.getDigests || (() => []);
+    this.getTimeZone = options.getTimeZone;
+    this.build = options.build;
+    this.send = options.send;
+    this.now = options.now || Date.now;
+    this.timer = null;
+  }
+
+  // A notable event (a notification rule firing) for the next digests
+  record(message) {
+    const now = this.now();
+    const events = this.store.get('digests', 'events', [])
+      .filter(e => now - e.time < EVENT_RETENTION)
+      .slice(-(MAX_EVENTS - 1));
+    events.push({ time: now, message });
+    this.store.set('digests', 'events', events);
+  }
+
+  events(since) {
+    return this.store.get('digests', 'events', []).filter(e => e.time > since);
+  }
+
+  lastSent(id) {
+    return this.store.get('digests', `last_sent:${id}`, null);
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.check().catch(err => logger.error('Digest check failed:', err.message));
+    }, CHECK_INTERVAL);
+    this.check().catch(err => logger.error('Digest check failed:', err.message));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async check() {
+    const digests = this.getDigests();
+    if (digests.length === 0) return;
+
+    const now = this.now();
+    const timeZone = await this.getTimeZone();
+
+    for (const digest of digests) {
+      // The first scheduled time after the grace window started - due if it has passed
+      const due = digest.times
+        .map(time => nextOccurrence({ days: digest.days, ...time }, now - SEND_GRACE, timeZone))
+        .filter(at => at !== null && at <= now);
+      const last = this.lastSent(digest.id);
+      if (due.length === 0 || (last && last >= Math.max(...due))) continue;
+
+      await this.run(digest, now);
+    }
+  }
+
+  // Events since the previous digest (or the last day for the first one)
+  async run(digest, now = this.now()) {
+    const since = this.lastSent(digest.id) || now - 24 * 60 * 60 * 1000;
+    this.store.set('digests', `last_sent:${digest.id}`, now);
+
+    logger.info(`Sending digest "${digest.id}"`);
+    const text = await this.build(digest, since);
+    await this.send(digest, text);
+  }
+}
+
+module.exports = Digests;
+module.exports.normalizeDigest = normalizeDigest;
+module.exports.SECTIONS = SECTIONS;
+module.exports.DEFAULT_BATTERY_THRESHOLD = DEFAULT_BATTERY_THRESHOLD;
@@ -0,0 +1,180 @@
+// Ranked fuzzy entity matching
+// Scores every known entity against a spoken/typed name and returns the best candidates
+
+// Words in the query that suggest a domain ("lamp" is almost always a light)
+const WORD_DOMAINS = {
+  light: ['light'],
+  lights: ['light'],
+  lamp: ['light'],
+  lamps: ['light'],
+  bulb: ['light'],
+  switch: ['switch'],
+  plug: ['switch'],
+  outlet: ['switch'],
+  fan: ['fan'],
+  lock: ['lock'],
+  thermostat: ['climate'],
+  heating: ['climate'],
+  heater: ['climate', 'switch'],
+  ac: ['climate'],
+  blind: ['cover'],
+  blinds: ['cover'],
+  shade: ['cover'],
+  shades: ['cover'],
+  curtain: ['cover'],
+  curtains: ['cover'],
+  garage: ['cover'],
+  tv: ['media_player'],
+  speaker: ['media_player'],
+  scene: ['scene'],
+  script: ['script'],
+  vacuum: ['vacuum']
+};
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'my', 'in', 'on', 'of']);
+
+const MIN_SCORE = 40;
+const AMBIGUITY_MARGIN = 10;
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[_.\-]+/g, ' ').replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+function tokenize(text) {
+  return normalize(text).split(' ').filter(t => t && !STOP_WORDS.has(t));
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// 1 for an exact token, 0.8 for a close typo, 0 otherwise
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 4 || b.length < 4) return 0;
+  const allowed = Math.max(a.length, b.length) >= 7 ? 2 : 1;
+  return levenshtein(a, b) <= allowed ? 0.8 : 0;
+}
+
+function domainHintsFor(query) {
+  const hints = new Set();
+  for (const token of tokenize(query)) {
+    for (const domain of WORD_DOMAINS[token] || []) hints.add(domain);
+  }
+  return hints;
+}
+
+// Score a single entity against a query (0-100)
+// `entry` is { entity, area } where area is the HA area name (or null)
+function scoreEntity(query, entry, hints = new Set()) {
+  return matchEntity(query, entry, hints).score;
+}
+
+// { score, complete } - complete when every word of the query was found in the
+// entity's name, area or (for words like "lamp") its domain
+function matchEntity(query, entry, hints = new Set()) {
+  const { entity, area } = entry;
+  const id = entity.entity_id.toLowerCase();
+  const domain = id.split('.')[0];
+  const friendly = normalize(entity.attributes.friendly_name || '');
+  const objectId = normalize(id.split('.')[1]);
+  const q = normalize(query);
+
+  let score = 0;
+  let complete = true;
+
+  if (query.toLowerCase().trim() === id) {
+    score = 100;
+  } else if (q === friendly) {
+    score = 95;
+  } else if (q === objectId) {
+    score = 90;
+  } else if (area && (q === `${normalize(area)} ${friendly}` || q === `${friendly} ${normalize(area)}`)) {
+    score = 90;
+  } else {
+    const queryTokens = tokenize(query);
+    const entityTokens = [...new Set([
+      ...tokenize(friendly),
+      ...tokenize(objectId),
+      ...(area ? tokenize(area) : [])
+    ])];
+
+    if (queryTokens.length === 0 || entityTokens.length === 0) return { score: 0, complete: false };
+
+    let matched = 0;
+    for (const qt of queryTokens) {
+      const similarity = Math.max(0, ...entityTokens.map(et => tokenSimilarity(qt, et)));
+      matched += similarity;
+      if (similarity === 0 && !(WORD_DOMAINS[qt] || []).includes(domain)) complete = false;
+    }
+
+    // Recall matters most: every word the user typed should be found
+    const recall = matched / queryTokens.length;
+    const nameTokens = new Set([...tokenize(friendly), ...tokenize(objectId)]);
+    const precision = Math.min(1, matched / nameTokens.size || 0);
+    score = 80 * (0.75 * recall + 0.25 * precision);
+
+    // Partial words still count for a little ("kitch" -> "kitchen")
+    if (score === 0 && q.length >= 3 && (friendly.includes(q) || objectId.includes(q))) {
+      score = 40;
+      complete = true;
+    }
+  }
+
+  if (score > 0 && hints.has(domain)) {
+    score = Math.min(100, score + 10);
+  }
+
+  return { score, complete };
+}
+
+// Rank entries for a query
+// options.domains restricts the candidates, options.hints adds preferred domains
+// Returns { best, candidates } - best is only set when one entity clearly wins and
+// matches every word of the query ("front door" never silently picks the garage door)
+function rankEntities(query, entries, options = {}) {
+  const hints = new Set([...domainHintsFor(query), ...(options.hints || [])]);
+  const domains = options.domains ? new Set(options.domains) : null;
+
+  const ranked = entries
+    .filter(e => !domains || domains.has(e.entity.entity_id.split('.')[0]))
+    .map(e => ({ entity: e.entity, ...matchEntity(query, e, hints) }))
+    .filter(r => r.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.entity.entity_id.localeCompare(b.entity.entity_id));
+
+  if (ranked.length === 0) {
+    return { best: null, candidates: [] };
+  }
+
+  const top = ranked[0].score;
+  const close = ranked.filter(r => top - r.score < AMBIGUITY_MARGIN);
+
+  // An exact hit beats anything fuzzy, unless several are equally exact
+  if (ranked[0].complete && (close.length === 1 || (top >= 90 && ranked[1].score < top))) {
+    return { best: ranked[0].entity, candidates: close.map(r => r.entity) };
+  }
+
+  return { best: null, candidates: close.map(r => r.entity) };
+}
+
+module.exports = {
+  normalize,
+  tokenize,
+  levenshtein,
+  scoreEntity,
+  rankEntities,
+  domainHintsFor
+};
@@ -0,0 +1,12 @@
+// Glob patterns with * and ? wildcards, case-insensitive
+
+function globToRegex(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchesGlob(value, pattern) {
+  return pattern === '*' || globToRegex(String(pattern)).test(String(value));
+}
+
+module.exports = { globToRegex, matchesGlob };
@@ -0,0 +1,275 @@
+// Home Assistant WebSocket connection manager
+// Authentication, id-correlated commands, heartbeats, reconnects with backoff and resubscription
+const WebSocket = require('ws');
+const Backoff = require('./backoff');
+const logger = require('./logger');
+
+const COMMAND_TIMEOUT = 30 * 1000;
+const PING_INTERVAL = 30 * 1000;
+const PONG_TIMEOUT = 10 * 1000;
+
+class HaConnection {
+  // options:
+  //   onReady()        - called after every successful (re)authentication
+  //   onDisconnect()   - called when an authenticated connection drops
+  //   onFatal(err)     - called when the token is rejected; no reconnect follows
+  //   backoff          - Backoff options
+  //   pingInterval, pongTimeout, commandTimeout (ms)
+  //   WebSocket        - WebSocket implementation (for tests)
+  constructor(url, token, options = {}) {
+    this.url = url;
+    this.token = token;
+    this.onReady = options.onReady || (() => {});
+    this.onDisconnect = options.onDisconnect || (() => {});
+    this.onFatal = options.onFatal || (() => {});
+    this.backoff = new Backoff(options.backoff);
+    this.pingInterval = options.pingInterval || PING_INTERVAL;
+    this.pongTimeout = options.pongTimeout || PONG_TIMEOUT;
+    this.commandTimeout = options.commandTimeout || COMMAND_TIMEOUT;
+    this.WebSocket = options.WebSocket || WebSocket;
+
+    this.ws = null;
+    this.ready = false;
+    this.closed = false;
+    this.id = 0; // Never reset: ids stay unique across reconnects
+    this.pending = new Map();
+    this.subscriptions = new Map(); // key -> { eventType, handler, id }
+    this.subscriptionIds = new Map(); // HA subscription id -> key
+    this.streams = new Map(); // command id -> event handler (one-off commands like assist_pipeline/run)
+    this.nextSubscriptionKey = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.pongTimer = null;
+  }
+
+  connect() {
+    this.closed = false;
+    clearTimeout(this.reconnectTimer);
+
+    logger.info(`Connecting to HA WebSocket: ${this.url}`);
+    const ws = new this.WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on('message', (data) => this.handleMessage(ws, data));
+
+    ws.on('error', (err) => {
+      logger.error('HA WebSocket error:', err.message || err.code);
+    });
+
+    ws.on('close', () => {
+      if (this.ws !== ws) return;
+      this.handleClose();
+    });
+  }
+
+  handleMessage(ws, data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (err) {
+      logger.error('Invalid message from HA WebSocket:', err.message);
+      return;
+    }
+
+    switch (msg.type) {
+      case 'auth_required':
+        ws.send(JSON.stringify({ type: 'auth', access_token: this.token }));
+        break;
+
+      case 'auth_ok':
+        logger.info(`HA WebSocket authenticated (HA ${msg.ha_version || 'unknown version'})`);
+        this.ready = true;
+        this.backoff.reset();
+        this.startHeartbeat();
+        this.resubscribe();
+        this.onReady();
+        break;
+
+      case 'auth_invalid': {
+        // A bad token will not fix itself - stop instead of hammering HA
+        const err = new Error(`HA rejected the access token: ${msg.message || 'auth_invalid'}`);
+        logger.error(err.message);
+        this.close();
+        this.onFatal(err);
+        break;
+      }
+
+      case 'pong':
+        clearTimeout(this.pongTimer);
+        this.resolvePending(msg.id, true, null);
+        break;
+
+      case 'result':
+        this.resolvePending(msg.id, msg.success, msg.success ? msg.result : msg.error);
+        break;
+
+      case 'event': {
+        if (this.streams.has(msg.id)) {
+          this.streams.get(msg.id)(msg.event);
+          break;
+        }
+
+        const key = this.subscriptionIds.get(msg.id);
+        const subscription = key !== undefined ? this.subscriptions.get(key) : null;
+        if (subscription) {
+          try {
+            subscription.handler(msg.event);
+          } catch (err) {
+            logger.error(`Error handling HA ${subscription.eventType} event:`, err.message);
+          }
+        }
+        break;
+      }
+
+      default:
+        logger.debug(`Unhandled HA WebSocket message: ${msg.type}`);
+    }
+  }
+
+  resolvePending(id, success, payload) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+
+    this.pending.delete(id);
+    clearTimeout(pending.timer);
+    if (success) {
+      pending.resolve(payload);
+    } else {
+      pending.reject(new Error(payload && payload.message ? payload.message : 'Unknown HA error'));
+    }
+  }
+
+  sendCommand(type, payload = {}) {
+    if (!this.ready) {
+      return Promise.reject(new Error('HA WebSocket not connected'));
+    }
+    return this.request(type, payload).promise;
+  }
+
+  // Sends a command and returns its id along with the pending result
+  request(type, payload = {}) {
+    const id = ++this.id;
+
+    const promise = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (this.pending.has(id)) {
+          this.pending.delete(id);
+          reject(new Error(`HA WebSocket timeout: ${type}`));
+        }
+      }, this.commandTimeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.ws.send(JSON.stringify({ id, type, ...payload }));
+    });
+
+    return { id, promise };
+  }
+
+  // A command that answers with a stream of events for its own id (not resubscribed
+  // after a reconnect). Returns { promise, close } - close() stops routing events.
+  stream(type, payload, onEvent) {
+    if (!this.ready) {
+      return { promise: Promise.reject(new Error('HA WebSocket not connected')), close: () => {} };
+    }
+
+    const { id, promise } = this.request(type, payload);
+    this.streams.set(id, onEvent);
+    return { promise, close: () => this.streams.delete(id) };
+  }
+
+  // Subscriptions survive reconnects; returns an unsubscribe function
+  subscribe(eventType, handler) {
+    const key = this.nextSubscriptionKey++;
+    this.subscriptions.set(key, { eventType, handler, id: null });
+
+    if (this.ready) {
+      this.sendSubscribe(key);
+    }
+
+    return () => {
+      const subscription = this.subscriptions.get(key);
+      this.subscriptions.delete(key);
+      if (subscription && subscription.id !== null) {
+        this.subscriptionIds.delete(subscription.id);
+        if (this.ready) {
+          this.sendCommand('unsubscribe_events', { subscription: subscription.id })
+            .catch(err => logger.debug('Failed to unsubscribe:', err.message));
+        }
+      }
+    };
+  }
+
+  sendSubscribe(key) {
+    const subscription = this.subscriptions.get(key);
+    const { id, promise } = this.request('subscribe_events', { event_type: subscription.eventType });
+
+    // Events may arrive right after the result, so map the id up front
+    subscription.id = id;
+    this.subscriptionIds.set(id, key);
+
+    promise
+      .then(() => logger.debug(`Subscribed to ${subscription.eventType}`))
+      .catch(err => {
+        this.subscriptionIds.delete(id);
+        logger.error(`Failed to subscribe to ${subscription.eventType}:`, err.message);
+      });
+  }
+
+  resubscribe() {
+    this.subscriptionIds.clear();
+    for (const key of this.subscriptions.keys()) {
+      this.sendSubscribe(key);
+    }
+  }
+
+  // Ping regularly; a missing pong means the socket is half-open
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.pingTimer = setInterval(() => {
+      if (!this.ready) return;
+
+      this.pongTimer = setTimeout(() => {
+        logger.warn('HA WebSocket heartbeat timed out, reconnecting...');
+        this.ws.terminate();
+      }, this.pongTimeout);
+
+      this.sendCommand('ping').catch(() => {});
+    }, this.pingInterval);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.pingTimer);
+    clearTimeout(this.pongTimer);
+  }
+
+  handleClose() {
+    const wasReady = this.ready;
+    this.ready = false;
+    this.stopHeartbeat();
+
+    for (const pending of this.pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('HA WebSocket closed'));
+    }
+    this.pending.clear();
+    this.streams.clear();
+
+    if (wasReady) this.onDisconnect();
+    if (this.closed) return;
+
+    const delay = this.backoff.next();
+    logger.warn(`HA WebSocket closed, reconnecting in ${(delay / 1000).toFixed(1)}s...`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.stopHeartbeat();
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+}
+
+module.exports = HaConnection;
@@ -0,0 +1,205 @@
+// History summaries for chat
+// Periods ("today", "last 24h"), time spent in a state, min/max/avg and state changes
+// from HA's recorded states ([{ state, time }], oldest first)
+const { zonedParts, zonedTime } = require('./zoned-time');
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const UNIT_NAMES = { m: 'minute', h: 'hour', d: 'day', w: 'week' };
+
+// "today", "yesterday", "this week", "last 24h", "past 3 days", "in the last hour", "48h"
+const PERIOD = '((?:(?:in|over|during|for) )?(?:the )?(?:today|yesterday|this week|(?:(?:last|past) (?:\\d+ ?)?|\\d+ ?)(?:minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w)))';
+
+// States that count as "off" when asking how long something was on
+const OFF_STATES = ['off', 'unavailable', 'unknown', 'standby'];
+
+// Binary sensor wording by device class: [on, off]
+const BINARY_WORDS = {
+  door: ['open', 'closed'],
+  window: ['open', 'closed'],
+  garage_door: ['open', 'closed'],
+  opening: ['open', 'closed'],
+  motion: ['motion', 'clear'],
+  occupancy: ['occupied', 'clear'],
+  presence: ['home', 'away'],
+  moisture: ['wet', 'dry'],
+  smoke: ['smoke', 'clear'],
+  lock: ['unlocked', 'locked']
+};
+
+// Midnight of the day `offset` days from the one containing `timestamp`
+function startOfDay(timestamp, timeZone, offset = 0) {
+  const p = zonedParts(timestamp, timeZone);
+  return zonedTime({ year: p.year, month: p.month, day: p.day + offset, hour: 0, minute: 0 }, timeZone);
+}
+
+// { start, end, label } in ms, or null when the text isn't a period
+function parsePeriod(text, now, timeZone) {
+  const value = text.trim().toLowerCase().replace(/^(?:(?:in|over|during|for) )?(?:the )?/, '');
+
+  if (value === 'today') {
+    return { start: startOfDay(now, timeZone), end: now, label: 'today' };
+  }
+  if (value === 'yesterday') {
+    return { start: startOfDay(now, timeZone, -1), end: startOfDay(now, timeZone), label: 'yesterday' };
+  }
+  if (value === 'this week') {
+    // Weeks start on Monday
+    const back = (zonedParts(now, timeZone).weekday + 6) % 7;
+    return { start: startOfDay(now, timeZone, -back), end: now, label: 'this week' };
+  }
+
+  // "last 24h", "past hour", or just "24h"
+  const last = value.match(/^(?:last|past) (?:(\d+) ?)?([a-z]+)$/) || value.match(/^(\d+) ?([a-z]+)$/);
+  if (last) {
+    const unit = last[2].startsWith('mi') || last[2] === 'm' ? 'm' : last[2].charAt(0);
+    if (!UNIT_MS[unit]) return null;
+
+    const amount = last[1] ? parseInt(last[1]) : 1;
+    if (amount < 1) return null;
+    const label = amount === 1 ? `last ${UNIT_NAMES[unit]}` : `last ${amount} ${UNIT_NAMES[unit]}s`;
+    return { start: now - amount * UNIT_MS[unit], end: now, label };
+  }
+
+  return null;
+}
+
+// "today", but "in the last 24 hours"
+function periodPhrase(period) {
+  return period.label.startsWith('last ') ? `in the ${period.label}` : period.label;
+}
+
+// Each recorded state with how long it lasted within [start, end]
+function spans(points, start, end) {
+  return points
+    .map((point, i) => ({
+      state: point.state,
+      from: Math.max(point.time, start),
+      to: Math.min(i + 1 < points.length ? points[i + 1].time : end, end)
+    }))
+    .filter(span => span.to > span.from);
+}
+
+// Total time in matching states and how many separate times it entered them
+function timeInState(points, matches, start, end) {
+  let duration = 0;
+  let count = 0;
+  let previous = false;
+  for (const span of spans(points, start, end)) {
+    const match = matches(span.state);
+    if (match) duration += span.to - span.from;
+    if (match && !previous) count++;
+    previous = match;
+  }
+  return { duration, count };
+}
+
+// Time-weighted mean, with when the min and max were reached; null without numbers
+function numericStats(points, start, end) {
+  let min = null;
+  let max = null;
+  let weighted = 0;
+  let total = 0;
+
+  for (const span of spans(points, start, end)) {
+    const value = parseFloat(span.state);
+    if (isNaN(value)) continue;
+
+    if (!min || value < min.value) min = { value, time: span.from };
+    if (!max || value > max.value) max = { value, time: span.from };
+    weighted += value * (span.to - span.from);
+    total += span.to - span.from;
+  }
+
+  if (!min) return null;
+  return { min, max, mean: weighted / total };
+}
+
+// The same from hourly long-term statistics ([{ start, mean, min, max }])
+function statisticsSummary(rows) {
+  const valid = rows.filter(row => typeof row.mean === 'number');
+  if (valid.length === 0) return null;
+
+  const min = valid.reduce((a, b) => (b.min < a.min ? b : a));
+  const max = valid.reduce((a, b) => (b.max > a.max ? b : a));
+  return {
+    min: { value: min.min, time: min.start },
+    max: { value: max.max, time: max.start },
+    mean: valid.reduce((sum, row) => sum + row.mean, 0) / valid.length
+  };
+}
+
+// Actual changes only (attribute updates repeat the state)
+function changes(points) {
+  return points.filter((point, i) => i === 0 || point.state !== points[i - 1].state);
+}
+
+// The recorded state at a moment (history starts with the state at its start)
+function stateAt(points, time) {
+  const before = points.filter(p => p.time <= time);
+  return before.length > 0 ? before[before.length - 1] : points[0] || null;
+}
+
+// Last time the entity went into a matching state (not counting a state it was already in at the start)
+function lastEntered(points, matches) {
+  for (let i = points.length - 1; i > 0; i--) {
+    if (matches(points[i].state) && !matches(points[i - 1].state)) return points[i];
+  }
+  return null;
+}
+
+// "3 h 25 min", "12 min", "40s"
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours >= 48) return `${Math.round(hours / 24 * 10) / 10} days`;
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+// A state as people say it: "open" for a door sensor, "away" for not_home
+function describeState(entity, state) {
+  const domain = entity.entity_id.split('.')[0];
+  if (domain === 'binary_sensor' && (state === 'on' || state === 'off')) {
+    const words = BINARY_WORDS[entity.attributes.device_class];
+    if (words) return state === 'on' ? words[0] : words[1];
+  }
+  if (state === 'not_home') return 'away';
+
+  const unit = entity.attributes.unit_of_measurement;
+  if (unit && !isNaN(parseFloat(state))) return `${state} ${unit}`;
+  return state.replace(/_/g, ' ');
+}
+
+// The state, saying why it counts as "on" when it isn't literally that ("on (heat)")
+function describeMatch(entity, state, target) {
+  const described = describeState(entity, state);
+  return target === 'on' && state !== 'on' ? `on (${described})` : described;
+}
+
+// Whether a recorded state counts as `target` ("on", "open", "home"...) for this entity
+function stateMatcher(entity, target, domainStates) {
+  const domain = entity.entity_id.split('.')[0];
+  if (target === 'on') return (state) => !OFF_STATES.includes(state);
+
+  const wanted = domainStates[domain] || domainStates.default;
+  return (state) => state === wanted;
+}
+
+module.exports = {
+  PERIOD,
+  parsePeriod,
+  periodPhrase,
+  timeInState,
+  numericStats,
+  statisticsSummary,
+  changes,
+  stateAt,
+  lastEntered,
+  formatDuration,
+  describeState,
+  describeMatch,
+  stateMatcher
+};
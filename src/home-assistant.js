@@ -1,10 +1,14 @@
 // Home Assistant API Client
 const axios = require('axios');
-const WebSocket = require('ws');
+const HaConnection = require('./ha-connection');
+const { fromBuffer } = require('./attachments');
 const logger = require('./logger');
 
+const REGISTRY_EVENTS = ['area_registry_updated', 'floor_registry_updated', 'device_registry_updated', 'entity_registry_updated'];
+
 class HomeAssistant {
-  constructor(baseUrl, token) {
+  // options: { onFatal(err), backoff, pingInterval, pongTimeout } - passed to the WebSocket connection
+  constructor(baseUrl, token, options = {}) {
     this.url = baseUrl.replace(/\/$/, '');
     this.token = token;
     this.restClient = axios.create({
@@ -14,8 +18,27 @@ class HomeAssistant {
         'Content-Type': 'application/json'
       }
     });
-    this.ws = null;
+    this.connection = new HaConnection(this.url.replace('http', 'ws') + '/api/websocket', token, {
+      ...options,
+      onReady: () => this.handleReady(),
+      // Changes may be missed while disconnected - fall back to REST until resynced
+      onDisconnect: () => { this.statesLoaded = false; }
+    });
     this.subscribers = [];
+
+    // Live mirror of all entity states (filled by get_states, kept fresh by state_changed)
+    this.states = new Map();
+    this.statesLoaded = false;
+
+    // Area, device and entity registries (loaded over WebSocket)
+    this.areas = new Map();
+    this.floors = new Map();
+    this.devices = new Map();
+    this.entityRegistry = new Map();
+    this.registryLoaded = false;
+    this.registryVersion = 0;
+    this.registryReloadTimers = new Map();
+    this.config = null;
   }
 
   async testConnection() {
@@ -23,17 +46,38 @@ class HomeAssistant {
     return response.data;
   }
 
+  // Answered from the live mirror once it is loaded, REST otherwise
   async getStates() {
+    if (this.statesLoaded) {
+      return [...this.states.values()];
+    }
     const response = await this.restClient.get('/api/states');
     return response.data;
   }
 
   async getState(entityId) {
+    if (this.statesLoaded) {
+      return this.states.get(entityId) || null;
+    }
     const response = await this.restClient.get(`/api/states/${entityId}`);
     return response.data;
   }
 
+  // Current state from the mirror without a round trip (null if unknown)
+  getMirroredState(entityId) {
+    return this.states.get(entityId) || null;
+  }
+
+  // Sent as call_service over the WebSocket when connected, REST otherwise
   async callService(domain, service, serviceData = {}) {
+    if (this.connection.ready) {
+      return this.sendWsCommand('call_service', {
+        domain,
+        service,
+        service_data: serviceData
+      });
+    }
+
     const response = await this.restClient.post(
       `/api/services/${domain}/${service}`,
       serviceData
@@ -41,6 +85,58 @@ class HomeAssistant {
     return response.data;
   }
 
+  async loadStates() {
+    const states = await this.sendWsCommand('get_states');
+    this.states = new Map(states.map(e => [e.entity_id, e]));
+    this.statesLoaded = true;
+    logger.info(`HA state mirror loaded: ${this.states.size} entities`);
+  }
+
+  // After a reconnect: reload all states and report what changed while we were away
+  // as synthetic state_changed events, so rules and alerts don't miss anything
+  async resyncStates() {
+    const states = await this.sendWsCommand('get_states');
+    const fresh = new Map(states.map(e => [e.entity_id, e]));
+    const changes = [];
+
+    for (const [entityId, newState] of fresh) {
+      const oldState = this.states.get(entityId);
+      // Live events may already have delivered this (or a newer) state
+      if (oldState && oldState.last_updated >= newState.last_updated) {
+        fresh.set(entityId, oldState);
+        continue;
+      }
+      // A restarted HA restores states with a new last_updated - not a change
+      if (oldState && oldState.state === newState.state &&
+          JSON.stringify(oldState.attributes) === JSON.stringify(newState.attributes)) {
+        continue;
+      }
+      changes.push({ entity_id: entityId, old_state: oldState || null, new_state: newState });
+    }
+
+    for (const [entityId, oldState] of this.states) {
+      if (!fresh.has(entityId)) {
+        changes.push({ entity_id: entityId, old_state: oldState, new_state: null });
+      }
+    }
+
+    this.states = fresh;
+    this.statesLoaded = true;
+    logger.info(`HA state mirror resynced: ${fresh.size} entities, ${changes.length} changed while disconnected`);
+
+    for (const data of changes) {
+      this.notifySubscribers(data);
+    }
+  }
+
+  updateState(data) {
+    if (data.new_state) {
+      this.states.set(data.entity_id, data.new_state);
+    } else {
+      this.states.delete(data.entity_id);
+    }
+  }
+
   async turnOn(entityId) {
     return this.callService('homeassistant', 'turn_on', { entity_id: entityId });
   }
@@ -60,11 +156,182 @@ class HomeAssistant {
     });
   }
 
-  async setTemperature(entityId, temperature) {
-    return this.callService('climate', 'set_temperature', {
-      entity_id: entityId,
-      temperature: temperature
+  // Colour, white temperature, brightness, effect and transition in one call
+  async setLight(entityId, data) {
+    return this.callService('light', 'turn_on', { entity_id: entityId, ...data });
+  }
+
+  async setTemperature(entityId, temperature, hvacMode = null) {
+    const data = { entity_id: entityId, temperature: temperature };
+    if (hvacMode) data.hvac_mode = hvacMode;
+    return this.callService('climate', 'set_temperature', data);
+  }
+
+  async setHvacMode(entityId, hvacMode) {
+    return this.callService('climate', 'set_hvac_mode', { entity_id: entityId, hvac_mode: hvacMode });
+  }
+
+  async setPresetMode(entityId, presetMode) {
+    return this.callService('climate', 'set_preset_mode', { entity_id: entityId, preset_mode: presetMode });
+  }
+
+  async setFanMode(entityId, fanMode) {
+    return this.callService('climate', 'set_fan_mode', { entity_id: entityId, fan_mode: fanMode });
+  }
+
+  // HA's temperature unit (climate attributes use it too)
+  async getTemperatureUnit() {
+    const config = await this.getCachedConfig();
+    return (config.unit_system || {}).temperature || '°C';
+  }
+
+  // Recorded states of one entity between two timestamps (ms), oldest first, starting
+  // with the state it was in at `start`: [{ state, time }]
+  async getHistory(entityId, start, end) {
+    if (this.connection.ready) {
+      const result = await this.sendWsCommand('history/history_during_period', {
+        start_time: new Date(start).toISOString(),
+        end_time: new Date(end).toISOString(),
+        entity_ids: [entityId],
+        minimal_response: true,
+        no_attributes: true,
+        significant_changes_only: false
+      });
+      // Compressed rows: s = state, lc/lu = last changed/updated in seconds (lc only when it differs)
+      return (result[entityId] || []).map(row => ({
+        state: row.s,
+        time: Math.round((row.lc || row.lu) * 1000)
+      }));
+    }
+
+    const response = await this.restClient.get(`/api/history/period/${new Date(start).toISOString()}`, {
+      params: {
+        filter_entity_id: entityId,
+        end_time: new Date(end).toISOString(),
+        minimal_response: '',
+        no_attributes: '',
+        significant_changes_only: 0
+      }
+    });
+    return (response.data[0] || []).map(row => ({ state: row.state, time: Date.parse(row.last_changed) }));
+  }
+
+  // Hourly long-term statistics (kept after the history is purged) - WebSocket only
+  // [{ start, mean, min, max }]
+  async getStatistics(entityId, start, end) {
+    const result = await this.sendWsCommand('recorder/statistics_during_period', {
+      start_time: new Date(start).toISOString(),
+      end_time: new Date(end).toISOString(),
+      statistic_ids: [entityId],
+      period: 'hour',
+      types: ['mean', 'min', 'max']
     });
+    return (result[entityId] || []).map(row => ({
+      start: typeof row.start === 'number' ? row.start : Date.parse(row.start),
+      mean: row.mean,
+      min: row.min,
+      max: row.max
+    }));
+  }
+
+  // Current camera image as an attachment
+  async getCameraSnapshot(entityId) {
+    const response = await this.restClient.get(`/api/camera_proxy/${entityId}`, {
+      responseType: 'arraybuffer',
+      timeout: 30000
+    });
+    const contentType = (response.headers['content-type'] || 'image/jpeg').split(';')[0].trim();
+    const extension = contentType === 'image/png' ? 'png' : 'jpg';
+    return fromBuffer(response.data, contentType, `${entityId.split('.')[1]}.${extension}`);
+  }
+
+  // The camera that belongs with an entity: on the same device, otherwise in the same area
+  findCameraFor(entityId) {
+    if (entityId.startsWith('camera.')) return entityId;
+
+    const cameras = [...new Set([...this.entityRegistry.keys(), ...this.states.keys()])]
+      .filter(id => id.startsWith('camera.'))
+      .sort();
+
+    const entry = this.entityRegistry.get(entityId);
+    if (entry && entry.device_id) {
+      const sameDevice = cameras.find(id => (this.entityRegistry.get(id) || {}).device_id === entry.device_id);
+      if (sameDevice) return sameDevice;
+    }
+
+    const areaId = this.getAreaId(entityId);
+    if (areaId) {
+      const sameArea = cameras.find(id => this.getAreaId(id) === areaId);
+      if (sameArea) return sameArea;
+    }
+
+    return null;
+  }
+
+  // Assist: HA's conversation agent answers free text
+  // options: { conversationId, agentId, language } -> { speech, conversationId, responseType }
+  async processConversation(text, options = {}) {
+    const payload = { text };
+    if (options.conversationId) payload.conversation_id = options.conversationId;
+    if (options.agentId) payload.agent_id = options.agentId;
+    if (options.language) payload.language = options.language;
+
+    let result;
+    if (this.connection.ready) {
+      result = await this.sendWsCommand('conversation/process', payload);
+    } else {
+      const response = await this.restClient.post('/api/conversation/process', payload);
+      result = response.data;
+    }
+
+    return this.conversationResult(result);
+  }
+
+  // Assist through a specific pipeline (its agent, language and settings) - WebSocket only
+  // options: { pipelineId, conversationId }
+  runAssistPipeline(text, options = {}) {
+    return new Promise((resolve, reject) => {
+      const payload = {
+        start_stage: 'intent',
+        end_stage: 'intent',
+        input: { text }
+      };
+      if (options.pipelineId) payload.pipeline = options.pipelineId;
+      if (options.conversationId) payload.conversation_id = options.conversationId;
+
+      const timer = setTimeout(() => {
+        run.close();
+        reject(new Error('Assist pipeline timed out'));
+      }, 60000);
+
+      const finish = (err, result) => {
+        clearTimeout(timer);
+        run.close();
+        if (err) reject(err);
+        else resolve(result);
+      };
+
+      const run = this.connection.stream('assist_pipeline/run', payload, (event) => {
+        if (event.type === 'intent-end') {
+          finish(null, this.conversationResult(event.data.intent_output));
+        } else if (event.type === 'error') {
+          finish(new Error(event.data.message || event.data.code));
+        } else if (event.type === 'run-end') {
+          finish(new Error('Assist pipeline ended without an answer'));
+        }
+      });
+      run.promise.catch(err => finish(err));
+    });
+  }
+
+  conversationResult(result) {
+    const response = (result && result.response) || {};
+    const speech = response.speech && response.speech.plain ? response.speech.plain.speech : '';
+    return {
+      speech,
+      conversationId: result ? result.conversation_id : null,
+      responseType: response.response_type || null
+    };
   }
 
   async getConfig() {
@@ -72,6 +339,20 @@ class HomeAssistant {
     return response.data;
   }
 
+  // HA's core config rarely changes - fetched once
+  async getCachedConfig() {
+    if (!this.config) {
+      this.config = await this.getConfig();
+    }
+    return this.config;
+  }
+
+  // The HA instance's time zone, e.g. "Europe/Berlin"
+  async getTimeZone() {
+    const config = await this.getCachedConfig();
+    return config.time_zone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
   async getServices() {
     const response = await this.restClient.get('/api/services');
     return response.data;
@@ -84,13 +365,142 @@ class HomeAssistant {
 
   async getEntitiesByArea(area) {
     const states = await this.getStates();
-    // Area matching is heuristic based on entity_id or friendly name
-    return states.filter(e => {
-      if (e.attributes.friendly_name) {
-        return e.attributes.friendly_name.toLowerCase().includes(area.toLowerCase());
+
+    if (!this.registryLoaded) {
+      // Registries not available yet - fall back to name matching
+      logger.warn(`Area registry not loaded, guessing entities for "${area}" by name`);
+      return states.filter(e => {
+        if (e.attributes.friendly_name) {
+          return e.attributes.friendly_name.toLowerCase().includes(area.toLowerCase());
+        }
+        return e.entity_id.toLowerCase().includes(area.toLowerCase().replace(/\s+/g, '_'));
+      });
+    }
+
+    const match = this.findArea(area);
+    if (!match) return [];
+
+    return states.filter(e => this.getAreaId(e.entity_id) === match.area_id);
+  }
+
+  // Registry helpers
+  async loadRegistries() {
+    const [areas, devices, entities] = await Promise.all([
+      this.sendWsCommand('config/area_registry/list'),
+      this.sendWsCommand('config/device_registry/list'),
+      this.sendWsCommand('config/entity_registry/list')
+    ]);
+
+    this.setAreas(areas);
+    this.setDevices(devices);
+    this.setEntityRegistry(entities);
+    this.registryLoaded = true;
+
+    // Floors only exist on HA 2024.4 and newer
+    try {
+      this.setFloors(await this.sendWsCommand('config/floor_registry/list'));
+    } catch (err) {
+      logger.debug('Floor registry not available:', err.message);
+    }
+
+    logger.info(`HA registries loaded: ${this.areas.size} areas, ${this.floors.size} floors, ${this.devices.size} devices, ${this.entityRegistry.size} entities`);
+  }
+
+  async reloadRegistry(eventType) {
+    try {
+      if (eventType === 'area_registry_updated') {
+        this.setAreas(await this.sendWsCommand('config/area_registry/list'));
+      } else if (eventType === 'floor_registry_updated') {
+        this.setFloors(await this.sendWsCommand('config/floor_registry/list'));
+      } else if (eventType === 'device_registry_updated') {
+        this.setDevices(await this.sendWsCommand('config/device_registry/list'));
+      } else if (eventType === 'entity_registry_updated') {
+        this.setEntityRegistry(await this.sendWsCommand('config/entity_registry/list'));
       }
-      return e.entity_id.toLowerCase().includes(area.toLowerCase().replace(/\s+/g, '_'));
+      logger.debug(`Reloaded registry after ${eventType}`);
+    } catch (err) {
+      logger.error(`Failed to reload registry after ${eventType}:`, err.message);
+    }
+  }
+
+  setAreas(areas) {
+    this.areas = new Map(areas.map(a => [a.area_id, a]));
+    this.registryVersion++;
+  }
+
+  setFloors(floors) {
+    this.floors = new Map(floors.map(f => [f.floor_id, f]));
+    this.registryVersion++;
+  }
+
+  setDevices(devices) {
+    this.devices = new Map(devices.map(d => [d.id, d]));
+    this.registryVersion++;
+  }
+
+  setEntityRegistry(entities) {
+    this.entityRegistry = new Map(entities.map(e => [e.entity_id, e]));
+    this.registryVersion++;
+  }
+
+  // Entity area wins over the area of the device it belongs to
+  getAreaId(entityId) {
+    const entry = this.entityRegistry.get(entityId);
+    if (!entry) return null;
+    if (entry.area_id) return entry.area_id;
+
+    const device = entry.device_id ? this.devices.get(entry.device_id) : null;
+    return device ? device.area_id || null : null;
+  }
+
+  getArea(entityId) {
+    const areaId = this.getAreaId(entityId);
+    return areaId ? this.areas.get(areaId) || null : null;
+  }
+
+  findArea(name) {
+    const query = name.toLowerCase().trim().replace(/_/g, ' ');
+    const areas = [...this.areas.values()];
+
+    // Exact match on name, id or alias
+    const exact = areas.find(a =>
+      a.name.toLowerCase() === query ||
+      a.area_id.replace(/_/g, ' ') === query ||
+      (a.aliases || []).some(alias => alias.toLowerCase() === query)
+    );
+    if (exact) return exact;
+
+    // Whole-word match ("master" finds "Master Bedroom", "bed" does not)
+    const words = query.split(/\s+/);
+    const partial = areas.filter(a => {
+      const areaWords = a.name.toLowerCase().split(/\s+/);
+      return words.every(w => areaWords.includes(w));
     });
+
+    return partial.length === 1 ? partial[0] : null;
+  }
+
+  findFloor(name) {
+    const query = name.toLowerCase().trim().replace(/_/g, ' ');
+    return [...this.floors.values()].find(f =>
+      f.name.toLowerCase() === query ||
+      f.floor_id.replace(/_/g, ' ') === query ||
+      (f.aliases || []).some(alias => alias.toLowerCase() === query)
+    ) || null;
+  }
+
+  getAreasOnFloor(floorId) {
+    return [...this.areas.values()].filter(a => a.floor_id === floorId);
+  }
+
+  // Hidden and config/diagnostic entities are left out of area-wide actions
+  isHidden(entityId) {
+    const entry = this.entityRegistry.get(entityId);
+    return !!(entry && (entry.hidden_by || entry.entity_category));
+  }
+
+  listAreas() {
+    return [...this.areas.values()].sort((a, b) => a.name.localeCompare(b.name));
   }
 
   getAreaStateSummary(entities) {
@@ -129,57 +539,55 @@ class HomeAssistant {
     return summary;
   }
 
-  // WebSocket for real-time events
-  subscribeToEvents(callback) {
-    const wsUrl = this.url.replace('http', 'ws') + '/api/websocket';
-    
-    this.ws = new WebSocket(wsUrl);
-    
-    this.ws.on('open', () => {
-      logger.info('HA WebSocket connected');
-      
-      // Authenticate
-      this.ws.send(JSON.stringify({
-        type: 'auth',
-        access_token: this.token
-      }));
-    });
+  // WebSocket commands (id-correlated request/response)
+  sendWsCommand(type, payload = {}) {
+    return this.connection.sendCommand(type, payload);
+  }
 
-    this.ws.on('message', (data) => {
-      const msg = JSON.parse(data);
-      
-      if (msg.type === 'auth_ok') {
-        logger.info('HA WebSocket authenticated');
-        
-        // Subscribe to state changes
-        this.ws.send(JSON.stringify({
-          id: 1,
-          type: 'subscribe_events',
-          event_type: 'state_changed'
-        }));
-      }
-      
-      if (msg.type === 'event' && msg.event.event_type === 'state_changed') {
-        callback(msg.event.data);
+  // Runs after every (re)authentication; subscriptions are restored by the connection
+  handleReady() {
+    this.loadRegistries()
+      .catch(err => logger.error('Failed to load HA registries:', err.message));
+
+    // Only a reconnect has anything to catch up on
+    const load = this.states.size > 0 ? this.resyncStates() : this.loadStates();
+    load.catch(err => logger.error('Failed to load HA states:', err.message));
+  }
+
+  notifySubscribers(data) {
+    for (const callback of this.subscribers) {
+      try {
+        callback(data);
+      } catch (err) {
+        logger.error('Error in HA event subscriber:', err.message);
       }
-    });
+    }
+  }
 
-    this.ws.on('error', (err) => {
-      logger.error('HA WebSocket error:', err.message);
-    });
+  // Real-time state changes; connects on the first subscriber
+  subscribeToEvents(callback) {
+    this.subscribers.push(callback);
+    if (this.subscribers.length > 1) return;
 
-    this.ws.on('close', () => {
-      logger.warn('HA WebSocket closed, reconnecting in 5s...');
-      setTimeout(() => this.subscribeToEvents(callback), 5000);
+    this.connection.subscribe('state_changed', (event) => {
+      this.updateState(event.data);
+      this.notifySubscribers(event.data);
     });
 
-    this.subscribers.push(callback);
+    // Keep registries fresh - events arrive in bursts, reload once they settle
+    for (const eventType of REGISTRY_EVENTS) {
+      this.connection.subscribe(eventType, () => {
+        clearTimeout(this.registryReloadTimers.get(eventType));
+        this.registryReloadTimers.set(eventType, setTimeout(() => this.reloadRegistry(eventType), 1000));
+      });
+    }
+
+    this.connection.connect();
   }
 
   disconnect() {
-    if (this.ws) {
-      this.ws.close();
-    }
+    for (const timer of this.registryReloadTimers.values()) clearTimeout(timer);
+    this.connection.close();
   }
 }
 
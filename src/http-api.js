@@ -0,0 +1,161 @@
+// HTTP API
+// Lets Home Assistant (rest_command, notify.rest) send Signal messages through the bridge
+const crypto = require('crypto');
+const express = require('express');
+const { fromBase64, fetchAttachment } = require('./attachments');
+const logger = require('./logger');
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value.map(String) : String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Constant-time comparison so the token can't be guessed byte by byte
+function tokenMatches(given, expected) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class HttpApi {
+  // options:
+  //   token                              - shared secret, sent as "Authorization: Bearer <token>"
+  //   send(recipient, text, attachments) - recipient is { type: 'number' | 'group', id }
+  //   resolveRecipients(notify)          - notify block ({ numbers, groups, group, roles }) -> recipients
+  //   fetchAttachment(url)               - download an attachment URL
+  constructor(options = {}) {
+    if (!options.token) {
+      throw new Error('HTTP API needs a token');
+    }
+
+    this.token = options.token;
+    this.send = options.send;
+    this.resolveRecipients = options.resolveRecipients;
+    this.fetchAttachment = options.fetchAttachment || fetchAttachment;
+    this.server = null;
+
+    this.app = express();
+    this.app.use(express.json({ limit: '15mb' }));
+
+    this.app.get('/health', (req, res) => res.json({ status: 'ok' }));
+    this.app.use((req, res, next) => this.authenticate(req, res, next));
+    this.app.post('/notify', (req, res) => this.handleNotify(req, res));
+
+    // Malformed JSON and the like
+    this.app.use((err, req, res, next) => {
+      res.status(err.status || 500).json({ error: err.message });
+    });
+  }
+
+  authenticate(req, res, next) {
+    const header = req.get('authorization') || '';
+    const given = header.replace(/^Bearer\s+/i, '');
+
+    if (!tokenMatches(given, this.token)) {
+      logger.warn(`Rejected HTTP API request from ${req.ip}: bad token`);
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    next();
+  }
+
+  // Recipients from number(s), group(s), role(s) or an HA notify "target" list:
+  // "+15551234567", "group" (the bridge's group), "group:<id>", "role:<name>"
+  notifyBlock(body) {
+    const notify = {
+      numbers: [...toList(body.number), ...toList(body.numbers)],
+      groups: [...toList(body.groups)],
+      roles: [...toList(body.role), ...toList(body.roles)],
+      group: body.group === true || body.group === 'true'
+    };
+
+    if (typeof body.group === 'string' && body.group !== 'true') {
+      notify.groups.push(body.group);
+    }
+
+    for (const target of toList(body.target)) {
+      if (target === 'group') notify.group = true;
+      else if (target.startsWith('group:')) notify.groups.push(target.slice(6));
+      else if (target.startsWith('role:')) notify.roles.push(target.slice(5));
+      else notify.numbers.push(target);
+    }
+
+    return notify;
+  }
+
+  async attachmentsFor(body) {
+    const attachments = [];
+    if (body.attachment_url) {
+      const attachment = await this.fetchAttachment(body.attachment_url);
+      if (body.filename) attachment.filename = body.filename;
+      attachments.push(attachment);
+    }
+    if (body.attachment) {
+      attachments.push(fromBase64(body.attachment, body.content_type, body.filename));
+    }
+    return attachments;
+  }
+
+  async handleNotify(req, res) {
+    const body = req.body || {};
+    const message = body.message !== undefined ? body.message : body.text;
+
+    if (!message && !body.attachment && !body.attachment_url) {
+      res.status(400).json({ error: 'message (or an attachment) is required' });
+      return;
+    }
+
+    const recipients = this.resolveRecipients(this.notifyBlock(body));
+    if (recipients.length === 0) {
+      res.status(400).json({ error: 'No recipients: set number, group, role or target' });
+      return;
+    }
+
+    let attachments;
+    try {
+      attachments = await this.attachmentsFor(body);
+    } catch (err) {
+      res.status(400).json({ error: `Attachment failed: ${err.message}` });
+      return;
+    }
+
+    const text = body.title ? `${body.title}\n${message || ''}`.trim() : String(message || '');
+
+    let sent = 0;
+    const errors = [];
+    for (const recipient of recipients) {
+      try {
+        await this.send(recipient, text, attachments);
+        sent++;
+      } catch (err) {
+        errors.push(`${recipient.type} ${recipient.id}: ${err.message}`);
+      }
+    }
+
+    logger.info(`HTTP notify: sent to ${sent}/${recipients.length} recipients${attachments.length ? ` with ${attachments.length} attachment(s)` : ''}`);
+
+    if (sent === 0) {
+      res.status(502).json({ error: 'Sending failed', errors });
+      return;
+    }
+    res.json({ sent, failed: errors.length, errors });
+  }
+
+  listen(port, host = '0.0.0.0') {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, () => {
+        logger.info(`✓ HTTP API listening on ${host}:${port}`);
+        resolve();
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  close() {
+    if (this.server) {
+      this.server.close();
+    }
+  }
+}
+
+module.exports = HttpApi;
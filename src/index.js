@@ -2,21 +2,40 @@
 // Main entry point with Group Support
 
 require('dotenv').config();
+const path = require('path');
 const SignalClient = require('./signal-client');
 const HomeAssistant = require('./home-assistant');
 const CommandParser = require('./command-parser');
+const Permissions = require('./permissions');
+const Confirmations = require('./confirmations');
+const NotificationRules = require('./notification-rules');
+const { ALARM_RULES } = NotificationRules;
+const NotificationDispatcher = require('./notification-dispatcher');
+const Subscriptions = require('./subscriptions');
+const Scheduler = require('./scheduler');
+const Digests = require('./digest');
+const Store = require('./store');
+const HttpApi = require('./http-api');
+const SpeechToText = require('./speech-to-text');
+const axios = require('axios');
+const { fetchAttachment } = require('./attachments');
 const logger = require('./logger');
 
 const REQUIRED_ENV = [
   'HA_URL',
   'HA_TOKEN', 
   'SIGNAL_API_URL',
-  'SIGNAL_NUMBER',
-  'ALLOWED_NUMBERS'
+  'SIGNAL_NUMBER'
 ];
 
 function validateEnv() {
   const missing = REQUIRED_ENV.filter(key => !process.env[key]);
+  
+  // Either a permissions file or the plain allowlist is needed
+  if (!process.env.PERMISSIONS_FILE && !process.env.ALLOWED_NUMBERS) {
+    missing.push('ALLOWED_NUMBERS (or PERMISSIONS_FILE)');
+  }
+  
   if (missing.length > 0) {
     logger.error(`Missing required environment variables: ${missing.join(', ')}`);
     process.exit(1);
@@ -33,20 +52,91 @@ async function main() {
     haToken: process.env.HA_TOKEN,
     signalApiUrl: process.env.SIGNAL_API_URL,
     signalNumber: process.env.SIGNAL_NUMBER,
-    allowedNumbers: process.env.ALLOWED_NUMBERS.split(',').map(n => n.trim()),
+    allowedNumbers: (process.env.ALLOWED_NUMBERS || '').split(',').map(n => n.trim()).filter(Boolean),
+    permissionsFile: process.env.PERMISSIONS_FILE,
+    notificationRulesFile: process.env.NOTIFICATION_RULES_FILE,
+    dataDir: process.env.DATA_DIR || 'data',
+    httpPort: parseInt(process.env.HTTP_PORT) || 8099,
+    httpToken: process.env.HTTP_TOKEN,
+    imageForwardUrl: process.env.IMAGE_FORWARD_URL,
+    assist: process.env.ASSIST_FALLBACK === 'true' ? {
+      agentId: process.env.ASSIST_AGENT_ID,
+      pipelineId: process.env.ASSIST_PIPELINE_ID,
+      language: process.env.ASSIST_LANGUAGE
+    } : null,
+    alarmAlerts: process.env.ALARM_ALERTS !== 'false',
+    graphPeriod: process.env.GRAPH_PERIOD || '24h',
     updateInterval: parseInt(process.env.UPDATE_INTERVAL) || 60000,
     groupMode: process.env.GROUP_MODE === 'true',
     groupName: process.env.GROUP_NAME || 'Home Assistant Bot',
     debugMode: process.env.DEBUG_MODE === 'true',
-    signalMode: process.env.SIGNAL_MODE || 'normal' // 'normal' or 'json-rpc'
+    signalMode: process.env.SIGNAL_MODE || 'normal' // 'normal', 'json-rpc' or 'websocket'
   };
   
   logger.info(`Signal mode: ${config.signalMode}`);
   
+  // Permissions: policy file if configured, otherwise ALLOWED_NUMBERS get full access
+  const permissions = config.permissionsFile
+    ? Permissions.fromFile(config.permissionsFile)
+    : Permissions.fromAllowedNumbers(config.allowedNumbers);
+  
+  // Group members default to everyone with a role
+  if (config.allowedNumbers.length === 0) {
+    config.allowedNumbers = permissions.numbers();
+  }
+  
+  // Persistent state (dedup IDs, groups, subscriptions, pending confirmations)
+  const store = new Store(path.join(config.dataDir, 'bridge.json')).open();
+  
   // Initialize clients
-  const ha = new HomeAssistant(config.haUrl, config.haToken);
-  const signal = new SignalClient(config.signalApiUrl, config.signalNumber, config.signalMode);
-  const parser = new CommandParser(ha);
+  const ha = new HomeAssistant(config.haUrl, config.haToken, {
+    // A rejected token won't start working by retrying
+    onFatal: (err) => {
+      logger.error('Home Assistant authentication failed, check HA_TOKEN:', err.message);
+      process.exit(1);
+    }
+  });
+  const signal = new SignalClient(config.signalApiUrl, config.signalNumber, config.signalMode, { store });
+  const confirmations = Confirmations.fromEnv(process.env, { store });
+  const subscriptions = new Subscriptions(store, {
+    onChange: () => subscriptionRules.setRules(subscriptions.toRules())
+  });
+  // Scheduled commands run as their creator, answering in the chat they were set up from
+  const scheduler = new Scheduler(store, {
+    run: async (job) => {
+      const response = await parser.execute(job.command, { source: job.owner, groupId: job.groupId, scheduled: true });
+      if (!response) return;
+      const { text, attachments } = typeof response === 'string' ? { text: response, attachments: [] } : response;
+      await sendTo(scheduleRecipient(job), `⏰ ${job.command}\n\n${text}`, attachments);
+    },
+    onMissed: (job) => {
+      sendTo(scheduleRecipient(job), `⚠️ Missed schedule while the bridge was offline: ${job.command}`)
+        .catch(err => logger.error('Failed to report missed schedule:', err.message));
+    }
+  });
+  // Home digests from the notification rules file; rule notifications are collected for them
+  const digests = new Digests(store, {
+    getDigests: () => rules.digests,
+    getTimeZone: () => ha.getTimeZone(),
+    build: (digest, since) => parser.getDigest({ ...digest, since }),
+    send: async (digest, text) => {
+      for (const recipient of resolveRecipients(digest.notify)) {
+        await sendTo(recipient, text)
+          .catch(err => logger.error(`Failed to send digest to ${recipient.type} ${recipient.id}:`, err.message));
+      }
+    }
+  });
+  const parser = new CommandParser(ha, {
+    permissions,
+    confirmations,
+    subscriptions,
+    scheduler,
+    digests,
+    store,
+    assist: config.assist,
+    graphPeriod: config.graphPeriod
+  });
+  const speechToText = SpeechToText.fromEnv(process.env, { ha });
   
   // Initialize Signal connection (important for JSON-RPC mode)
   await signal.init();
@@ -73,103 +163,269 @@ async function main() {
       haGroupId = group.id;
       logger.info(`✓ Group ready: "${group.name}" with ${group.members?.length || 0} members`);
       
-      // Send welcome message to group
-      await signal.sendMessage(null, '🏠 Home Assistant Bot is now monitoring your home. Send "help" for commands.', haGroupId);
+      // Send welcome message only to a new group, not on every restart
+      if (store.get('bridge', 'haGroupId') !== haGroupId) {
+        store.set('bridge', 'haGroupId', haGroupId);
+        await signal.sendMessage(null, '🏠 Home Assistant Bot is now monitoring your home. Send "help" for commands.', haGroupId);
+      }
     } catch (err) {
       logger.error('Failed to setup group:', err.message);
       logger.info('Continuing in individual mode...');
     }
   }
   
-  // In-memory message tracking
-  const processedMessages = new Set();
-  const messageRetention = 1000;
+  function reply(msg, text, attachments = []) {
+    return msg.isGroup && msg.groupId
+      ? signal.sendMessage(null, text, msg.groupId, attachments)
+      : signal.sendMessage(msg.source, text, null, attachments);
+  }
   
-  // Message polling loop
-  async function pollMessages() {
-    try {
-      const messages = await signal.receiveMessages();
+  // Group IDs are long - accept any unique prefix
+  async function findGroup(prefix) {
+    const groups = await signal.listGroups();
+    const matches = groups.filter(g => g.id && g.id.startsWith(prefix));
+    return matches.length === 1 ? matches[0] : null;
+  }
+  
+  // Post an image to IMAGE_FORWARD_URL (paths starting with / go to HA, e.g. a webhook)
+  async function forwardImage(image, msg) {
+    const payload = {
+      source: msg.source,
+      group_id: msg.groupId,
+      timestamp: msg.timestamp,
+      caption: msg.message || '',
+      filename: image.filename,
+      content_type: image.contentType,
+      data: image.data
+    };
+    
+    if (config.imageForwardUrl.startsWith('/')) {
+      await ha.restClient.post(config.imageForwardUrl, payload, { timeout: 60000 });
+    } else {
+      await axios.post(config.imageForwardUrl, payload, { timeout: 60000 });
+    }
+  }
+  
+  // Returns { transcript, forwarded }: the transcript of a voice note to run as a command,
+  // and whether an image was passed on to HA (its text going with it as the caption)
+  async function handleAttachments(msg) {
+    const replies = new Set();
+    let forwarded = false;
+    
+    for (const attachment of msg.attachments) {
+      const type = attachment.contentType || '';
       
-      for (const msg of messages) {
-        // Skip if already processed
-        const msgId = msg.timestamp + msg.source + (msg.groupId || '');
-        if (processedMessages.has(msgId)) continue;
-        
-        // Cleanup old message IDs
-        if (processedMessages.size > messageRetention) {
-          const iterator = processedMessages.values();
-          processedMessages.delete(iterator.next().value);
-        }
-        
-        processedMessages.add(msgId);
-        
-        // Check if sender is allowed (for non-group messages)
-        if (!msg.isGroup && !config.allowedNumbers.includes(msg.source)) {
-          logger.warn(`Rejected message from unauthorized number: ${msg.source}`);
+      if (type.startsWith('audio/')) {
+        if (!speechToText) {
+          replies.add('🎤 Voice notes are not set up on this bridge - please type your command');
           continue;
         }
-        
-        // Skip non-text messages
-        if (!msg.message || msg.message.trim() === '') continue;
-        
-        // Log message
-        if (msg.isGroup) {
-          logger.info(`Group message from ${msg.source} in "${msg.groupName}": "${msg.message}"`);
-        } else {
-          logger.info(`DM from ${msg.source}: "${msg.message}"`);
-        }
-        
-        // Handle special group commands
-        const cmd = msg.message.toLowerCase().trim();
-        
-        // Group management commands
-        if (cmd === '/groups' || cmd === 'list groups') {
-          const groups = await signal.listGroups();
-          const response = groups.map(g => `• ${g.name} (${g.members?.length || 0} members)`).join('\n') || 'No groups found';
-          await signal.sendMessage(msg.replyTo.id === 'group' ? null : msg.source, `📋 Groups:\n${response}`, msg.groupId);
-          continue;
+        try {
+          const audio = await signal.downloadAttachment(attachment, msg);
+          const transcript = await speechToText.transcribe(audio);
+          if (transcript) return { transcript, forwarded };
+          replies.add('🎤 Sorry, I couldn\'t make out that voice note');
+        } catch (err) {
+          logger.error(`Failed to transcribe voice note from ${msg.source}: ${err.message}`);
+          replies.add('❌ Sorry, I couldn\'t transcribe that voice note');
         }
-        
-        if (cmd === '/creategroup' || cmd.startsWith('create group')) {
-          const name = cmd.replace('/creategroup', '').replace('create group', '').trim() || 'HA Bot Group';
-          try {
-            const newGroup = await signal.createGroup(name, [config.signalNumber, msg.source]);
-            await signal.sendMessage(msg.source, `✅ Created group "${name}"\n\nGroup ID: ${newGroup.id?.substring(0, 30)}...\n\nAdd more members with: /invite ${newGroup.id?.substring(0, 20)} [phone number]`);
-          } catch (err) {
-            await signal.sendMessage(msg.source, `❌ Failed to create group: ${err.message}`);
-          }
+        continue;
+      }
+      
+      if (type.startsWith('image/') && config.imageForwardUrl) {
+        if (!permissions.check(msg.source, msg.groupId, { command: 'control' }).allowed) {
+          replies.add('🚫 You are not allowed to send images to Home Assistant');
           continue;
         }
-        
-        // Parse and execute command
         try {
-          const response = await parser.execute(msg.message);
-          
-          // Send response back to the right place
-          if (response) {
-            if (msg.isGroup && msg.groupId) {
-              // Respond to group
-              await signal.sendMessage(null, response, msg.groupId);
-            } else {
-              // Respond to individual
-              await signal.sendMessage(msg.source, response);
-            }
-          }
+          const image = await signal.downloadAttachment(attachment, msg);
+          await forwardImage(image, msg);
+          logger.info(`Forwarded image ${image.filename} from ${msg.source}`);
+          replies.add('🖼️ Image sent to Home Assistant');
+          forwarded = true;
         } catch (err) {
-          logger.error('Error executing command:', err.message);
-          const errorMsg = `❌ Error: ${err.message}`;
-          if (msg.isGroup && msg.groupId) {
-            await signal.sendMessage(null, errorMsg, msg.groupId);
-          } else {
-            await signal.sendMessage(msg.source, errorMsg);
-          }
+          logger.error(`Failed to forward image from ${msg.source}: ${err.message}`);
+          replies.add('❌ Sorry, I couldn\'t pass that image on to Home Assistant');
+        }
+        continue;
+      }
+      
+      // Text sent along runs as a command on its own
+      if (msg.message && msg.message.trim()) continue;
+      
+      replies.add(`📎 Thanks, but I can't do anything with ${type.startsWith('image/') ? 'images' : 'that kind of attachment'} - send a text${speechToText ? ' or voice' : ''} message instead`);
+    }
+    
+    for (const text of replies) {
+      await reply(msg, text);
+    }
+    return { transcript: null, forwarded };
+  }
+  
+  // Message tracking (persisted so restarts don't re-process old messages)
+  const messageRetention = 1000;
+  
+  // Handle one received message
+  async function handleMessage(msg) {
+    // Skip if already processed
+    const msgId = msg.timestamp + msg.source + (msg.groupId || '');
+    if (store.has('processed_messages', msgId)) return;
+    
+    // Cleanup old message IDs (keys keep insertion order)
+    const processedIds = store.keys('processed_messages');
+    if (processedIds.length > messageRetention) {
+      store.delete('processed_messages', processedIds[0]);
+    }
+    
+    store.set('processed_messages', msgId, Date.now());
+    
+    // Check if sender has any role (same rules for DMs and groups)
+    if (!permissions.isKnown(msg.source, msg.groupId)) {
+      logger.warn(`Rejected message from unauthorized number: ${msg.source}${msg.isGroup ? ` in group "${msg.groupName}"` : ''}`);
+      return;
+    }
+    
+    // Let the sender see the bot has read the message
+    signal.sendReceipt(msg.source, msg.timestamp)
+      .catch(err => logger.debug(`Failed to send read receipt: ${err.message}`));
+    
+    // Voice notes become commands, images may be forwarded, the rest gets a polite reply
+    const context = { source: msg.source, groupId: msg.groupId };
+    let heard = null;
+    if (msg.attachments.length > 0) {
+      const { transcript, forwarded } = await handleAttachments(msg);
+      heard = transcript;
+      if (heard) {
+        msg = { ...msg, message: heard };
+      } else if (forwarded) {
+        return; // The text went to HA as the image's caption
+      }
+    }
+    
+    // Skip non-text messages
+    if (!msg.message || msg.message.trim() === '') return;
+    
+    // Log message (never log PINs) - checked before the command runs, which ends the prompt
+    const secret = parser.expectsPin(context);
+    const logText = secret ? '[PIN]' : msg.message;
+    if (msg.isGroup) {
+      logger.info(`Group message from ${msg.source} in "${msg.groupName}": "${logText}"`);
+    } else {
+      logger.info(`DM from ${msg.source}: "${logText}"`);
+    }
+    
+    // Handle special group commands
+    const cmd = msg.message.toLowerCase().trim();
+    
+    // Group management commands
+    const isGroupCommand = cmd === '/groups' || cmd === 'list groups' || cmd === '/creategroup' || cmd.startsWith('create group') ||
+      cmd.startsWith('/invite') || cmd.startsWith('/leavegroup');
+    if (isGroupCommand && !permissions.check(msg.source, msg.groupId, { command: 'admin' }).allowed) {
+      logger.warn(`Denied admin command "${cmd}" for ${msg.source}`);
+      await signal.sendMessage(msg.isGroup ? null : msg.source, '🚫 You are not allowed to manage groups', msg.groupId);
+      return;
+    }
+    
+    if (cmd === '/groups' || cmd === 'list groups') {
+      const groups = await signal.listGroups();
+      const response = groups.map(g => `• ${g.name} (${g.members?.length || 0} members)`).join('\n') || 'No groups found';
+      await signal.sendMessage(msg.replyTo.id === 'group' ? null : msg.source, `📋 Groups:\n${response}`, msg.groupId);
+      return;
+    }
+    
+    if (cmd === '/creategroup' || cmd.startsWith('create group')) {
+      const name = cmd.replace('/creategroup', '').replace('create group', '').trim() || 'HA Bot Group';
+      try {
+        const newGroup = await signal.createGroup(name, [config.signalNumber, msg.source]);
+        await signal.sendMessage(msg.source, `✅ Created group "${name}"\n\nGroup ID: ${newGroup.id?.substring(0, 30)}...\n\nAdd more members with: /invite ${newGroup.id?.substring(0, 20)} [phone number]`);
+      } catch (err) {
+        await signal.sendMessage(msg.source, `❌ Failed to create group: ${err.message}`);
+      }
+      return;
+    }
+    
+    if (cmd.startsWith('/invite')) {
+      const [, prefix, number] = msg.message.trim().split(/\s+/);
+      const group = prefix && await findGroup(prefix);
+      if (!group || !number) {
+        await reply(msg, '❓ Usage: /invite [group ID] [phone number]');
+        return;
+      }
+      try {
+        await signal.updateGroup(group.id, { addMembers: [number] });
+        await reply(msg, `✅ Added ${number} to "${group.name}"`);
+      } catch (err) {
+        await reply(msg, `❌ Failed to add member: ${err.message}`);
+      }
+      return;
+    }
+    
+    if (cmd.startsWith('/leavegroup')) {
+      const prefix = msg.message.trim().split(/\s+/)[1];
+      const group = prefix && await findGroup(prefix);
+      if (!group) {
+        await reply(msg, '❓ Usage: /leavegroup [group ID]');
+        return;
+      }
+      try {
+        await signal.quitGroup(group.id);
+        if (group.id !== msg.groupId) {
+          await reply(msg, `👋 Left group "${group.name}"`);
         }
+      } catch (err) {
+        await reply(msg, `❌ Failed to leave group: ${err.message}`);
+      }
+      return;
+    }
+    
+    // Parse and execute command
+    try {
+      const response = await parser.execute(msg.message, context);
+      
+      // Send response back to the right place (text, or { text, attachments })
+      if (response) {
+        const { text, attachments } = typeof response === 'string' ? { text: response, attachments: [] } : response;
+        // Show what was understood from a voice note (unless it may have been a PIN or code)
+        const echo = heard && !secret ? `🎤 "${heard}"\n\n` : '';
+        await reply(msg, echo + text, attachments);
       }
+    } catch (err) {
+      logger.error('Error executing command:', err.message);
+      const errorMsg = `❌ Error: ${err.message}`;
+      if (msg.isGroup && msg.groupId) {
+        await signal.sendMessage(null, errorMsg, msg.groupId);
+      } else {
+        await signal.sendMessage(msg.source, errorMsg);
+      }
+    }
+  }
+  
+  // Poll cycles never overlap; messages pushed during a cycle trigger another one
+  let polling = false;
+  let pollAgain = false;
+  
+  async function pollMessages() {
+    if (polling) {
+      pollAgain = true;
+      return;
+    }
+    
+    polling = true;
+    try {
+      do {
+        pollAgain = false;
+        const messages = await signal.receiveMessages();
+        for (const msg of messages) {
+          await handleMessage(msg);
+        }
+      } while (pollAgain);
     } catch (err) {
       logger.error('Error polling messages:', err.message);
       if (config.debugMode) {
         logger.error(err.stack);
       }
+    } finally {
+      polling = false;
     }
   }
   
@@ -180,43 +436,142 @@ async function main() {
   }
   logger.info('Send "help" to get started');
   
+  // Pushed messages (json-rpc, websocket) are handled right away; the interval
+  // polls in normal mode
+  signal.onMessage(() => pollMessages());
   setInterval(pollMessages, config.updateInterval);
   
-  // WebSocket for real-time HA events
-  ha.subscribeToEvents(async (event) => {
-    logger.debug('HA event:', event.type, event.data?.entity_id);
-    
-    // Optional: Broadcast important events to group
-    if (haGroupId && event.data && event.data.entity_id) {
-      const entityId = event.data.entity_id;
-      const newState = event.data.new_state;
-      const oldState = event.data.old_state;
-      
-      // Only announce significant changes (locks, alarms, etc.)
-      if (entityId.startsWith('lock.') && newState?.state === 'unlocked' && oldState?.state === 'locked') {
-        const msg = `🔓 ${newState.attributes.friendly_name || entityId} was unlocked`;
-        try {
-          await signal.sendMessage(null, msg, haGroupId);
-        } catch (err) {
-          logger.error('Failed to broadcast to group:', err.message);
-        }
-      }
-      
-      if (entityId.includes('motion') && newState?.state === 'on' && oldState?.state === 'off') {
-        const msg = `🚶 Motion detected: ${newState.attributes.friendly_name || entityId}`;
-        try {
-          await signal.sendMessage(null, msg, haGroupId);
-        } catch (err) {
-          logger.error('Failed to broadcast to group:', err.message);
-        }
-      }
+  // Resolve a rule's notify block to Signal recipients
+  function resolveRecipients(notify, entityId = null) {
+    const numbers = new Set(notify.numbers || []);
+    for (const role of notify.roles || []) {
+      permissions.numbersWithRole(role).forEach(n => numbers.add(n));
+    }
+    
+    // Everyone allowed security alerts for this entity
+    if (notify.security) {
+      const area = entityId ? ha.getArea(entityId) : null;
+      permissions.numbers()
+        .filter(n => permissions.check(n, null, { command: 'security', entityId, area }).allowed)
+        .forEach(n => numbers.add(n));
+    }
+    
+    const groups = new Set(notify.groups || []);
+    if (notify.group && haGroupId) {
+      groups.add(haGroupId);
+    }
+    
+    return [
+      ...[...groups].map(id => ({ type: 'group', id })),
+      ...[...numbers].map(id => ({ type: 'number', id }))
+    ];
+  }
+  
+  function sendTo(recipient, text, attachments = []) {
+    return recipient.type === 'group'
+      ? signal.sendMessage(null, text, recipient.id, attachments)
+      : signal.sendMessage(recipient.id, text, null, attachments);
+  }
+  
+  function scheduleRecipient(job) {
+    return job.groupId ? { type: 'group', id: job.groupId } : { type: 'number', id: job.owner };
+  }
+  
+  // Cooldowns, digests, quiet hours and daily caps before anything reaches Signal
+  const dispatcher = new NotificationDispatcher({
+    send: sendTo,
+    getSettings: (recipient) => rules.recipientSettings(recipient),
+    getTimeZone: () => ha.getTimeZone(),
+    getAttachments: async (notification) => {
+      const camera = notification.snapshot === true
+        ? ha.findCameraFor(notification.entityId)
+        : notification.snapshot;
+      return camera ? [await ha.getCameraSnapshot(camera)] : [];
     }
   });
   
+  function deliverNotification(notification) {
+    const recipients = resolveRecipients(notification.notify, notification.entityId);
+    logger.info(`Rule "${notification.rule}" fired for ${notification.entityId} (${recipients.length} recipients)`);
+    
+    dispatcher.dispatch(notification, recipients)
+      .catch(err => logger.error('Failed to dispatch notification:', err.message));
+  }
+  
+  // Shared notifications are also the notable events of the next digest (personal alerts are not)
+  function deliverNotable(notification) {
+    digests.record(notification.message);
+    deliverNotification(notification);
+  }
+  
+  // Notification rules (reloaded when the file changes or on SIGHUP)
+  const rules = new NotificationRules({
+    file: config.notificationRulesFile,
+    getArea: (entityId) => ha.getArea(entityId),
+    onNotify: deliverNotable
+  });
+  rules.watch();
+  
+  // Personal alerts created from chat, evaluated like rules and sent by DM
+  const subscriptionRules = new NotificationRules({
+    rules: subscriptions.toRules(),
+    getArea: (entityId) => ha.getArea(entityId),
+    onNotify: deliverNotification
+  });
+  
+  // Triggered and pending alarm panels
+  const alarmRules = new NotificationRules({
+    rules: config.alarmAlerts ? ALARM_RULES : [],
+    getArea: (entityId) => ha.getArea(entityId),
+    onNotify: deliverNotable
+  });
+  
+  process.on('SIGHUP', () => {
+    logger.info('SIGHUP received, reloading notification rules...');
+    rules.reload();
+  });
+  
+  // HTTP API for HA automations (only with a token)
+  let httpApi = null;
+  if (config.httpToken) {
+    httpApi = new HttpApi({
+      token: config.httpToken,
+      send: sendTo,
+      resolveRecipients,
+      // Relative URLs (e.g. /api/camera_proxy/...) are fetched from HA
+      fetchAttachment: (url) => url.startsWith('/')
+        ? fetchAttachment(config.haUrl.replace(/\/$/, '') + url, { headers: { Authorization: `Bearer ${config.haToken}` } })
+        : fetchAttachment(url)
+    });
+    await httpApi.listen(config.httpPort);
+  } else {
+    logger.info('HTTP API disabled (set HTTP_TOKEN to enable)');
+  }
+  
+  // WebSocket for real-time HA events
+  ha.subscribeToEvents((event) => {
+    logger.debug('HA event:', event.entity_id);
+    rules.handleEvent(event);
+    subscriptionRules.handleEvent(event);
+    alarmRules.handleEvent(event);
+  });
+  
+  scheduler.start();
+  digests.start();
+  
   // Graceful shutdown
   process.on('SIGTERM', () => {
     logger.info('Shutting down gracefully...');
+    rules.stop();
+    subscriptionRules.stop();
+    alarmRules.stop();
+    dispatcher.stop();
+    scheduler.stop();
+    digests.stop();
+    store.close();
     ha.disconnect();
+    signal.disconnect();
+    if (httpApi) httpApi.close();
     process.exit(0);
   });
 }
@@ -0,0 +1,143 @@
+// Light settings from free text
+// "warm white", "red at 50%", "#ff8800", "2700k", "10% over 5 minutes" -> light.turn_on data
+
+const NAMED_COLORS = {
+  red: [255, 0, 0],
+  orange: [255, 165, 0],
+  amber: [255, 191, 0],
+  yellow: [255, 255, 0],
+  lime: [0, 255, 0],
+  green: [0, 128, 0],
+  teal: [0, 128, 128],
+  cyan: [0, 255, 255],
+  turquoise: [64, 224, 208],
+  blue: [0, 0, 255],
+  'sky blue': [135, 206, 235],
+  navy: [0, 0, 128],
+  indigo: [75, 0, 130],
+  purple: [128, 0, 128],
+  violet: [238, 130, 238],
+  magenta: [255, 0, 255],
+  pink: [255, 192, 203],
+  'hot pink': [255, 105, 180],
+  coral: [255, 127, 80],
+  salmon: [250, 128, 114],
+  gold: [255, 215, 0]
+};
+
+// Whites are colour temperatures, so lights with only a white channel can do them too
+const NAMED_WHITES = {
+  'warm white': 2700,
+  warm: 2700,
+  'soft white': 3000,
+  'neutral white': 4000,
+  neutral: 4000,
+  white: 4000,
+  'cool white': 5000,
+  cool: 5000,
+  'cold white': 6500,
+  daylight: 6500
+};
+
+// Seconds per unit, by the unit's first letter
+const DURATION_UNITS = { s: 1, m: 60, h: 3600 };
+
+// { rgb: [r, g, b], name } or { kelvin, name } or null
+function parseColor(text) {
+  const value = text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (NAMED_WHITES[value]) {
+    return { kelvin: NAMED_WHITES[value], name: value };
+  }
+  if (NAMED_COLORS[value]) {
+    return { rgb: NAMED_COLORS[value], name: value };
+  }
+
+  const hex = value.match(/^#([0-9a-f]{6}|[0-9a-f]{3})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+    return { rgb: [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)), name: `#${digits}` };
+  }
+
+  const rgb = value.match(/^(?:rgb\s*)?\(?\s*(\d{1,3})\s*[, ]\s*(\d{1,3})\s*[, ]\s*(\d{1,3})\s*\)?$/);
+  if (rgb) {
+    const channels = rgb.slice(1, 4).map(Number);
+    if (channels.some(c => c > 255)) return null;
+    return { rgb: channels, name: `rgb(${channels.join(', ')})` };
+  }
+
+  const kelvin = value.match(/^(\d{4,5})\s*(?:k|kelvin)$/);
+  if (kelvin) {
+    return { kelvin: parseInt(kelvin[1]), name: `${kelvin[1]}K` };
+  }
+
+  const mireds = value.match(/^(\d{2,3})\s*mireds?$/);
+  if (mireds) {
+    const k = Math.round(1000000 / parseInt(mireds[1]));
+    return { kelvin: k, name: `${k}K` };
+  }
+
+  return null;
+}
+
+// "5 minutes", "30s", "1.5 min" -> seconds
+function parseTransition(text) {
+  const match = text.trim().match(/^(\d+(?:\.\d+)?)\s*(s|secs?|seconds?|m|mins?|minutes?|h|hours?)?$/);
+  if (!match) return null;
+  return parseFloat(match[1]) * DURATION_UNITS[(match[2] || 's').charAt(0)];
+}
+
+// A whole light setting: colour and/or brightness, optionally "over"/"in" a duration.
+// Returns { color, brightness, transition } (each optional) or null if the text isn't one.
+function parseLightSettings(text) {
+  let rest = text.trim().toLowerCase().replace(/^to /, '');
+  const settings = {};
+
+  const transition = rest.match(/\s*\b(?:over|in)\s+(.+)$/);
+  if (transition) {
+    const seconds = parseTransition(transition[1]);
+    if (seconds === null) return null;
+    settings.transition = seconds;
+    rest = rest.slice(0, transition.index).trim();
+  }
+
+  // "red at 50%", "50% red", "50% brightness"
+  const brightness = rest.match(/(?:^|\s)(?:at\s+)?(\d{1,3})\s*%(?:\s+brightness)?(?:\s|$)/);
+  if (brightness) {
+    settings.brightness = parseInt(brightness[1]);
+    if (settings.brightness > 100) return null;
+    rest = (rest.slice(0, brightness.index) + ' ' + rest.slice(brightness.index + brightness[0].length)).trim();
+  }
+
+  if (rest) {
+    const color = parseColor(rest);
+    if (!color) return null;
+    settings.color = color;
+  }
+
+  return Object.keys(settings).length > 0 ? settings : null;
+}
+
+function formatTransition(seconds) {
+  if (seconds >= 3600 && seconds % 3600 === 0) return `${seconds / 3600} h`;
+  if (seconds >= 60 && seconds % 60 === 0) return `${seconds / 60} min`;
+  return `${seconds}s`;
+}
+
+// "warm white at 40% over 5 min"
+function describeLightSettings(settings) {
+  const parts = [];
+  if (settings.color) parts.push(settings.color.name);
+  if (settings.brightness !== undefined) parts.push(settings.color ? `at ${settings.brightness}%` : `${settings.brightness}%`);
+  if (settings.transition) parts.push(`over ${formatTransition(settings.transition)}`);
+  return parts.join(' ');
+}
+
+module.exports = {
+  NAMED_COLORS,
+  NAMED_WHITES,
+  parseColor,
+  parseTransition,
+  parseLightSettings,
+  describeLightSettings
+};
@@ -5,8 +5,14 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
-    winston.format.printf(({ level, message, timestamp, ...metadata }) => {
+    winston.format.printf((info) => {
+      const { level, message, timestamp, ...metadata } = info;
       let msg = `${timestamp} [${level.toUpperCase()}]: ${message}`;
+      // logger.error('Failed to x:', err.message) - objects are already merged into metadata
+      const extra = (info[Symbol.for('splat')] || []).filter(arg => typeof arg !== 'object' || arg === null);
+      if (extra.length > 0) {
+        msg += ` ${extra.join(' ')}`;
+      }
       if (Object.keys(metadata).length > 0) {
         msg += ` ${JSON.stringify(metadata)}`;
       }
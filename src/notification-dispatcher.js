@@ -0,0 +1,167 @@
+// Notification dispatcher
+// Sits between the notification rules and Signal: cooldowns, digests, quiet hours and daily caps
+const { parseDuration, parseQuietHours } = require('./notification-rules');
+const { zonedParts } = require('./zoned-time');
+const logger = require('./logger');
+
+function formatWindow(ms) {
+  if (ms < 60 * 1000) return `${Math.max(1, Math.round(ms / 1000))}s`;
+  if (ms < 60 * 60 * 1000) return `${Math.round(ms / 60000)} min`;
+  const hours = Math.round(ms / 3600000 * 10) / 10;
+  return `${hours} h`;
+}
+
+class NotificationDispatcher {
+  // options:
+  //   send(recipient, text, attachments) - recipient is { type: 'number' | 'group', id }
+  //   getSettings(recipient)     - { quiet_hours: '22:00-07:00', daily_cap: 50 }
+  //   getAttachments(notification) - e.g. a camera snapshot, fetched only when actually sending
+  //   getTimeZone()              - HA's time zone, for quiet hours and when the daily cap resets
+  //   now()                      - clock, injectable for tests
+  constructor(options = {}) {
+    this.send = options.send;
+    this.getSettings = options.getSettings || (() => ({}));
+    this.getAttachments = options.getAttachments || (async () => []);
+    this.getTimeZone = options.getTimeZone || (async () => Intl.DateTimeFormat().resolvedOptions().timeZone);
+    this.now = options.now || Date.now;
+
+    this.lastSent = new Map();   // rule:entity -> timestamp
+    this.digests = new Map();    // rule:entity -> open digest window
+    this.dailyCounts = new Map(); // recipient -> { day, count, capped }
+  }
+
+  // Entry point for notifications produced by NotificationRules
+  async dispatch(notification, recipients) {
+    const options = notification.options || {};
+    const key = `${notification.rule}:${notification.entityId}`;
+    const now = this.now();
+    const critical = !!options.critical;
+
+    // Open digest window: count it, summarise when the window closes
+    const window = this.digests.get(key);
+    if (window) {
+      window.count++;
+      return;
+    }
+
+    const cooldown = parseDuration(options.cooldown);
+    if (cooldown && this.lastSent.has(key) && now - this.lastSent.get(key) < cooldown) {
+      logger.debug(`Notification "${key}" suppressed by cooldown`);
+      return;
+    }
+
+    const digest = parseDuration(options.digest);
+    if (digest) {
+      this.digests.set(key, {
+        count: 1,
+        duration: digest,
+        message: notification.message,
+        recipients,
+        critical,
+        timer: setTimeout(() => {
+          this.flushDigest(key).catch(err => logger.error(`Failed to send digest for "${key}":`, err.message));
+        }, digest)
+      });
+    }
+
+    this.lastSent.set(key, now);
+    await this.deliver(notification.message, recipients, critical, await this.loadAttachments(notification));
+  }
+
+  // A missing snapshot shouldn't hold back the alert itself
+  async loadAttachments(notification) {
+    try {
+      return await this.getAttachments(notification);
+    } catch (err) {
+      logger.warn(`No attachment for "${notification.rule}":`, err.message);
+      return [];
+    }
+  }
+
+  async flushDigest(key) {
+    const window = this.digests.get(key);
+    if (!window) return;
+
+    this.digests.delete(key);
+    clearTimeout(window.timer);
+
+    // Only the first event was sent - nothing more to report
+    if (window.count <= 1) return;
+
+    const text = `${window.message} ×${window.count} in the last ${formatWindow(window.duration)}`;
+    await this.deliver(text, window.recipients, window.critical);
+  }
+
+  async deliver(text, recipients, critical = false, attachments = []) {
+    const local = zonedParts(this.now(), await this.getTimeZone());
+
+    for (const recipient of recipients) {
+      if (!critical && this.inQuietHours(recipient, local)) {
+        logger.debug(`Notification to ${recipient.id} held back by quiet hours`);
+        continue;
+      }
+
+      if (!critical && !(await this.takeDailySlot(recipient, local))) {
+        continue;
+      }
+
+      try {
+        await this.send(recipient, text, attachments);
+      } catch (err) {
+        logger.error(`Failed to notify ${recipient.type} ${recipient.id}:`, err.message);
+      }
+    }
+  }
+
+  // local: wall-clock parts of now in HA's time zone
+  inQuietHours(recipient, local) {
+    const quiet = parseQuietHours(this.getSettings(recipient).quiet_hours);
+    if (!quiet) return false;
+
+    const minutes = local.hour * 60 + local.minute;
+
+    // Windows may wrap around midnight (22:00-07:00)
+    if (quiet.start <= quiet.end) {
+      return minutes >= quiet.start && minutes < quiet.end;
+    }
+    return minutes >= quiet.start || minutes < quiet.end;
+  }
+
+  // Counts a message against the recipient's daily cap; false when the cap is reached
+  async takeDailySlot(recipient, local) {
+    const cap = parseInt(this.getSettings(recipient).daily_cap);
+    if (!cap) return true;
+
+    const day = `${local.year}-${local.month}-${local.day}`;
+    let entry = this.dailyCounts.get(recipient.id);
+    if (!entry || entry.day !== day) {
+      entry = { day, count: 0, capped: false };
+      this.dailyCounts.set(recipient.id, entry);
+    }
+
+    if (entry.count < cap) {
+      entry.count++;
+      return true;
+    }
+
+    // Tell the recipient once why alerts stopped
+    if (!entry.capped) {
+      entry.capped = true;
+      logger.warn(`Daily notification cap (${cap}) reached for ${recipient.id}`);
+      try {
+        await this.send(recipient, `🔕 Daily notification limit (${cap}) reached - only critical alerts until tomorrow`);
+      } catch (err) {
+        logger.error(`Failed to notify ${recipient.type} ${recipient.id}:`, err.message);
+      }
+    }
+    return false;
+  }
+
+  stop() {
+    for (const window of this.digests.values()) clearTimeout(window.timer);
+    this.digests.clear();
+  }
+}
+
+module.exports = NotificationDispatcher;
+module.exports.parseQuietHours = parseQuietHours;
@@ -0,0 +1,342 @@
+// Declarative notification rules
+// Matches HA state_changed events against rules from a YAML/JSON file and renders messages
+const fs = require('fs');
+const { loadConfigFile } = require('./config-file');
+const { matchesGlob } = require('./glob');
+const { normalizeDigest } = require('./digest');
+const logger = require('./logger');
+
+// Used when no rules file is configured (the bridge's original broadcasts)
+const DEFAULT_RULES = [
+  {
+    id: 'lock_unlocked',
+    domain: 'lock',
+    from: 'locked',
+    to: 'unlocked',
+    message: '🔓 {{name}} was unlocked'
+  },
+  {
+    id: 'motion_detected',
+    entity: '*motion*',
+    from: 'off',
+    to: 'on',
+    message: '🚶 Motion detected: {{name}}'
+  }
+];
+
+// Always on (ALARM_ALERTS=false turns them off): alarm panels needing attention,
+// sent to everyone allowed security alerts for the panel
+const ALARM_RULES = [
+  {
+    id: 'alarm_pending',
+    domain: 'alarm_control_panel',
+    to: 'pending',
+    message: '⏳ {{name}} entry delay - disarm now or it will trigger',
+    critical: true,
+    notify: { security: true }
+  },
+  {
+    id: 'alarm_triggered',
+    domain: 'alarm_control_panel',
+    to: 'triggered',
+    message: '🚨 ALARM: {{name}} has been triggered',
+    critical: true,
+    notify: { security: true }
+  }
+];
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// "90", "30s", "10m", "2h" -> milliseconds
+function parseDuration(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return value * 1000;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+  if (!match) throw new Error(`Invalid duration: ${value}`);
+
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  return parseFloat(match[1]) * units[match[2] || 's'];
+}
+
+// "22:00-07:00" -> { start, end } in minutes after midnight
+function parseQuietHours(value) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`Invalid quiet hours: ${value}`);
+
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(n => parseInt(n));
+  if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) {
+    throw new Error(`Invalid quiet hours: ${value}`);
+  }
+  return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+function normalizeRule(rule, index) {
+  if (!rule.message) {
+    throw new Error(`Rule ${rule.id || index + 1} has no message`);
+  }
+
+  return {
+    id: String(rule.id || `rule_${index + 1}`),
+    entities: toList(rule.entity || rule.entities),
+    domains: toList(rule.domain || rule.domains),
+    areas: toList(rule.area || rule.areas),
+    from: toList(rule.from),
+    to: toList(rule.to),
+    attribute: rule.attribute || null,
+    above: rule.above !== undefined ? Number(rule.above) : null,
+    below: rule.below !== undefined ? Number(rule.below) : null,
+    duration: parseDuration(rule.for),
+    // Validated here, applied by the dispatcher
+    cooldown: parseDuration(rule.cooldown),
+    digest: parseDuration(rule.digest),
+    message: String(rule.message),
+    // true: the camera on the same device or in the same area; or a camera entity ID
+    snapshot: rule.snapshot || null,
+    notify: rule.notify || { group: true },
+    options: rule
+  };
+}
+
+// Checked on load so a typo rejects the file instead of failing every send
+function normalizeRecipients(recipients) {
+  if (!recipients) return {};
+  if (typeof recipients !== 'object' || Array.isArray(recipients)) {
+    throw new Error('recipients must be a map of number or group ID to settings');
+  }
+
+  for (const [id, settings] of Object.entries(recipients)) {
+    if (!settings || typeof settings !== 'object') {
+      throw new Error(`Recipient ${id} has no settings`);
+    }
+    try {
+      parseQuietHours(settings.quiet_hours);
+    } catch (err) {
+      throw new Error(`Recipient ${id}: ${err.message}`);
+    }
+    if (settings.daily_cap !== undefined && !(Number.isInteger(Number(settings.daily_cap)) && Number(settings.daily_cap) > 0)) {
+      throw new Error(`Recipient ${id} has an invalid daily_cap: ${settings.daily_cap}`);
+    }
+  }
+  return recipients;
+}
+
+class NotificationRules {
+  // options: { file | rules, getArea: (entityId) => area|null, onNotify: (notification) => void }
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.initialRules = options.rules || null;
+    this.getArea = options.getArea || (() => null);
+    this.onNotify = options.onNotify || (() => {});
+    this.rules = [];
+    this.recipients = {};
+    this.digests = [];
+    this.timers = new Map();
+    this.latest = new Map();
+    this.watching = false;
+
+    this.load();
+  }
+
+  load() {
+    if (this.initialRules) {
+      this.setRules(this.initialRules);
+      return;
+    }
+
+    if (!this.file) {
+      this.rules = DEFAULT_RULES.map(normalizeRule);
+      return;
+    }
+
+    const config = loadConfigFile(this.file);
+    const rules = Array.isArray(config) ? config : config.rules || [];
+    const digests = ((!Array.isArray(config) && config.digests) || []).map(normalizeDigest);
+    const recipients = normalizeRecipients(!Array.isArray(config) && config.recipients);
+    this.rules = rules.map(normalizeRule);
+    this.recipients = recipients;
+    this.digests = digests;
+    this.cancelTimers();
+    logger.info(`Loaded ${this.rules.length} notification rules${digests.length ? ` and ${digests.length} digests` : ''} from ${this.file}`);
+  }
+
+  // Replace the rules with ones built in code (e.g. chat subscriptions)
+  setRules(rules) {
+    this.rules = rules.map(normalizeRule);
+    this.cancelTimers();
+  }
+
+  // Keep the old rules if the new file is broken
+  reload() {
+    try {
+      this.load();
+      return true;
+    } catch (err) {
+      logger.error('Failed to reload notification rules:', err.message);
+      return false;
+    }
+  }
+
+  watch() {
+    if (!this.file || this.watching) return;
+
+    fs.watchFile(this.file, { interval: 2000 }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) {
+        logger.info('Notification rules file changed, reloading...');
+        this.reload();
+      }
+    });
+    this.watching = true;
+  }
+
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.file);
+      this.watching = false;
+    }
+    this.cancelTimers();
+  }
+
+  // Per-recipient delivery settings (quiet hours, daily cap)
+  // Looked up by number or group ID, then "group" for any group, then "default"
+  recipientSettings(recipient) {
+    return this.recipients[recipient.id] ||
+      (recipient.type === 'group' && this.recipients.group) ||
+      this.recipients.default ||
+      {};
+  }
+
+  cancelTimers() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  appliesTo(rule, entityId) {
+    const domain = entityId.split('.')[0];
+    if (rule.entities && !rule.entities.some(p => matchesGlob(entityId, p))) return false;
+    if (rule.domains && !rule.domains.some(p => matchesGlob(domain, p))) return false;
+
+    if (rule.areas) {
+      const area = this.getArea(entityId);
+      if (!area || !rule.areas.some(p => matchesGlob(area.name, p) || matchesGlob(area.area_id, p))) return false;
+    }
+    return true;
+  }
+
+  hasCondition(rule) {
+    return !!(rule.to || rule.above !== null || rule.below !== null);
+  }
+
+  // Whether a state satisfies the rule's to/above/below conditions
+  conditionTrue(rule, state) {
+    if (!state) return false;
+    if (rule.to && !rule.to.some(p => matchesGlob(state.state, p))) return false;
+
+    if (rule.above !== null || rule.below !== null) {
+      const raw = rule.attribute ? getPath(state.attributes || {}, rule.attribute) : state.state;
+      const value = parseFloat(raw);
+      if (isNaN(value)) return false;
+      if (rule.above !== null && !(value > rule.above)) return false;
+      if (rule.below !== null && !(value < rule.below)) return false;
+    }
+    return true;
+  }
+
+  // Rules fire on the edge where their condition becomes true
+  triggers(rule, data) {
+    const oldState = data.old_state;
+    const newState = data.new_state;
+    if (!newState) return false;
+
+    if (rule.from && !(oldState && rule.from.some(p => matchesGlob(oldState.state, p)))) return false;
+
+    if (!this.hasCondition(rule)) {
+      return !oldState || oldState.state !== newState.state;
+    }
+    return this.conditionTrue(rule, newState) && !this.conditionTrue(rule, oldState);
+  }
+
+  // Pure matching, no timers: [{ rule, delay }]
+  match(data) {
+    if (!data || !data.entity_id) return [];
+    return this.rules
+      .filter(rule => this.appliesTo(rule, data.entity_id) && this.triggers(rule, data))
+      .map(rule => ({ rule, delay: rule.duration }));
+  }
+
+  render(rule, data) {
+    const state = data.new_state || {};
+    const attributes = state.attributes || {};
+    const area = this.getArea(data.entity_id);
+    const values = {
+      entity_id: data.entity_id,
+      domain: data.entity_id.split('.')[0],
+      name: attributes.friendly_name || data.entity_id,
+      state: state.state,
+      old_state: data.old_state ? data.old_state.state : '',
+      unit: attributes.unit_of_measurement || '',
+      area: area ? area.name : '',
+      attributes
+    };
+
+    return rule.message.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+      const value = getPath(values, key);
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  notification(rule, data) {
+    return {
+      rule: rule.id,
+      entityId: data.entity_id,
+      message: this.render(rule, data),
+      snapshot: rule.snapshot,
+      notify: rule.notify,
+      options: rule.options,
+      data
+    };
+  }
+
+  handleEvent(data) {
+    if (!data || !data.entity_id) return;
+    this.latest.set(data.entity_id, data);
+
+    // A state that no longer satisfies a waiting rule cancels it
+    for (const rule of this.rules) {
+      const key = `${rule.id}:${data.entity_id}`;
+      if (this.timers.has(key) && !this.conditionTrue(rule, data.new_state)) {
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+      }
+    }
+
+    for (const { rule, delay } of this.match(data)) {
+      if (delay === 0) {
+        this.onNotify(this.notification(rule, data));
+        continue;
+      }
+
+      const key = `${rule.id}:${data.entity_id}`;
+      if (this.timers.has(key)) continue;
+
+      // Report the state as it is when the duration has passed
+      this.timers.set(key, setTimeout(() => {
+        this.timers.delete(key);
+        this.onNotify(this.notification(rule, this.latest.get(data.entity_id) || data));
+      }, delay));
+    }
+  }
+}
+
+module.exports = NotificationRules;
+module.exports.parseDuration = parseDuration;
+module.exports.parseQuietHours = parseQuietHours;
+module.exports.ALARM_RULES = ALARM_RULES;
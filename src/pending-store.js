@@ -0,0 +1,68 @@
+// Short-lived per-conversation state (disambiguation choices, etc.)
+// Kept in memory, or in a Store namespace when one is given so it survives restarts
+
+class PendingStore {
+  // options: { now, store, namespace }
+  constructor(ttl, options = {}) {
+    this.ttl = ttl;
+    this.now = options.now || Date.now;
+    this.store = options.store || null;
+    this.namespace = options.namespace || null;
+    this.entries = new Map();
+  }
+
+  read(key) {
+    return this.store ? this.store.get(this.namespace, key) : this.entries.get(key);
+  }
+
+  remove(key) {
+    if (this.store) {
+      if (this.store.has(this.namespace, key)) this.store.delete(this.namespace, key);
+    } else {
+      this.entries.delete(key);
+    }
+  }
+
+  set(key, value) {
+    this.prune();
+    const entry = { value, expires: this.now() + this.ttl };
+    if (this.store) {
+      this.store.set(this.namespace, key, entry);
+    } else {
+      this.entries.set(key, entry);
+    }
+  }
+
+  get(key) {
+    const entry = this.read(key);
+    if (!entry) return null;
+
+    if (entry.expires <= this.now()) {
+      this.remove(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  // Get and remove in one step
+  take(key) {
+    const value = this.get(key);
+    this.remove(key);
+    return value;
+  }
+
+  delete(key) {
+    this.remove(key);
+  }
+
+  // Drop expired entries so abandoned conversations don't pile up
+  prune() {
+    const keys = this.store ? this.store.keys(this.namespace) : [...this.entries.keys()];
+    for (const key of keys) {
+      const entry = this.read(key);
+      if (entry && entry.expires <= this.now()) this.remove(key);
+    }
+  }
+}
+
+module.exports = PendingStore;
@@ -0,0 +1,143 @@
+// Role-based permissions for Signal senders and groups
+const { loadConfigFile } = require('./config-file');
+const { matchesGlob } = require('./glob');
+const logger = require('./logger');
+
+// Command types checked against role rules ("security" is receiving alarm alerts)
+const COMMAND_TYPES = ['status', 'list', 'query', 'control', 'admin', 'assist', 'security'];
+
+function matchesAny(value, patterns) {
+  if (value === null || value === undefined) return false;
+  return patterns.some(p => matchesGlob(value, p));
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+class Permissions {
+  // policy: { roles: { name: { allow: [rule], deny: [rule] } }, users: { number: [role] }, groups: { groupId: [role] } }
+  constructor(policy = {}) {
+    this.roles = {};
+    for (const [name, role] of Object.entries(policy.roles || {})) {
+      this.roles[name] = {
+        allow: (role.allow || []).map(rule => this.normalizeRule(rule, name)),
+        deny: (role.deny || []).map(rule => this.normalizeRule(rule, name))
+      };
+    }
+
+    this.users = {};
+    for (const [number, roles] of Object.entries(policy.users || {})) {
+      this.users[number] = toList(roles);
+    }
+
+    this.groups = {};
+    for (const [groupId, roles] of Object.entries(policy.groups || {})) {
+      this.groups[groupId] = toList(roles);
+    }
+
+    for (const roles of [...Object.values(this.users), ...Object.values(this.groups)]) {
+      for (const role of roles) {
+        if (!this.roles[role]) {
+          logger.warn(`Permissions: unknown role "${role}" assigned`);
+        }
+      }
+    }
+  }
+
+  static fromFile(filePath) {
+    const policy = loadConfigFile(filePath);
+    const permissions = new Permissions(policy);
+    logger.info(`Loaded permissions from ${filePath}: ${Object.keys(permissions.roles).length} roles, ${Object.keys(permissions.users).length} users, ${Object.keys(permissions.groups).length} groups`);
+    return permissions;
+  }
+
+  // Legacy ALLOWED_NUMBERS behaviour: every listed number may do everything
+  static fromAllowedNumbers(numbers) {
+    const users = {};
+    for (const number of numbers) users[number] = ['admin'];
+    return new Permissions({
+      roles: { admin: { allow: [{ commands: '*' }] } },
+      users
+    });
+  }
+
+  normalizeRule(rule, roleName) {
+    const commands = toList(rule.commands);
+    for (const command of commands || []) {
+      if (command !== '*' && !COMMAND_TYPES.includes(command)) {
+        logger.warn(`Permissions: role "${roleName}" uses unknown command type "${command}"`);
+      }
+    }
+    return {
+      commands,
+      domains: toList(rule.domains),
+      entities: toList(rule.entities),
+      areas: toList(rule.areas)
+    };
+  }
+
+  // In a group the sender's own roles apply; senders without roles get the group's roles
+  getRoles(source, groupId = null) {
+    const own = this.users[source] || [];
+    if (own.length > 0 || !groupId) return own;
+    return this.groups[groupId] || [];
+  }
+
+  isKnown(source, groupId = null) {
+    return this.getRoles(source, groupId).length > 0;
+  }
+
+  numbers() {
+    return Object.keys(this.users);
+  }
+
+  numbersWithRole(role) {
+    return Object.keys(this.users).filter(number => this.users[number].includes(role));
+  }
+
+  ruleMatches(rule, request) {
+    if (rule.commands && !matchesAny(request.command, rule.commands)) return false;
+
+    // Domain and entity filters only apply to requests about a specific entity
+    if (rule.domains || rule.entities) {
+      if (!request.entityId) return false;
+      const domain = request.entityId.split('.')[0];
+      if (rule.domains && !matchesAny(domain, rule.domains)) return false;
+      if (rule.entities && !matchesAny(request.entityId, rule.entities)) return false;
+    }
+
+    if (rule.areas) {
+      if (!request.area) return false;
+      if (!matchesAny(request.area.name, rule.areas) && !matchesAny(request.area.area_id, rule.areas)) return false;
+    }
+    return true;
+  }
+
+  // request: { command, entityId?, area? } - area is a HA area object
+  // Deny rules win over allow rules across all of the sender's roles
+  check(source, groupId, request) {
+    const roles = this.getRoles(source, groupId);
+    if (roles.length === 0) {
+      return { allowed: false, reason: 'not authorized' };
+    }
+
+    let allowed = false;
+    for (const roleName of roles) {
+      const role = this.roles[roleName];
+      if (!role) continue;
+
+      if (role.deny.some(rule => this.ruleMatches(rule, request))) {
+        return { allowed: false, reason: `denied for role "${roleName}"` };
+      }
+      if (role.allow.some(rule => this.ruleMatches(rule, request))) {
+        allowed = true;
+      }
+    }
+
+    return allowed ? { allowed: true } : { allowed: false, reason: `not allowed for ${roles.join(', ')}` };
+  }
+}
+
+module.exports = Permissions;
@@ -0,0 +1,261 @@
+// Scheduled commands from chat
+// "in 45 minutes turn off the fan", "turn off porch light at 23:30",
+// "every weekday at 6:30 turn on the coffee maker" - kept in the store, run in HA's time zone
+const { zonedParts, zonedTime, formatWhen, pad } = require('./zoned-time');
+const logger = require('./logger');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_GROUPS = {
+  day: [0, 1, 2, 3, 4, 5, 6],
+  weekday: [1, 2, 3, 4, 5],
+  weekend: [0, 6]
+};
+
+const UNIT_SECONDS = { h: 3600, m: 60, s: 1 };
+
+// "2 hours", "1h30m", "an hour and 15 minutes", "half an hour"
+const DURATION = '((?:half an hour)|(?:(?:\\d+(?:\\.\\d+)?|an?|one)\\s*(?:hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)(?![a-z])\\s*(?:and\\s+)?)+)';
+
+// "23:30", "7:00 am", "7pm", "noon" - a bare hour ("at 7") only where it can't be a value
+const CLOCK = '(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?|noon|midnight)';
+const STRICT_CLOCK = '(\\d{1,2}:\\d{2}\\s*(?:am|pm)?|\\d{1,2}\\s*(?:am|pm)|noon|midnight)';
+
+const DAYS = `((?:(?:${Object.keys(DAY_GROUPS).join('|')}|${DAY_NAMES.join('|')})s?(?:\\s*(?:,|and)\\s*)?)+)`;
+
+// Words that only make sense in a schedule
+const TIME_WORDS = new RegExp(`\\b(?:tomorrow|tonight|every ${DAYS}|(?:on|next) (?:${DAY_NAMES.join('|')}))(?:\\s|$)`);
+
+// Missed runs (the bridge was down) still happen if they are at most this late
+const MISSED_GRACE = 5 * 60 * 1000;
+
+// Timers are re-armed at least this often so clock changes are noticed
+const MAX_SLEEP = 60 * 1000;
+
+function parseDuration(text) {
+  if (/^half an hour$/.test(text.trim())) return 1800 * 1000;
+
+  let seconds = 0;
+  const part = /(\d+(?:\.\d+)?|an?|one)\s*(hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)(?![a-z])/g;
+  let match;
+  while ((match = part.exec(text)) !== null) {
+    const amount = /^\d/.test(match[1]) ? parseFloat(match[1]) : 1;
+    seconds += amount * UNIT_SECONDS[match[2].charAt(0)];
+  }
+  return seconds * 1000;
+}
+
+// { hour, minute } or null
+function parseClock(text) {
+  const value = text.trim();
+  if (value === 'noon') return { hour: 12, minute: 0 };
+  if (value === 'midnight') return { hour: 0, minute: 0 };
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1]);
+  const minute = match[2] ? parseInt(match[2]) : 0;
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+function parseDays(text) {
+  const days = new Set();
+  for (const word of text.split(/\s*(?:,|\band\b)\s*|\s+/).filter(Boolean)) {
+    const name = word.replace(/s$/, '');
+    if (DAY_GROUPS[name]) DAY_GROUPS[name].forEach(d => days.add(d));
+    else if (DAY_NAMES.includes(name)) days.add(DAY_NAMES.indexOf(name));
+    else return null;
+  }
+  return days.size > 0 ? [...days].sort() : null;
+}
+
+// Next time on one of `days` at the clock time, after `after`
+function nextOccurrence({ days, hour, minute }, after, timeZone) {
+  const today = zonedParts(after, timeZone);
+  for (let offset = 0; offset <= 7; offset++) {
+    const at = zonedTime({ year: today.year, month: today.month, day: today.day + offset, hour, minute }, timeZone);
+    if (at > after && days.includes(zonedParts(at, timeZone).weekday)) return at;
+  }
+  return null;
+}
+
+// A scheduled command in free text. Returns null when the text isn't one, otherwise
+// { command, at, repeat } - repeat is { days, hour, minute } for recurring schedules,
+// or { error } when the time can't work.
+// options.bareHour: a trailing "at 7" is a time (the command takes no value it could be)
+function parseSchedule(text, now, timeZone, options = {}) {
+  const cmd = text.trim().toLowerCase().replace(/\s+/g, ' ');
+  const trailingClock = options.bareHour ? CLOCK : STRICT_CLOCK;
+  let match;
+
+  // "in 2 hours turn off the heater" / "turn off the heater in 2 hours"
+  if ((match = cmd.match(new RegExp(`^in ${DURATION} (.+)$`))) || (match = cmd.match(new RegExp(`^(.+) in ${DURATION}$`)))) {
+    const [duration, command] = cmd.startsWith('in ') ? [match[1], match[2]] : [match[2], match[1]];
+    const delay = parseDuration(duration);
+    if (!delay) return null;
+    return { command: command.trim(), at: now + delay, repeat: null };
+  }
+
+  // "every weekday at 6:30 turn on the coffee maker" / "... every monday and friday at 7"
+  // ("every ... at" leaves no doubt that a bare hour is a time)
+  if ((match = cmd.match(new RegExp(`^every ${DAYS} at ${CLOCK} (.+)$`))) ||
+      (match = cmd.match(new RegExp(`^(.+) every ${DAYS} at ${CLOCK}$`)))) {
+    const [days, clock, command] = cmd.startsWith('every ') ? [match[1], match[2], match[3]] : [match[2], match[3], match[1]];
+    const dayList = parseDays(days);
+    const time = parseClock(clock);
+    if (!dayList) return null;
+    if (!time) return { error: `"${clock}" is not a time` };
+
+    const repeat = { days: dayList, ...time };
+    return { command: command.trim(), at: nextOccurrence(repeat, now, timeZone), repeat };
+  }
+
+  // "at 23:30 turn off porch light" / "turn off porch light at 23:30" / "tomorrow at 7 ..."
+  if ((match = cmd.match(new RegExp(`^(today |tomorrow )?at ${CLOCK} (.+)$`))) ||
+      (match = cmd.match(new RegExp(`^(.+) at ${trailingClock}( today| tomorrow)?$`)))) {
+    const leading = /^(today |tomorrow )?at /.test(cmd);
+    const [day, clock, command] = leading ? [match[1], match[2], match[3]] : [match[3], match[2], match[1]];
+    const time = parseClock(clock);
+    if (!time) return { error: `"${clock}" is not a time` };
+
+    const today = zonedParts(now, timeZone);
+    const offset = (day || '').trim() === 'tomorrow' ? 1 : 0;
+    let at = zonedTime({ year: today.year, month: today.month, day: today.day + offset, ...time }, timeZone);
+    if (at <= now) {
+      if ((day || '').trim() === 'today') return { error: `${pad(time.hour)}:${pad(time.minute)} has already passed today` };
+      at = zonedTime({ year: today.year, month: today.month, day: today.day + 1, ...time }, timeZone);
+    }
+    return { command: command.trim(), at, repeat: null };
+  }
+
+  return null;
+}
+
+// Left over when parseSchedule found no time: "turn on the lamp tomorrow", "... every monday"
+function mentionsTime(text) {
+  return TIME_WORDS.test(text.trim().toLowerCase().replace(/\s+/g, ' '));
+}
+
+// "every weekday at 06:30"
+function describeRepeat({ days, hour, minute }) {
+  const group = Object.keys(DAY_GROUPS).find(name => DAY_GROUPS[name].join() === days.join());
+  const names = group || days.map(d => DAY_NAMES[d].charAt(0).toUpperCase() + DAY_NAMES[d].slice(1)).join(', ');
+  return `every ${names} at ${pad(hour)}:${pad(minute)}`;
+}
+
+class Scheduler {
+  // Jobs live in the store's "schedules" namespace.
+  // options:
+  //   run(job)      - execute the job's command (with its owner's permissions)
+  //   onMissed(job) - a one-off job that was due too long ago while the bridge was down
+  //   now()         - clock, injectable for tests
+  constructor(store, options = {}) {
+    this.store = store;
+    this.run = options.run || (async () => {});
+    this.onMissed = options.onMissed || (() => {});
+    this.now = options.now || Date.now;
+    this.timer = null;
+    this.running = false;
+  }
+
+  get items() {
+    return this.store.values('schedules').sort((a, b) => a.at - b.at || a.id - b.id);
+  }
+
+  // schedule: { command, at, repeat } from parseSchedule
+  add(owner, groupId, schedule, timeZone) {
+    const item = {
+      id: this.store.nextId('schedules'),
+      owner,
+      groupId: groupId || null,
+      command: schedule.command,
+      at: schedule.at,
+      repeat: schedule.repeat || null,
+      timeZone,
+      created: new Date(this.now()).toISOString()
+    };
+    this.store.set('schedules', item.id, item);
+    this.arm();
+    return item;
+  }
+
+  list(owner) {
+    return this.items.filter(job => job.owner === owner);
+  }
+
+  // index is 1-based, as shown by list()
+  remove(owner, index) {
+    const item = this.list(owner)[index - 1];
+    if (!item) return null;
+
+    this.store.delete('schedules', item.id);
+    this.arm();
+    return item;
+  }
+
+  start() {
+    this.running = true;
+    this.tick();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Sleep until the next job is due (or MAX_SLEEP)
+  arm() {
+    if (!this.running) return;
+    clearTimeout(this.timer);
+
+    const next = this.items[0];
+    const delay = next ? Math.min(Math.max(0, next.at - this.now()), MAX_SLEEP) : MAX_SLEEP;
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    const now = this.now();
+    const due = this.items.filter(job => job.at <= now);
+
+    for (const job of due) {
+      const late = now - job.at > MISSED_GRACE;
+
+      // Repeating jobs move on to their next time; one-off jobs are done
+      if (job.repeat) {
+        this.store.set('schedules', job.id, { ...job, at: nextOccurrence(job.repeat, now, job.timeZone) });
+      } else {
+        this.store.delete('schedules', job.id);
+      }
+
+      if (late) {
+        logger.warn(`Schedule ${job.id} ("${job.command}") missed by ${Math.round((now - job.at) / 60000)} min`);
+        if (!job.repeat) this.onMissed(job);
+        continue;
+      }
+
+      logger.info(`Running schedule ${job.id} for ${job.owner}: "${job.command}"`);
+      try {
+        await this.run(job);
+      } catch (err) {
+        logger.error(`Schedule ${job.id} failed:`, err.message);
+      }
+    }
+
+    this.arm();
+  }
+}
+
+module.exports = Scheduler;
+module.exports.parseSchedule = parseSchedule;
+module.exports.describeRepeat = describeRepeat;
+module.exports.mentionsTime = mentionsTime;
+module.exports.parseClock = parseClock;
+module.exports.parseDays = parseDays;
+module.exports.nextOccurrence = nextOccurrence;
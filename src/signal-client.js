@@ -1,17 +1,23 @@
 // Signal CLI JSON-RPC Client
-// Supports both REST API (MODE=normal) and JSON-RPC (MODE=json-rpc)
+// Supports REST polling (MODE=normal), JSON-RPC (MODE=json-rpc) and the
+// REST API's WebSocket receive endpoint (MODE=json, SIGNAL_MODE=websocket)
 
 const axios = require('axios');
 const WebSocket = require('ws');
+const Backoff = require('./backoff');
+const { toDataUri, fromBase64, fromBuffer } = require('./attachments');
 const logger = require('./logger');
 
+const RPC_TIMEOUT = 30 * 1000;
+
 class SignalClient {
-  constructor(apiUrl, number, mode = 'normal') {
+  // options.store: Store used to remember groups across restarts
+  constructor(apiUrl, number, mode = 'normal', options = {}) {
     this.apiUrl = apiUrl.replace(/\/$/, '');
     this.number = number;
-    this.mode = mode; // 'normal' or 'json-rpc'
-    this.receivedIds = new Set();
-    this.groupCache = new Map();
+    this.mode = mode; // 'normal', 'json-rpc' or 'websocket'
+    this.store = options.store || null;
+    this.groupCache = new Map(this.store ? this.store.entries('groups') : []);
     
     // JSON-RPC specific
     this.ws = null;
@@ -19,42 +25,120 @@ class SignalClient {
     this.pendingRpc = new Map();
     this.messageQueue = [];
     this.isConnected = false;
+    this.closing = false;
+    this.backoff = new Backoff(options.backoff);
+    this.reconnectTimer = null;
+    this.connectWaiters = [];
+    this.messageListeners = [];
   }
 
+  // In JSON-RPC mode, waits until signal-cli is reachable (retrying with backoff)
+  // In websocket mode, the receive socket connects (and reconnects) in the background
   async init() {
     if (this.mode === 'json-rpc') {
-      await this.connectJsonRpc();
+      this.connectJsonRpc();
+      await this.waitForConnection();
+    } else if (this.mode === 'websocket') {
+      this.connectReceiveSocket();
     }
   }
 
+  // Called for every message pushed over a WebSocket (json-rpc and websocket modes)
+  onMessage(callback) {
+    this.messageListeners.push(callback);
+  }
+
+  waitForConnection() {
+    if (this.isConnected) return Promise.resolve();
+    return new Promise(resolve => this.connectWaiters.push(resolve));
+  }
+
   // JSON-RPC WebSocket connection
-  async connectJsonRpc() {
-    return new Promise((resolve, reject) => {
-      const wsUrl = this.apiUrl.replace('http', 'ws') + '/v1/jsonrpc';
-      logger.info(`Connecting to Signal JSON-RPC: ${wsUrl}`);
+  connectJsonRpc() {
+    clearTimeout(this.reconnectTimer);
+    const wsUrl = this.apiUrl.replace('http', 'ws') + '/v1/jsonrpc';
+    logger.info(`Connecting to Signal JSON-RPC: ${wsUrl}`);
+    
+    const ws = new WebSocket(wsUrl);
+    this.ws = ws;
+    
+    ws.on('open', () => {
+      logger.info('✓ Signal JSON-RPC connected');
+      this.isConnected = true;
+      this.backoff.reset();
       
-      this.ws = new WebSocket(wsUrl);
+      const waiters = this.connectWaiters;
+      this.connectWaiters = [];
+      waiters.forEach(resolve => resolve());
+    });
+    
+    ws.on('message', (data) => {
+      this.handleJsonRpcMessage(data);
+    });
+    
+    ws.on('error', (err) => {
+      logger.error('Signal JSON-RPC error:', err.message || err.code);
+    });
+    
+    ws.on('close', () => {
+      if (this.ws !== ws) return;
+      this.isConnected = false;
       
-      this.ws.on('open', () => {
-        logger.info('✓ Signal JSON-RPC connected');
-        this.isConnected = true;
-        resolve();
-      });
+      // Answers to these will never arrive on a new connection
+      for (const { reject, timer } of this.pendingRpc.values()) {
+        clearTimeout(timer);
+        reject(new Error('JSON-RPC connection closed'));
+      }
+      this.pendingRpc.clear();
       
-      this.ws.on('message', (data) => {
-        this.handleJsonRpcMessage(data);
-      });
+      if (this.closing) return;
       
-      this.ws.on('error', (err) => {
-        logger.error('Signal JSON-RPC error:', err.message);
-        reject(err);
-      });
+      const delay = this.backoff.next();
+      logger.warn(`Signal JSON-RPC closed, reconnecting in ${(delay / 1000).toFixed(1)}s...`);
+      this.reconnectTimer = setTimeout(() => this.connectJsonRpc(), delay);
+    });
+  }
+
+  // signal-cli-rest-api (MODE=json) pushes received envelopes over this socket.
+  // It only serves /v1/receive as a WebSocket in that mode, so there is nothing to poll
+  // while it is down - messages wait in signal-cli until the socket is back.
+  connectReceiveSocket() {
+    clearTimeout(this.reconnectTimer);
+    const wsUrl = this.apiUrl.replace('http', 'ws') + `/v1/receive/${this.number}`;
+    logger.info(`Connecting to Signal receive WebSocket: ${wsUrl}`);
+    
+    const ws = new WebSocket(wsUrl);
+    this.ws = ws;
+    
+    ws.on('open', () => {
+      logger.info('✓ Signal receive WebSocket connected');
+      this.isConnected = true;
+      this.backoff.reset();
+    });
+    
+    ws.on('message', (data) => {
+      try {
+        const msg = JSON.parse(data);
+        if (msg.envelope) {
+          this.processEnvelope(msg.envelope);
+        }
+      } catch (err) {
+        logger.error('Failed to parse received message:', err.message);
+      }
+    });
+    
+    ws.on('error', (err) => {
+      logger.error('Signal receive WebSocket error:', err.message || err.code);
+    });
+    
+    ws.on('close', () => {
+      if (this.ws !== ws) return;
+      this.isConnected = false;
+      if (this.closing) return;
       
-      this.ws.on('close', () => {
-        logger.warn('Signal JSON-RPC closed, reconnecting...');
-        this.isConnected = false;
-        setTimeout(() => this.connectJsonRpc(), 5000);
-      });
+      const delay = this.backoff.next();
+      logger.warn(`Signal receive WebSocket closed, reconnecting in ${(delay / 1000).toFixed(1)}s...`);
+      this.reconnectTimer = setTimeout(() => this.connectReceiveSocket(), delay);
     });
   }
 
@@ -64,8 +148,9 @@ class SignalClient {
       
       // Handle RPC response
       if (msg.id && this.pendingRpc.has(msg.id)) {
-        const { resolve, reject } = this.pendingRpc.get(msg.id);
+        const { resolve, reject, timer } = this.pendingRpc.get(msg.id);
         this.pendingRpc.delete(msg.id);
+        clearTimeout(timer);
         
         if (msg.error) {
           reject(new Error(msg.error.message));
@@ -102,65 +187,78 @@ class SignalClient {
     };
     
     return new Promise((resolve, reject) => {
-      this.pendingRpc.set(id, { resolve, reject });
-      
-      // Timeout after 30 seconds
-      setTimeout(() => {
+      const timer = setTimeout(() => {
         if (this.pendingRpc.has(id)) {
           this.pendingRpc.delete(id);
           reject(new Error('JSON-RPC timeout'));
         }
-      }, 30000);
+      }, RPC_TIMEOUT);
       
+      this.pendingRpc.set(id, { resolve, reject, timer });
       this.ws.send(JSON.stringify(message));
     });
   }
 
-  processEnvelope(envelope) {
-    if (!envelope.dataMessage) return;
+  // Envelope from signal-cli -> bridge message (null for receipts, typing, own messages)
+  parseEnvelope(envelope) {
+    if (!envelope.dataMessage) return null;
     
     const dm = envelope.dataMessage;
-    if (envelope.source === this.number) return;
+    if (envelope.source === this.number) return null;
     
     const isGroup = !!dm.groupInfo;
     const groupId = isGroup ? dm.groupInfo.groupId : null;
-    const groupName = isGroup ? (dm.groupInfo.name || 'Unknown Group') : null;
     
-    const message = {
+    return {
       source: envelope.source,
       timestamp: dm.timestamp,
       message: dm.message ? dm.message.trim() : null,
       attachments: dm.attachments || [],
       isGroup: isGroup,
       groupId: groupId,
-      groupName: groupName,
+      groupName: isGroup ? (dm.groupInfo.name || 'Unknown Group') : null,
       replyTo: isGroup ? { type: 'group', id: groupId } : { type: 'individual', id: envelope.source }
     };
+  }
+
+  // Queue a pushed envelope until the next receiveMessages()
+  processEnvelope(envelope) {
+    const message = this.parseEnvelope(envelope);
+    if (!message) return;
     
     this.messageQueue.push(message);
     
-    if (isGroup) {
-      logger.info(`Group message from ${envelope.source} in "${groupName}": "${dm.message}"`);
+    if (message.isGroup) {
+      logger.debug(`Group message from ${message.source} in "${message.groupName}": "${message.message}"`);
     } else {
-      logger.debug(`Received message from ${envelope.source}: "${dm.message}"`);
+      logger.debug(`Received message from ${message.source}: "${message.message}"`);
+    }
+    
+    for (const callback of this.messageListeners) {
+      callback(message);
     }
   }
 
-  // Unified send message (works for both modes)
-  async sendMessage(recipient, message, groupId = null) {
+  // Unified send message (works for all modes)
+  // attachments: [{ contentType, filename, data (base64) }]
+  async sendMessage(recipient, message, groupId = null, attachments = []) {
     if (this.mode === 'json-rpc') {
-      return this.sendMessageJsonRpc(recipient, message, groupId);
+      return this.sendMessageJsonRpc(recipient, message, groupId, attachments);
     } else {
-      return this.sendMessageRest(recipient, message, groupId);
+      return this.sendMessageRest(recipient, message, groupId, attachments);
     }
   }
 
-  async sendMessageJsonRpc(recipient, message, groupId = null) {
+  async sendMessageJsonRpc(recipient, message, groupId = null, attachments = []) {
     try {
       const params = {
         message: message
       };
       
+      if (attachments.length > 0) {
+        params.attachments = attachments.map(toDataUri);
+      }
+      
       if (groupId) {
         params.groupId = groupId;
         logger.info(`Sending to group via JSON-RPC`);
@@ -177,7 +275,7 @@ class SignalClient {
     }
   }
 
-  async sendMessageRest(recipient, message, groupId = null) {
+  async sendMessageRest(recipient, message, groupId = null, attachments = []) {
     try {
       const url = `${this.apiUrl}/v2/send`;
       const payload = {
@@ -185,6 +283,10 @@ class SignalClient {
         number: this.number
       };
       
+      if (attachments.length > 0) {
+        payload.base64_attachments = attachments.map(toDataUri);
+      }
+      
       if (groupId) {
         payload.groupId = groupId;
         logger.info(`Sending to group ${groupId.substring(0, 20)}...`);
@@ -201,17 +303,18 @@ class SignalClient {
     }
   }
 
-  // Unified receive messages (works for both modes)
+  // Unified receive messages (works for all modes)
   async receiveMessages() {
-    if (this.mode === 'json-rpc') {
-      // For JSON-RPC, messages are pushed via WebSocket
-      // Return queued messages and clear queue
-      const messages = [...this.messageQueue];
-      this.messageQueue = [];
+    // Pushed messages are queued - return and clear the queue
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    
+    if (this.mode === 'json-rpc' || this.mode === 'websocket') {
       return messages;
-    } else {
-      return this.receiveMessagesRest();
     }
+    
+    // Normal mode: poll
+    return messages.concat(await this.receiveMessagesRest());
   }
 
   async receiveMessagesRest() {
@@ -224,30 +327,10 @@ class SignalClient {
         return [];
       }
       
-      const messages = [];
-      
-      for (const envelope of response.data) {
-        if (envelope.dataMessage) {
-          const dm = envelope.dataMessage;
-          
-          if (envelope.source === this.number) continue;
-          
-          const isGroup = !!dm.groupInfo;
-          
-          messages.push({
-            source: envelope.source,
-            timestamp: dm.timestamp,
-            message: dm.message ? dm.message.trim() : null,
-            attachments: dm.attachments || [],
-            isGroup: isGroup,
-            groupId: isGroup ? dm.groupInfo.groupId : null,
-            groupName: isGroup ? (dm.groupInfo.name || 'Unknown Group') : null,
-            replyTo: isGroup ? { type: 'group', id: dm.groupInfo.groupId } : { type: 'individual', id: envelope.source }
-          });
-        }
-      }
-      
-      return messages;
+      // Items are { envelope, account }; older versions returned bare envelopes
+      return response.data
+        .map(item => this.parseEnvelope(item.envelope || item))
+        .filter(Boolean);
     } catch (err) {
       if (err.response && err.response.status === 400) {
         return [];
@@ -256,21 +339,51 @@ class SignalClient {
     }
   }
 
-  // Group operations (REST only for now, JSON-RPC has limited group support)
-  async listGroups() {
+  // Fetch a received attachment ({ id, contentType, filename } from the envelope)
+  async downloadAttachment(attachment, message = {}) {
+    const contentType = attachment.contentType || 'application/octet-stream';
+    
     if (this.mode === 'json-rpc') {
-      // JSON-RPC doesn't have a direct list groups method
-      logger.warn('listGroups not supported in JSON-RPC mode');
-      return [];
+      const params = { id: attachment.id };
+      if (message.groupId) params.groupId = message.groupId;
+      else if (message.source) params.recipient = message.source;
+      
+      const result = await this.sendJsonRpc('getAttachment', params);
+      return fromBase64(result.data, contentType, attachment.filename);
     }
     
+    const url = `${this.apiUrl}/v1/attachments/${encodeURIComponent(attachment.id)}`;
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 60000 });
+    return fromBuffer(response.data, contentType, attachment.filename);
+  }
+
+  // Read/viewed receipts for a received message (works for both modes)
+  async sendReceipt(recipient, timestamp, type = 'read') {
+    if (this.mode === 'json-rpc') {
+      return this.sendJsonRpc('sendReceipt', { recipient, targetTimestamp: [timestamp], type });
+    }
+    
+    const url = `${this.apiUrl}/v1/receipts/${this.number}`;
+    const response = await axios.post(url, { recipient, timestamp, receipt_type: type }, { timeout: 30000 });
+    return response.data;
+  }
+
+  // Group operations (works for both modes)
+  // Groups are returned in the REST API's shape: { id, name, description, members, admins }
+  async listGroups() {
     try {
-      const url = `${this.apiUrl}/v1/groups/${this.number}`;
-      const response = await axios.get(url);
+      let groups;
+      if (this.mode === 'json-rpc') {
+        const result = await this.sendJsonRpc('listGroups');
+        groups = (result || []).map(g => this.normalizeRpcGroup(g));
+      } else {
+        const url = `${this.apiUrl}/v1/groups/${this.number}`;
+        const response = await axios.get(url);
+        groups = response.data || [];
+      }
       
-      const groups = response.data || [];
       for (const group of groups) {
-        this.groupCache.set(group.id, group);
+        this.cacheGroup(group);
       }
       
       return groups;
@@ -280,40 +393,138 @@ class SignalClient {
     }
   }
 
+  // signal-cli lists members as { number, uuid } objects
+  normalizeRpcGroup(group) {
+    const address = m => (typeof m === 'string' ? m : m.number || m.uuid);
+    return {
+      id: group.id,
+      name: group.name,
+      description: group.description || '',
+      members: (group.members || []).map(address),
+      admins: (group.admins || []).map(address),
+      blocked: !!group.isBlocked,
+      isMember: group.isMember !== false
+    };
+  }
+
   async createGroup(name, members = []) {
-    if (this.mode === 'json-rpc') {
-      logger.warn('createGroup not supported in JSON-RPC mode');
-      throw new Error('Group creation requires REST mode');
-    }
-    
     try {
-      const url = `${this.apiUrl}/v1/groups/${this.number}`;
-      const payload = { name, members };
+      let group;
+      if (this.mode === 'json-rpc') {
+        // updateGroup without a groupId creates a new group
+        const result = await this.sendJsonRpc('updateGroup', {
+          name,
+          member: members.filter(m => m !== this.number)
+        });
+        group = { id: result.groupId, name, members };
+      } else {
+        const url = `${this.apiUrl}/v1/groups/${this.number}`;
+        const response = await axios.post(url, { name, members });
+        group = { name, members, ...response.data };
+      }
       
-      const response = await axios.post(url, payload);
       logger.info(`Created group "${name}"`);
-      return response.data;
+      this.cacheGroup(group);
+      return group;
     } catch (err) {
       logger.error('Failed to create group:', err.message);
       throw err;
     }
   }
 
-  async getOrCreateHAGroup(allowedNumbers, groupName = "Home Assistant Bot") {
-    if (this.mode === 'json-rpc') {
-      logger.warn('Group mode not fully supported in JSON-RPC mode');
-      return null;
-    }
+  // changes: { name, description, addMembers, removeMembers }
+  async updateGroup(groupId, changes = {}) {
+    const { name, description, addMembers = [], removeMembers = [] } = changes;
     
+    try {
+      if (this.mode === 'json-rpc') {
+        const params = { groupId };
+        if (name) params.name = name;
+        if (description !== undefined) params.description = description;
+        if (addMembers.length > 0) params.member = addMembers;
+        if (removeMembers.length > 0) params.removeMember = removeMembers;
+        await this.sendJsonRpc('updateGroup', params);
+      } else {
+        const url = `${this.apiUrl}/v1/groups/${this.number}/${encodeURIComponent(groupId)}`;
+        if (name || description !== undefined) {
+          await axios.put(url, { name, description });
+        }
+        if (addMembers.length > 0) {
+          await axios.post(`${url}/members`, { members: addMembers });
+        }
+        if (removeMembers.length > 0) {
+          await axios.delete(`${url}/members`, { data: { members: removeMembers } });
+        }
+      }
+      
+      const cached = this.groupCache.get(groupId);
+      if (cached) {
+        const members = (cached.members || [])
+          .filter(m => !removeMembers.includes(m))
+          .concat(addMembers.filter(m => !(cached.members || []).includes(m)));
+        this.cacheGroup({
+          ...cached,
+          name: name || cached.name,
+          description: description !== undefined ? description : cached.description,
+          members
+        });
+      }
+      
+      logger.info(`Updated group ${groupId.substring(0, 20)}...`);
+    } catch (err) {
+      logger.error('Failed to update group:', err.message);
+      throw err;
+    }
+  }
+
+  async quitGroup(groupId) {
+    try {
+      if (this.mode === 'json-rpc') {
+        await this.sendJsonRpc('quitGroup', { groupId, delete: true });
+      } else {
+        await axios.post(`${this.apiUrl}/v1/groups/${this.number}/${encodeURIComponent(groupId)}/quit`);
+      }
+      
+      this.groupCache.delete(groupId);
+      if (this.store) {
+        this.store.delete('groups', groupId);
+      }
+      logger.info(`Left group ${groupId.substring(0, 20)}...`);
+    } catch (err) {
+      logger.error('Failed to leave group:', err.message);
+      throw err;
+    }
+  }
+
+  async getOrCreateHAGroup(allowedNumbers, groupName = "Home Assistant Bot") {
     try {
       const groups = await this.listGroups();
-      const existingGroup = groups.find(g => g.name === groupName);
+      const existingGroup = groups.find(g => g.name === groupName && g.isMember !== false);
       
       if (existingGroup) {
         logger.info(`Found existing HA group: "${groupName}"`);
+        
+        // Numbers allowed since the group was created join it
+        const missing = allowedNumbers.filter(n => n !== this.number && !(existingGroup.members || []).includes(n));
+        if (missing.length > 0) {
+          try {
+            await this.updateGroup(existingGroup.id, { addMembers: missing });
+            existingGroup.members = [...(existingGroup.members || []), ...missing];
+            logger.info(`Added ${missing.length} member(s) to "${groupName}"`);
+          } catch (err) {
+            logger.warn(`Could not add new members to "${groupName}": ${err.message}`);
+          }
+        }
         return existingGroup;
       }
       
+      // Listing can fail transiently - don't create a duplicate of a group we know
+      const cachedGroup = [...this.groupCache.values()].find(g => g.name === groupName && g.isMember !== false);
+      if (cachedGroup) {
+        logger.info(`Using remembered HA group: "${groupName}"`);
+        return cachedGroup;
+      }
+      
       logger.info(`Creating new HA group: "${groupName}"`);
       return await this.createGroup(groupName, [this.number, ...allowedNumbers]);
     } catch (err) {
@@ -322,7 +533,17 @@ class SignalClient {
     }
   }
 
+  cacheGroup(group) {
+    if (!group.id) return;
+    this.groupCache.set(group.id, group);
+    if (this.store) {
+      this.store.set('groups', group.id, group);
+    }
+  }
+
   disconnect() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
     if (this.ws) {
       this.ws.close();
     }
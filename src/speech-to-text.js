@@ -0,0 +1,112 @@
+// Speech-to-text for voice notes
+// Backends: a Whisper-compatible HTTP service (OpenAI /v1/audio/transcriptions API)
+// or Home Assistant's own STT providers (/api/stt/<provider>)
+const axios = require('axios');
+const { spawn } = require('child_process');
+const logger = require('./logger');
+
+const BACKENDS = ['whisper', 'ha'];
+
+// HA's STT API only takes WAV/PCM or OGG/Opus; Signal voice notes are usually AAC
+function convertToWav(buffer) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ['-i', 'pipe:0', '-ar', '16000', '-ac', '1', '-f', 's16le', 'pipe:1']);
+    const chunks = [];
+
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.on('error', err => reject(new Error(`ffmpeg is needed to convert voice notes (${err.message})`)));
+    ffmpeg.on('close', code => {
+      if (code !== 0) return reject(new Error(`ffmpeg exited with code ${code}`));
+      resolve(Buffer.concat(chunks));
+    });
+
+    ffmpeg.stdin.on('error', () => {}); // Reported through the exit code
+    ffmpeg.stdin.end(buffer);
+  });
+}
+
+class SpeechToText {
+  // options:
+  //   backend   - 'whisper' or 'ha'
+  //   url       - whisper: transcription endpoint
+  //   model     - whisper: model name (default whisper-1)
+  //   language  - whisper: 'en'; ha: 'en-US'
+  //   provider  - ha: STT provider, e.g. stt.home_assistant_cloud
+  //   ha        - HomeAssistant instance (ha backend)
+  constructor(options = {}) {
+    if (!BACKENDS.includes(options.backend)) {
+      throw new Error(`Unknown STT backend "${options.backend}" (use ${BACKENDS.join(' or ')})`);
+    }
+    if (options.backend === 'whisper' && !options.url) {
+      throw new Error('STT_URL is required for the whisper backend');
+    }
+    if (options.backend === 'ha' && !options.provider) {
+      throw new Error('STT_PROVIDER is required for the ha backend');
+    }
+
+    this.backend = options.backend;
+    this.url = options.url;
+    this.model = options.model || 'whisper-1';
+    this.language = options.language || null;
+    this.provider = options.provider;
+    this.ha = options.ha;
+  }
+
+  // STT_BACKEND, STT_URL, STT_MODEL, STT_LANGUAGE, STT_PROVIDER; null when not configured
+  static fromEnv(env, options = {}) {
+    if (!env.STT_BACKEND) return null;
+
+    return new SpeechToText({
+      backend: env.STT_BACKEND,
+      url: env.STT_URL,
+      model: env.STT_MODEL,
+      language: env.STT_LANGUAGE,
+      provider: env.STT_PROVIDER,
+      ha: options.ha
+    });
+  }
+
+  // attachment: { contentType, filename, data (base64) } -> transcript text
+  async transcribe(attachment) {
+    const audio = Buffer.from(attachment.data, 'base64');
+    const text = this.backend === 'whisper'
+      ? await this.transcribeWhisper(audio, attachment)
+      : await this.transcribeHa(audio, attachment);
+
+    logger.debug(`Transcribed ${audio.length} bytes of ${attachment.contentType} via ${this.backend}`);
+    return (text || '').trim();
+  }
+
+  async transcribeWhisper(audio, attachment) {
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: attachment.contentType }), attachment.filename || 'voice.m4a');
+    form.append('model', this.model);
+    if (this.language) form.append('language', this.language);
+
+    const response = await axios.post(this.url, form, { timeout: 120000 });
+    return typeof response.data === 'string' ? response.data : response.data.text;
+  }
+
+  async transcribeHa(audio, attachment) {
+    const isOgg = attachment.contentType === 'audio/ogg';
+    const body = isOgg ? audio : await convertToWav(audio);
+    const format = isOgg
+      ? 'format=ogg; codec=opus; sample_rate=16000; bit_rate=16; channel=1'
+      : 'format=wav; codec=pcm; sample_rate=16000; bit_rate=16; channel=1';
+
+    const response = await this.ha.restClient.post(`/api/stt/${this.provider}`, body, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Speech-Content': `${format}; language=${this.language || 'en-US'}`
+      },
+      timeout: 120000
+    });
+
+    if (response.data.result !== 'success') {
+      throw new Error(`HA speech-to-text failed (${response.data.result})`);
+    }
+    return response.data.text;
+  }
+}
+
+module.exports = SpeechToText;
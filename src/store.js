@@ -0,0 +1,163 @@
+// Persistent state store
+// A small JSON-file-backed key/value store split into namespaces, with schema migrations.
+//
+// Namespaces in use:
+//   processed_messages - Signal message IDs already handled (dedup across restarts)
+//   groups             - Signal group info by group ID
+//   bridge             - bridge-wide values (e.g. the HA group ID)
+//   subscriptions      - personal alert subscriptions by ID
+//   schedules          - scheduled commands by ID
+//   digests            - when each digest was last sent, and notable events for the next one
+//   counters           - ID sequences
+//   pending_*          - short-lived conversation state (confirmations, choices)
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Each migration brings the data from version - 1 to version
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial namespaces',
+    up(data) {
+      for (const ns of ['processed_messages', 'groups', 'bridge', 'subscriptions', 'counters']) {
+        data[ns] = data[ns] || {};
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Import alert subscriptions from subscriptions.json',
+    up(data, { dir }) {
+      const legacy = path.join(dir, 'subscriptions.json');
+      if (!fs.existsSync(legacy)) return;
+
+      const { items = [], nextId = 1 } = JSON.parse(fs.readFileSync(legacy, 'utf8'));
+      for (const item of items) {
+        data.subscriptions[item.id] = item;
+      }
+      data.counters.subscriptions = Math.max(data.counters.subscriptions || 1, nextId);
+      fs.renameSync(legacy, `${legacy}.migrated`);
+      logger.info(`Imported ${items.length} subscriptions from ${legacy}`);
+    }
+  }
+];
+
+const SAVE_DELAY = 1000; // Coalesce bursts of writes
+
+class Store {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.migrations = options.migrations || MIGRATIONS;
+    this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : SAVE_DELAY;
+    this.version = 0;
+    this.data = {};
+    this.saveTimer = null;
+  }
+
+  open() {
+    if (fs.existsSync(this.file)) {
+      try {
+        const content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.version = content.version || 0;
+        this.data = content.data || {};
+      } catch (err) {
+        // Keep the broken file for inspection rather than overwriting it silently
+        const backup = `${this.file}.corrupt-${Date.now()}`;
+        fs.renameSync(this.file, backup);
+        logger.error(`Store file ${this.file} was unreadable (${err.message}), moved to ${backup}`);
+      }
+    }
+
+    this.migrate();
+    logger.info(`Store opened: ${this.file} (schema v${this.version})`);
+    return this;
+  }
+
+  migrate() {
+    const pending = this.migrations
+      .filter(m => m.version > this.version)
+      .sort((a, b) => a.version - b.version);
+    if (pending.length === 0) return;
+
+    for (const migration of pending) {
+      logger.info(`Store migration v${migration.version}: ${migration.description}`);
+      migration.up(this.data, { dir: path.dirname(this.file) });
+      this.version = migration.version;
+    }
+    this.flush();
+  }
+
+  namespace(ns) {
+    if (!this.data[ns]) this.data[ns] = {};
+    return this.data[ns];
+  }
+
+  get(ns, key, fallback = null) {
+    const value = this.namespace(ns)[key];
+    return value === undefined ? fallback : value;
+  }
+
+  has(ns, key) {
+    return Object.prototype.hasOwnProperty.call(this.namespace(ns), key);
+  }
+
+  set(ns, key, value) {
+    this.namespace(ns)[key] = value;
+    this.scheduleSave();
+  }
+
+  delete(ns, key) {
+    delete this.namespace(ns)[key];
+    this.scheduleSave();
+  }
+
+  keys(ns) {
+    return Object.keys(this.namespace(ns));
+  }
+
+  values(ns) {
+    return Object.values(this.namespace(ns));
+  }
+
+  entries(ns) {
+    return Object.entries(this.namespace(ns));
+  }
+
+  // Next value of a named ID sequence
+  nextId(name) {
+    const id = this.get('counters', name, 1);
+    this.set('counters', name, id + 1);
+    return id;
+  }
+
+  scheduleSave() {
+    if (this.saveDelay === 0) {
+      this.flush();
+      return;
+    }
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+  }
+
+  // Write atomically so a crash never leaves a half-written file
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: this.version, data: this.data }));
+      fs.renameSync(tmp, this.file);
+    } catch (err) {
+      logger.error(`Failed to save store ${this.file}:`, err.message);
+    }
+  }
+
+  close() {
+    if (this.saveTimer) this.flush();
+  }
+}
+
+module.exports = Store;
@@ -0,0 +1,56 @@
+// Per-user alert subscriptions created from chat ("notify me when the garage door opens")
+
+// Repeated triggers of the same subscription are spaced out
+const SUBSCRIPTION_COOLDOWN = '5m';
+
+class Subscriptions {
+  // Kept in the store's "subscriptions" namespace; options.onChange is called after every add/remove
+  constructor(store, options = {}) {
+    this.store = store;
+    this.onChange = options.onChange || (() => {});
+  }
+
+  get items() {
+    return this.store.values('subscriptions').sort((a, b) => a.id - b.id);
+  }
+
+  // subscription: { entityId, name, to?, above?, below?, description }
+  add(owner, subscription) {
+    const item = { id: this.store.nextId('subscriptions'), owner, created: new Date().toISOString(), ...subscription };
+    this.store.set('subscriptions', item.id, item);
+    this.onChange();
+    return item;
+  }
+
+  list(owner) {
+    return this.items.filter(s => s.owner === owner);
+  }
+
+  // index is 1-based, as shown by list()
+  remove(owner, index) {
+    const item = this.list(owner)[index - 1];
+    if (!item) return null;
+
+    this.store.delete('subscriptions', item.id);
+    this.onChange();
+    return item;
+  }
+
+  // Rules for NotificationRules, delivered by DM to the owner
+  toRules() {
+    return this.items.map(s => ({
+      id: `subscription_${s.id}`,
+      entity: s.entityId,
+      to: s.to,
+      above: s.above,
+      below: s.below,
+      cooldown: SUBSCRIPTION_COOLDOWN,
+      message: s.above !== undefined || s.below !== undefined
+        ? `🔔 ${s.name} is {{state}}{{unit}} (alert: ${s.description})`
+        : `🔔 ${s.name} is now {{state}}`,
+      notify: { numbers: [s.owner] }
+    }));
+  }
+}
+
+module.exports = Subscriptions;
@@ -0,0 +1,64 @@
+// Wall-clock time in a named time zone (HA's), without a date library
+
+// Wall-clock parts of a timestamp in a time zone
+function zonedParts(timestamp, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  for (const { type, value } of format.formatToParts(new Date(timestamp))) {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  }
+  parts.weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  return parts;
+}
+
+// Milliseconds to add to a timestamp to get the wall-clock time in the zone
+function zoneOffset(timestamp, timeZone) {
+  const p = zonedParts(timestamp, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Timestamp of a wall-clock time in a time zone (days may overflow: day 32 is next month)
+function zonedTime({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset may differ on either side of a DST change - check it at the result
+  const first = wall - zoneOffset(wall, timeZone);
+  return wall - zoneOffset(first, timeZone);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// "today 23:30", "tomorrow 07:00", "yesterday 18:05", "Mon 21 Oct 07:00"
+function formatWhen(timestamp, now, timeZone) {
+  const at = zonedParts(timestamp, timeZone);
+  const today = zonedParts(now, timeZone);
+  const clock = `${pad(at.hour)}:${pad(at.minute)}`;
+
+  const dayNumber = (p) => Date.UTC(p.year, p.month - 1, p.day) / 86400000;
+  const days = dayNumber(at) - dayNumber(today);
+  if (days === 0) return `today ${clock}`;
+  if (days === 1) return `tomorrow ${clock}`;
+  if (days === -1) return `yesterday ${clock}`;
+
+  const date = new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'short', day: 'numeric', month: 'short' }).format(new Date(timestamp));
+  return `${date} ${clock}`;
+}
+
+module.exports = {
+  zonedParts,
+  zoneOffset,
+  zonedTime,
+  formatWhen,
+  pad
+};
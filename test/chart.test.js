@@ -0,0 +1,93 @@
+const zlib = require('zlib');
+const { encodePng } = require('../src/png');
+const { renderChart, Raster } = require('../src/chart');
+
+// Splits a PNG into chunks, checking the structure on the way
+function readPng(buffer) {
+  expect(buffer.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+
+  const chunks = [];
+  let offset = 8;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    chunks.push({
+      type: buffer.toString('ascii', offset + 4, offset + 8),
+      data: buffer.subarray(offset + 8, offset + 8 + length),
+      crc: buffer.readUInt32BE(offset + 8 + length)
+    });
+    offset += 12 + length;
+  }
+  expect(offset).toBe(buffer.length);
+
+  const header = chunks[0].data;
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const raw = zlib.inflateSync(Buffer.concat(chunks.filter(c => c.type === 'IDAT').map(c => c.data)));
+
+  // Undo the per-row filter byte (always 0 = none)
+  const stride = width * 3;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    expect(raw[y * (stride + 1)]).toBe(0);
+    raw.copy(pixels, y * stride, y * (stride + 1) + 1, (y + 1) * (stride + 1));
+  }
+
+  return { chunks, width, height, bitDepth: header[8], colorType: header[9], pixels };
+}
+
+const colorCount = (png, [r, g, b]) => {
+  let count = 0;
+  for (let i = 0; i < png.pixels.length; i += 3) {
+    if (png.pixels[i] === r && png.pixels[i + 1] === g && png.pixels[i + 2] === b) count++;
+  }
+  return count;
+};
+
+describe('encodePng', () => {
+  test('writes a valid 8-bit RGB image', () => {
+    const pixels = Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255]);
+    const png = readPng(encodePng(2, 2, pixels));
+
+    expect(png.chunks.map(c => c.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    expect([png.width, png.height, png.bitDepth, png.colorType]).toEqual([2, 2, 8, 2]);
+    expect(png.pixels).toEqual(pixels);
+    // The CRC of an empty IEND chunk is fixed by the spec
+    expect(png.chunks[2].crc).toBe(0xae426082);
+  });
+});
+
+describe('Raster', () => {
+  test('draws lines and text inside the bounds only', () => {
+    const raster = new Raster(20, 10);
+    raster.line(-5, 9, 30, 9, [0, 0, 0]);
+    raster.text(1, 1, 'a', [255, 0, 0], 1);
+
+    const png = readPng(raster.toPng());
+    expect(colorCount(png, [0, 0, 0])).toBe(20);
+    expect(colorCount(png, [255, 0, 0])).toBeGreaterThan(0);
+  });
+});
+
+describe('renderChart', () => {
+  const start = Date.UTC(2026, 9, 19, 0, 0);
+  const end = start + 24 * 60 * 60 * 1000;
+  const points = (values) => values.map((value, i) => ({ time: start + i * 3 * 60 * 60 * 1000, value }));
+
+  test('renders every series in its own colour at the requested size', () => {
+    const series = [
+      { name: 'Living room', points: points([20.5, 21, 22.5, null, 21.5, 20]) },
+      { name: 'Outdoor', points: points([8, 9, 12, 14, 11, 7]) }
+    ];
+    const png = readPng(renderChart(series, { start, end, timeZone: 'Europe/Berlin', title: 'Temperature', width: 640, height: 320 }));
+
+    expect([png.width, png.height]).toEqual([640, 320]);
+    expect(colorCount(png, [31, 119, 180])).toBeGreaterThan(100);
+    expect(colorCount(png, [214, 39, 40])).toBeGreaterThan(100);
+  });
+
+  test('handles a flat line and a single point', () => {
+    const png = readPng(renderChart([{ name: 'Humidity', points: [{ time: start, value: 50 }] }], { start, end, timeZone: 'UTC' }));
+    expect([png.width, png.height]).toEqual([800, 400]);
+    expect(colorCount(png, [31, 119, 180])).toBeGreaterThan(100);
+  });
+});
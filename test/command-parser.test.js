@@ -0,0 +1,638 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandParser = require('../src/command-parser');
+const Confirmations = require('../src/confirmations');
+const NotificationRules = require('../src/notification-rules');
+const Permissions = require('../src/permissions');
+const Store = require('../src/store');
+const Subscriptions = require('../src/subscriptions');
+const { effectiveService } = Confirmations;
+const { createFakeHa, entity } = require('./fake-ha');
+
+const CONTEXT = { source: '+15551234567' };
+
+function fakeScheduler() {
+  return {
+    add: jest.fn((owner, groupId, schedule, timeZone) => ({ id: 1, owner, ...schedule, timeZone })),
+    list: jest.fn(() => [])
+  };
+}
+
+describe('scheduled commands', () => {
+  let ha;
+  let scheduler;
+  let parser;
+
+  beforeEach(() => {
+    ha = createFakeHa({
+      states: [
+        entity('light.desk_lamp', 'off', 'Desk Lamp'),
+        entity('light.porch', 'on', 'Porch Light'),
+        entity('sensor.living_room_temperature', '21.5', 'Living Room Temperature', { unit_of_measurement: '°C' }),
+        entity('climate.hall', 'heat', 'Thermostat', { temperature: 20, supported_features: 1 })
+      ]
+    });
+    const now = Date.now();
+    ha.getHistory = async () => [
+      { state: '20.5', time: now - 20 * 60 * 60 * 1000 },
+      { state: '22', time: now - 10 * 60 * 60 * 1000 }
+    ];
+    scheduler = fakeScheduler();
+    parser = new CommandParser(ha, { scheduler });
+  });
+
+  test('control commands with a time are scheduled, not run', async () => {
+    const reply = await parser.execute('turn off porch light at 23:30', CONTEXT);
+    expect(reply).toMatch(/^⏰ Scheduled .*23:30: turn off porch light/);
+    expect(scheduler.add).toHaveBeenCalledTimes(1);
+    expect(ha.calls).toEqual([]);
+  });
+
+  test('"graph X in 24h" draws the graph instead of scheduling it', async () => {
+    const reply = await parser.execute('graph living room temperature in 24h', CONTEXT);
+    expect(scheduler.add).not.toHaveBeenCalled();
+    expect(reply.attachments).toHaveLength(1);
+    expect(reply.attachments[0].contentType).toBe('image/png');
+  });
+
+  test('"what was X at 8am" is answered from history, not scheduled', async () => {
+    ha.getHistory = async (entityId, start) => [{ state: '19.5', time: start - 60 * 60 * 1000 }];
+
+    const reply = await parser.execute('what was the living room temperature at 8am', CONTEXT);
+    expect(scheduler.add).not.toHaveBeenCalled();
+    expect(reply).toMatch(/^🕒 \*Living Room Temperature\* was 19\.5 °C (today|yesterday) 08:00$/);
+  });
+
+  test('a value is not mistaken for a time ("set thermostat at 21")', async () => {
+    await parser.execute('set thermostat at 21', CONTEXT);
+    expect(scheduler.add).not.toHaveBeenCalled();
+  });
+
+  test('"every day at 7" takes a bare hour', async () => {
+    const reply = await parser.execute('turn on desk lamp every day at 7', CONTEXT);
+    expect(reply).toMatch(/^⏰ Scheduled every day at 07:00: turn on desk lamp/);
+    expect(scheduler.add.mock.calls[0][2].repeat).toEqual({ days: [0, 1, 2, 3, 4, 5, 6], hour: 7, minute: 0 });
+    expect(ha.calls).toEqual([]);
+  });
+
+  test('"turn on X at 7" takes a bare hour when the command has no value', async () => {
+    await parser.execute('turn on desk lamp at 7', CONTEXT);
+    expect(scheduler.add.mock.calls[0][2]).toMatchObject({ command: 'turn on desk lamp' });
+    expect(ha.calls).toEqual([]);
+  });
+
+  test.each(['turn on desk lamp tomorrow', 'turn off porch light every monday'])('"%s" asks for a time instead of acting now', async (text) => {
+    const reply = await parser.execute(text, CONTEXT);
+    expect(reply).toMatch(/couldn't understand the time/);
+    expect(scheduler.add).not.toHaveBeenCalled();
+    expect(ha.calls).toEqual([]);
+  });
+});
+
+describe('resolving entity names', () => {
+  test('a name matching only one generic word asks instead of acting', async () => {
+    const ha = createFakeHa({
+      states: [
+        entity('lock.front_door', 'locked', 'Front Door'),
+        entity('cover.garage_door', 'closed', 'Garage Door')
+      ]
+    });
+    const parser = new CommandParser(ha);
+
+    const reply = await parser.execute('toggle front door', CONTEXT);
+    expect(reply).toMatch(/^🤔 Which one did you mean\?\n\n1\. Garage Door/);
+    expect(ha.calls).toEqual([]);
+  });
+});
+
+describe('reporting results of slow devices', () => {
+  let ha;
+  let parser;
+
+  beforeEach(() => {
+    ha = createFakeHa({
+      states: [
+        entity('light.kitchen_ceiling', 'on', 'Kitchen Ceiling'),
+        entity('light.hallway', 'on', 'Hallway'),
+        entity('switch.coffee_maker', 'off', 'Coffee Maker')
+      ],
+      serviceDelay: 600
+    });
+    parser = new CommandParser(ha);
+  });
+
+  test('waits for state_changed to arrive after the service call returns', async () => {
+    const reply = await parser.execute('turn off all lights', CONTEXT);
+    expect(ha.calls).toHaveLength(1);
+    expect(reply).toMatch(/^✅ .* 2\/2:/);
+    expect(reply).toContain('✅ Kitchen Ceiling');
+    expect(reply).not.toContain('still on');
+  });
+
+  test('reports an entity that never changes once the wait is over', async () => {
+    jest.useFakeTimers();
+    try {
+      ha.stuck.add('light.hallway');
+      const pending = parser.execute('turn off all lights', CONTEXT);
+      await jest.advanceTimersByTimeAsync(3500);
+      const reply = await pending;
+
+      expect(reply).toMatch(/^⚠️ .* 1\/2:/);
+      expect(reply).toContain('✅ Kitchen Ceiling');
+      expect(reply).toContain('⚠️ Hallway (still on)');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('toggle reports the state the device actually went to', async () => {
+    const reply = await parser.execute('toggle coffee maker', CONTEXT);
+    expect(reply).toBe('🔄 Toggled Coffee Maker to on');
+    expect(ha.getMirroredState('switch.coffee_maker').state).toBe('on');
+  });
+});
+
+describe('alarm code prompts', () => {
+  let ha;
+  let parser;
+
+  function setup(codeFormat, options = {}) {
+    ha = createFakeHa({
+      states: [
+        entity('alarm_control_panel.house', 'armed_away', 'House Alarm', { code_format: codeFormat, supported_features: 3 }),
+        entity('light.kitchen', 'off', 'Kitchen')
+      ]
+    });
+    parser = new CommandParser(ha, { confirmations: new Confirmations(), ...options });
+  }
+
+  const disarmCalls = () => ha.calls.filter(c => c.service === 'alarm_disarm');
+
+  test('a text code needs "code ..." and goes to HA as it is', async () => {
+    setup('text');
+    expect(await parser.execute('disarm', CONTEXT)).toMatch(/^🔐 Reply with "code" and the alarm code/);
+
+    expect(await parser.execute('code hunter2', CONTEXT)).toBe('🔓 House Alarm disarmed');
+    expect(disarmCalls()).toEqual([
+      { domain: 'alarm_control_panel', service: 'alarm_disarm', data: { entity_id: 'alarm_control_panel.house', code: 'hunter2' } }
+    ]);
+  });
+
+  test.each(['status', 'help', 'lights'])('"%s" during a text code prompt runs as a command and cancels the prompt', async (text) => {
+    setup('text');
+    await parser.execute('disarm', CONTEXT);
+
+    const reply = await parser.execute(text, CONTEXT);
+    expect(reply).not.toMatch(/^🔐|House Alarm disarmed/);
+    expect(disarmCalls()).toEqual([]);
+    expect(parser.expectsPin(CONTEXT)).toBe(false);
+  });
+
+  test('a code sent without "code" cancels the prompt and is never echoed or passed to Assist', async () => {
+    setup('text', { assist: {} });
+    ha.wsReplies['conversation/process'] = {
+      response: { response_type: 'error', speech: { plain: { speech: 'Sorry, I am not aware of any device called that' } } }
+    };
+    await parser.execute('disarm', CONTEXT);
+
+    const reply = await parser.execute('hunter2', CONTEXT);
+    expect(reply).not.toContain('hunter2');
+    expect(reply).toMatch(/alarm code prompt was cancelled/);
+    expect(ha.commands).toEqual([]);
+    expect(disarmCalls()).toEqual([]);
+    expect(parser.expectsPin(CONTEXT)).toBe(false);
+
+    // Without a prompt pending, the same message goes to Assist as usual
+    await parser.execute('hunter2', CONTEXT);
+    expect(ha.commands).toEqual([{ type: 'conversation/process', text: 'hunter2' }]);
+  });
+
+  test('a numeric panel takes bare digits, and other messages cancel the prompt', async () => {
+    setup('number');
+    expect(await parser.execute('disarm', CONTEXT)).toMatch(/^🔐 Reply with the alarm code/);
+    expect(await parser.execute('1234', CONTEXT)).toBe('🔓 House Alarm disarmed');
+    expect(disarmCalls()[0].data.code).toBe('1234');
+
+    ha.states.set('alarm_control_panel.house', { ...ha.getMirroredState('alarm_control_panel.house'), state: 'armed_away' });
+    await parser.execute('disarm', CONTEXT);
+    await parser.execute('turn on kitchen', CONTEXT);
+    expect(ha.calls[ha.calls.length - 1].service).toBe('turn_on');
+    await parser.execute('5678', CONTEXT);
+    expect(disarmCalls()).toHaveLength(1);
+  });
+});
+
+describe('confirming sensitive actions', () => {
+  let ha;
+  let now;
+
+  function setup(options = {}) {
+    ha = createFakeHa({
+      states: [
+        entity('lock.front_door', 'locked', 'Front Door'),
+        entity('cover.garage_door', 'closed', 'Garage Door'),
+        entity('cover.kitchen_blind', 'closed', 'Kitchen Blind'),
+        entity('light.desk_lamp', 'off', 'Desk Lamp', {
+          supported_color_modes: ['brightness'],
+          supported_features: 4,
+          effect_list: ['Rainbow', 'Candle']
+        })
+      ]
+    });
+    now = 1000000;
+    return new CommandParser(ha, { confirmations: new Confirmations({ now: () => now, ...options }) });
+  }
+
+  const calls = () => ha.calls.map(c => `${c.domain}.${c.service} ${[].concat(c.data.entity_id).join()}`);
+
+  test('YES runs the action and NO cancels it', async () => {
+    const parser = setup();
+    expect(await parser.execute('unlock front door', CONTEXT)).toBe('⚠️ Reply YES within 60s to unlock Front Door');
+    expect(ha.calls).toEqual([]);
+    expect(await parser.execute('yes', CONTEXT)).toBe('🔓 Unlocked: Front Door');
+    expect(calls()).toEqual(['lock.unlock lock.front_door']);
+
+    await parser.execute('unlock front door', CONTEXT);
+    expect(await parser.execute('no', CONTEXT)).toBe('❎ Cancelled: unlock Front Door');
+    await parser.execute('yes', CONTEXT);
+    expect(calls()).toHaveLength(1);
+  });
+
+  test('a PIN is checked, and a wrong one cancels', async () => {
+    const parser = setup({ pins: { 'lock.*': '1234' } });
+    expect(await parser.execute('unlock front door', CONTEXT)).toBe('🔐 Reply with your PIN within 60s to unlock Front Door');
+    expect(parser.expectsPin(CONTEXT)).toBe(true);
+    expect(await parser.execute('9999', CONTEXT)).toBe('❌ Wrong PIN - cancelled: unlock Front Door');
+    await parser.execute('1234', CONTEXT);
+    expect(ha.calls).toEqual([]);
+
+    await parser.execute('unlock front door', CONTEXT);
+    expect(await parser.execute('1234', CONTEXT)).toBe('🔓 Unlocked: Front Door');
+    expect(calls()).toEqual(['lock.unlock lock.front_door']);
+  });
+
+  test('an answer after the timeout does nothing', async () => {
+    const parser = setup();
+    await parser.execute('unlock front door', CONTEXT);
+    now += 61 * 1000;
+    await parser.execute('yes', CONTEXT);
+    expect(ha.calls).toEqual([]);
+  });
+
+  test('only the sender can confirm, and only in the conversation it was asked in', async () => {
+    const parser = setup();
+    const group = { source: CONTEXT.source, groupId: 'family' };
+    await parser.execute('unlock front door', group);
+
+    await parser.execute('yes', { source: '+15559876543', groupId: 'family' });
+    await parser.execute('yes', CONTEXT);
+    expect(ha.calls).toEqual([]);
+
+    expect(await parser.execute('yes', group)).toBe('🔓 Unlocked: Front Door');
+  });
+
+  test('generic turn on / toggle count as the lock and cover services they become', async () => {
+    const parser = setup();
+    expect(await parser.execute('turn on garage door', CONTEXT)).toBe('⚠️ Reply YES within 60s to open Garage Door');
+    await parser.execute('no', CONTEXT);
+    expect(await parser.execute('toggle garage door', CONTEXT)).toBe('⚠️ Reply YES within 60s to open Garage Door');
+    await parser.execute('no', CONTEXT);
+
+    // Only garage covers are sensitive, and closing one is not
+    await parser.execute('turn on kitchen blind', CONTEXT);
+    ha.states.set('cover.garage_door', { ...ha.getMirroredState('cover.garage_door'), state: 'open' });
+    await parser.execute('toggle garage door', CONTEXT);
+    expect(calls()).toEqual(['homeassistant.turn_on cover.kitchen_blind', 'homeassistant.toggle cover.garage_door']);
+  });
+
+  test.each([
+    ['dim desk lamp to 30%', 'light.turn_on light.desk_lamp'],
+    ['desk lamp effect to rainbow', 'light.turn_on light.desk_lamp']
+  ])('a light.* rule covers "%s"', async (text, call) => {
+    const parser = setup({ actions: ['light.*'] });
+    expect(await parser.execute(text, CONTEXT)).toBe('⚠️ Reply YES within 60s to turn on Desk Lamp');
+    expect(ha.calls).toEqual([]);
+    await parser.execute('yes', CONTEXT);
+    expect(calls()).toEqual([call]);
+  });
+});
+
+describe('effectiveService', () => {
+  const lock = (state) => ({ entity_id: 'lock.front_door', state });
+  const cover = (state) => ({ entity_id: 'cover.garage_door', state });
+
+  test.each([
+    ['toggle', lock('locked'), 'lock.unlock'],
+    ['toggle', lock('unlocked'), 'lock.lock'],
+    ['turn_on', lock('locked'), 'lock.unlock'],
+    ['turn_off', lock('unlocked'), 'lock.lock'],
+    ['toggle', cover('closed'), 'cover.open_cover'],
+    ['toggle', cover('open'), 'cover.close_cover'],
+    ['turn_on', cover('closed'), 'cover.open_cover'],
+    ['turn_off', cover('open'), 'cover.close_cover'],
+    ['turn_on', { entity_id: 'light.desk_lamp', state: 'off' }, 'light.turn_on']
+  ])('homeassistant.%s on %p is %s', (service, target, expected) => {
+    const effective = effectiveService('homeassistant', service, target);
+    expect(`${effective.domain}.${effective.service}`).toBe(expected);
+  });
+
+  test('other domains are left alone', () => {
+    expect(effectiveService('lock', 'unlock', lock('locked'))).toEqual({ domain: 'lock', service: 'unlock' });
+  });
+});
+
+describe('thermostats', () => {
+  let ha;
+  let parser;
+
+  beforeEach(() => {
+    ha = createFakeHa({
+      states: [
+        entity('climate.living_room', 'heat', 'Living Room Thermostat', {
+          temperature: 20,
+          current_temperature: 19.5,
+          min_temp: 7,
+          max_temp: 30,
+          target_temp_step: 0.5,
+          hvac_modes: ['off', 'heat', 'cool', 'heat_cool'],
+          preset_modes: ['eco', 'comfort'],
+          fan_modes: ['auto', 'low'],
+          supported_features: 1 | 8 | 16
+        }),
+        entity('light.kitchen', 'off', 'Kitchen')
+      ]
+    });
+    parser = new CommandParser(ha);
+  });
+
+  const climateCalls = () => ha.calls.filter(c => c.domain === 'climate').map(c => [c.service, c.data]);
+  const setAttributes = (attributes) => {
+    const current = ha.getMirroredState('climate.living_room');
+    ha.states.set('climate.living_room', { ...current, attributes: { ...current.attributes, ...attributes } });
+  };
+
+  test('"set thermostat to 21.5" sets the only thermostat\'s target', async () => {
+    expect(await parser.execute('set thermostat to 21.5', CONTEXT)).toBe('🌡️ Living Room Thermostat set to 21.5°C (currently 19.5°C)');
+    expect(climateCalls()).toEqual([['set_temperature', { entity_id: 'climate.living_room', temperature: 21.5 }]]);
+  });
+
+  test('"heat living room to 22°" sets the mode along with the temperature', async () => {
+    expect(await parser.execute('heat living room to 22°', CONTEXT)).toBe('🌡️ Living Room Thermostat set to 22°C and heating (currently 19.5°C)');
+    expect(climateCalls()).toEqual([['set_temperature', { entity_id: 'climate.living_room', temperature: 22, hvac_mode: 'heat' }]]);
+  });
+
+  test('a temperature outside the thermostat\'s range is refused', async () => {
+    expect(await parser.execute('set thermostat to 35', CONTEXT)).toBe('❌ Living Room Thermostat accepts 7°C to 30°C, not 35°C');
+    expect(climateCalls()).toEqual([]);
+  });
+
+  test('"warmer" and "a bit colder" move the target by a step, within range', async () => {
+    await parser.execute('warmer', CONTEXT);
+    await parser.execute('a bit colder', CONTEXT);
+    expect(climateCalls().map(([, data]) => data.temperature)).toEqual([21, 19]);
+
+    setAttributes({ temperature: 30 });
+    expect(await parser.execute('make it warmer', CONTEXT)).toBe('🌡️ Living Room Thermostat is already at its maximum (30°C)');
+  });
+
+  test.each([
+    ['thermostat mode to heat cool', 'mode set to heat cool', ['set_hvac_mode', { hvac_mode: 'heat_cool' }]],
+    ['thermostat off', 'mode set to off', ['set_hvac_mode', { hvac_mode: 'off' }]],
+    ['thermostat eco', 'preset set to eco', ['set_preset_mode', { preset_mode: 'eco' }]],
+    ['thermostat preset comfort', 'preset set to comfort', ['set_preset_mode', { preset_mode: 'comfort' }]],
+    ['thermostat fan mode low', 'fan set to low', ['set_fan_mode', { fan_mode: 'low' }]]
+  ])('"%s"', async (text, reply, [service, data]) => {
+    expect(await parser.execute(text, CONTEXT)).toBe(`🌡️ Living Room Thermostat ${reply}`);
+    expect(climateCalls()).toEqual([[service, { entity_id: 'climate.living_room', ...data }]]);
+  });
+
+  test('an unknown mode lists the ones there are', async () => {
+    expect(await parser.execute('thermostat mode to dry', CONTEXT)).toBe(
+      '❓ Living Room Thermostat has no "dry" mode\nModes: off, heat, cool, heat_cool\nPresets: eco, comfort'
+    );
+    expect(climateCalls()).toEqual([]);
+  });
+
+  test('features the thermostat lacks are refused', async () => {
+    setAttributes({ supported_features: 2 });
+    expect(await parser.execute('set thermostat to 21', CONTEXT)).toBe('❌ Living Room Thermostat only takes a low/high temperature range');
+    expect(await parser.execute('thermostat fan mode low', CONTEXT)).toBe('❌ Living Room Thermostat doesn\'t support fan modes');
+    expect(climateCalls()).toEqual([]);
+  });
+});
+
+describe('covers, media players, fans, vacuums and scenes', () => {
+  let ha;
+  let parser;
+
+  beforeEach(() => {
+    ha = createFakeHa({
+      states: [
+        entity('cover.living_room_blinds', 'open', 'Living Room Blinds', { supported_features: 15 }),
+        entity('cover.garage_door', 'closed', 'Garage Door', { supported_features: 3 }),
+        entity('media_player.living_room_tv', 'playing', 'Living Room TV', { supported_features: 1 | 4 | 16 | 32 | 4096 | 16384 }),
+        entity('media_player.kitchen_speaker', 'paused', 'Kitchen Speaker', { supported_features: 1 | 4 | 16384 }),
+        entity('fan.bedroom', 'on', 'Bedroom Fan', { supported_features: 1 | 8, preset_modes: ['sleep', 'auto'] }),
+        entity('fan.desk', 'off', 'Desk Fan', { supported_features: 0 }),
+        entity('vacuum.robo', 'docked', 'Robo', { supported_features: 4 | 8 | 16 | 8192 }),
+        entity('scene.movie_night', 'scening', 'Movie Night')
+      ]
+    });
+    parser = new CommandParser(ha);
+  });
+
+  const calls = () => ha.calls.map(c => [`${c.domain}.${c.service}`, c.data]);
+
+  test.each([
+    ['close living room blinds', '🪟 Closing Living Room Blinds', 'cover.close_cover', { entity_id: 'cover.living_room_blinds' }],
+    ['set living room blinds to 40%', '🪟 Moving Living Room Blinds to 40%', 'cover.set_cover_position', { entity_id: 'cover.living_room_blinds', position: 40 }],
+    ['next track on tv', '⏭️ Next track on Living Room TV', 'media_player.media_next_track', { entity_id: 'media_player.living_room_tv' }],
+    ['volume 30 on kitchen speaker', '🔊 Kitchen Speaker volume set to 30%', 'media_player.volume_set', { entity_id: 'media_player.kitchen_speaker', volume_level: 0.3 }],
+    ['set tv volume to 20', '🔊 Living Room TV volume set to 20%', 'media_player.volume_set', { entity_id: 'media_player.living_room_tv', volume_level: 0.2 }],
+    ['set bedroom fan speed to 50', '🌀 Bedroom Fan speed set to 50%', 'fan.set_percentage', { entity_id: 'fan.bedroom', percentage: 50 }],
+    ['bedroom fan speed medium', '🌀 Bedroom Fan speed set to 66%', 'fan.set_percentage', { entity_id: 'fan.bedroom', percentage: 66 }],
+    ['bedroom fan speed sleep', '🌀 Bedroom Fan speed set to sleep', 'fan.set_preset_mode', { entity_id: 'fan.bedroom', preset_mode: 'sleep' }],
+    ['set bedroom fan to 40%', '🌀 Bedroom Fan speed set to 40%', 'fan.set_percentage', { entity_id: 'fan.bedroom', percentage: 40 }],
+    ['send robo home', '🏠 Sending home: Robo', 'vacuum.return_to_base', { entity_id: 'vacuum.robo' }],
+    ['activate movie night', '🎬 Activated Movie Night', 'scene.turn_on', { entity_id: 'scene.movie_night' }]
+  ])('"%s"', async (text, reply, service, data) => {
+    expect(await parser.execute(text, CONTEXT)).toBe(reply);
+    expect(calls()).toEqual([[service, data]]);
+  });
+
+  test('without a name, pause and resume pick the player that is playing or paused', async () => {
+    expect(await parser.execute('pause', CONTEXT)).toBe('⏸️ Paused Living Room TV');
+    expect(await parser.execute('resume', CONTEXT)).toBe('▶️ Playing Kitchen Speaker');
+    expect(calls().map(([service]) => service)).toEqual(['media_player.media_pause', 'media_player.media_play']);
+  });
+
+  test('"close all blinds" closes every cover that can close', async () => {
+    const reply = await parser.execute('close all blinds', CONTEXT);
+    expect(reply).toMatch(/^✅ Closed/);
+    expect(calls()).toEqual([['cover.close_cover', { entity_id: ['cover.living_room_blinds', 'cover.garage_door'] }]]);
+  });
+
+  test.each([
+    ['stop garage door', '❌ Garage Door doesn\'t support "stop"'],
+    ['set garage door to 40%', '❌ Garage Door can only open and close, not move to 40%'],
+    ['desk fan speed high', '❌ Desk Fan only turns on and off'],
+    ['set volume to 150', '❓ Volume must be between 0 and 100%']
+  ])('"%s" is refused without a call', async (text, reply) => {
+    expect(await parser.execute(text, CONTEXT)).toBe(reply);
+    expect(calls()).toEqual([]);
+  });
+});
+
+describe('falling back to Assist', () => {
+  let ha;
+
+  beforeEach(() => {
+    ha = createFakeHa({ states: [entity('light.kitchen', 'off', 'Kitchen')] });
+    ha.wsReplies['conversation/process'] = (payload) => ({
+      conversation_id: payload.conversation_id || `conversation-${ha.commands.length}`,
+      response: { response_type: 'action_done', speech: { plain: { speech: 'Added milk to your shopping list' } } }
+    });
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  const answer = (responseType, speech) => {
+    ha.wsReplies['conversation/process'] = { response: { response_type: responseType, speech: speech ? { plain: { speech } } : {} } };
+  };
+
+  test('unknown commands go to the conversation agent and its answer is relayed', async () => {
+    const parser = new CommandParser(ha, { assist: { agentId: 'conversation.openai', language: 'en' } });
+    expect(await parser.execute('add milk to the shopping list', CONTEXT)).toBe('💬 Added milk to your shopping list');
+    expect(ha.commands).toEqual([
+      { type: 'conversation/process', text: 'add milk to the shopping list', agent_id: 'conversation.openai', language: 'en' }
+    ]);
+  });
+
+  test('commands the bot knows never reach Assist', async () => {
+    const parser = new CommandParser(ha, { assist: {} });
+    await parser.execute('turn on kitchen', CONTEXT);
+    await parser.execute('help', CONTEXT);
+    expect(ha.commands).toEqual([]);
+  });
+
+  test('follow-ups continue the conversation, per chat and for 5 minutes', async () => {
+    jest.useFakeTimers({ now: Date.UTC(2026, 9, 19, 10) });
+    const parser = new CommandParser(ha, { assist: {} });
+    const conversationIds = () => ha.commands.map(c => c.conversation_id);
+
+    await parser.execute('add milk to the shopping list', CONTEXT);
+    await parser.execute('and eggs', CONTEXT);
+    await parser.execute('add bread', { source: '+15559876543' });
+    expect(conversationIds()).toEqual([undefined, 'conversation-1', undefined]);
+
+    jest.setSystemTime(Date.now() + 5 * 60 * 1000);
+    await parser.execute('and butter', CONTEXT);
+    expect(conversationIds()[3]).toBeUndefined();
+  });
+
+  test.each([
+    ['an error answer', () => answer('error', 'Sorry, I couldn\'t understand that'), '❓ Sorry, I couldn\'t understand that'],
+    ['an action without speech', () => answer('action_done', null), '✅ Done'],
+    ['an error without speech', () => answer('error', null), '❓ I don\'t understand: "what is the weather like"\n\nType "help" for available commands.'],
+    ['a failed request', () => {
+      ha.wsReplies['conversation/process'] = () => { throw new Error('Connection lost'); };
+    }, '❓ I don\'t understand: "what is the weather like"\n\nType "help" for available commands.']
+  ])('%s', async (_, prepare, reply) => {
+    prepare();
+    const parser = new CommandParser(ha, { assist: {} });
+    expect(await parser.execute('what is the weather like', CONTEXT)).toBe(reply);
+  });
+
+  test('senders without the assist permission get the usual reply', async () => {
+    const permissions = new Permissions({
+      roles: { family: { allow: [{ commands: ['status', 'control'] }] } },
+      users: { [CONTEXT.source]: 'family' }
+    });
+    const parser = new CommandParser(ha, { assist: {}, permissions });
+    expect(await parser.execute('add milk to the shopping list', CONTEXT)).toBe('❓ I don\'t understand: "add milk to the shopping list"\n\nType "help" for available commands.');
+    expect(ha.commands).toEqual([]);
+  });
+});
+
+describe('alert subscriptions', () => {
+  let dir;
+  let subscriptions;
+  let parser;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscriptions-'));
+    subscriptions = new Subscriptions(new Store(path.join(dir, 'bridge.json'), { saveDelay: 0 }).open());
+    const ha = createFakeHa({
+      states: [
+        entity('cover.garage_door', 'closed', 'Garage Door'),
+        entity('binary_sensor.back_door', 'off', 'Back Door', { device_class: 'door' }),
+        entity('sensor.freezer_temperature', '-18', 'Freezer Temperature', { unit_of_measurement: '°C' })
+      ]
+    });
+    parser = new CommandParser(ha, { subscriptions });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test.each([
+    ['notify me when garage door opens', 'Garage Door is open', { to: 'open' }],
+    ['notify me when the back door is opened', 'Back Door is on', { to: 'on' }],
+    ['notify me if freezer temperature above -10', 'Freezer Temperature is above -10°C', { above: -10 }],
+    ['notify me if freezer temperature drops below -25.5°c', 'Freezer Temperature is below -25.5°C', { below: -25.5 }]
+  ])('"%s"', async (text, description, condition) => {
+    expect(await parser.execute(text, CONTEXT)).toBe(`🔔 OK, I'll message you when ${description}\n\nSee "my alerts" (you have 1).`);
+    expect(subscriptions.list(CONTEXT.source)).toEqual([expect.objectContaining({ description, ...condition })]);
+  });
+
+  test('"notify me" without a condition it knows explains the forms', async () => {
+    expect(await parser.execute('notify me when garage door sings', CONTEXT)).toBe(
+      '❓ Try "notify me when garage door opens" or "notify me if freezer temperature above -10"'
+    );
+    expect(subscriptions.items).toEqual([]);
+  });
+
+  test('alerts are listed and removed per sender', async () => {
+    await parser.execute('notify me when garage door opens', CONTEXT);
+    await parser.execute('notify me if freezer temperature above -10', CONTEXT);
+    await parser.execute('notify me when garage door closes', { source: '+15559876543' });
+
+    expect(await parser.execute('my alerts', CONTEXT)).toBe(
+      '🔔 *Your Alerts*\n\n1. Garage Door is open\n2. Freezer Temperature is above -10°C\n\nSend "stop alert [number]" to remove one.'
+    );
+    expect(await parser.execute('stop alert 1', CONTEXT)).toBe('🔕 Removed alert: Garage Door is open');
+    expect(await parser.execute('stop alert 2', CONTEXT)).toBe('❓ No alert 2 - send "my alerts" to see yours');
+    expect(await parser.execute('alerts', { source: '+15559876543' })).toMatch(/^🔔 \*Your Alerts\*\n\n1\. Garage Door is closed\n/);
+  });
+
+  test('alerts become notification rules that message their owner', async () => {
+    await parser.execute('notify me when garage door opens', CONTEXT);
+    await parser.execute('notify me if freezer temperature above -10', CONTEXT);
+
+    const notifications = [];
+    const rules = new NotificationRules({ rules: subscriptions.toRules(), onNotify: (n) => notifications.push(n) });
+    const change = (entityId, from, to, attributes = {}) => rules.handleEvent({
+      entity_id: entityId,
+      old_state: { state: from, attributes },
+      new_state: { state: to, attributes }
+    });
+
+    change('cover.garage_door', 'closed', 'open', { friendly_name: 'Garage Door' });
+    change('sensor.freezer_temperature', '-18', '-12', { unit_of_measurement: '°C' });
+    change('sensor.freezer_temperature', '-12', '-8', { unit_of_measurement: '°C' });
+
+    expect(notifications.map(n => [n.message, n.notify])).toEqual([
+      ['🔔 Garage Door is now open', { numbers: [CONTEXT.source] }],
+      ['🔔 Freezer Temperature is -8°C (alert: Freezer Temperature is above -10°C)', { numbers: [CONTEXT.source] }]
+    ]);
+    rules.stop();
+  });
+
+  test('without subscriptions the commands say alerts are off', async () => {
+    parser = new CommandParser(createFakeHa());
+    expect(await parser.execute('notify me when garage door opens', CONTEXT)).toBe('❌ Alerts are not enabled on this bridge');
+    expect(await parser.execute('my alerts', CONTEXT)).toBe('❌ Alerts are not enabled on this bridge');
+  });
+});
@@ -0,0 +1,174 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Digests = require('../src/digest');
+const Store = require('../src/store');
+const { normalizeDigest, SECTIONS } = Digests;
+
+const TZ = 'America/New_York';
+
+// Wall-clock time in New York (UTC-4 until 1 Nov 2026)
+const local = (day, hour, minute = 0) => Date.UTC(2026, 9, day, hour + 4, minute);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('normalizeDigest', () => {
+  test('fills in the defaults', () => {
+    expect(normalizeDigest({ at: '7:30' }, 0)).toEqual({
+      id: 'digest_1',
+      title: null,
+      times: [{ hour: 7, minute: 30 }],
+      days: [0, 1, 2, 3, 4, 5, 6],
+      sections: SECTIONS,
+      batteryBelow: 20,
+      notify: { group: true }
+    });
+  });
+
+  test('takes several times, day names and sections', () => {
+    const digest = normalizeDigest({ id: 'weekly', at: ['9am', '18:00'], days: 'every sunday', sections: ['batteries', 'events'] }, 0);
+    expect(digest.times).toEqual([{ hour: 9, minute: 0 }, { hour: 18, minute: 0 }]);
+    expect(digest.days).toEqual([0]);
+    expect(digest.sections).toEqual(['batteries', 'events']);
+  });
+
+  test.each([
+    [{}, 'Digest digest_1 has no "at" time'],
+    [{ at: '25:00' }, 'Digest digest_1 has an invalid time: 25:00'],
+    [{ at: '7:30', days: 'someday' }, 'Digest digest_1 has invalid days: someday'],
+    [{ at: '7:30', sections: ['weather'] }, 'Digest digest_1 has unknown sections: weather']
+  ])('%j is rejected', (digest, error) => {
+    expect(() => normalizeDigest(digest, 0)).toThrow(error);
+  });
+});
+
+describe('Digests', () => {
+  let dir;
+  let file;
+  let clock;
+  let sent;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+    file = path.join(dir, 'bridge.json');
+    clock = { now: local(19, 7) };
+    sent = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A bridge (re)started on the same data file
+  function startBridge(config = { at: '7:30', days: 'weekdays' }) {
+    const store = new Store(file, { saveDelay: 0 }).open();
+    const digests = new Digests(store, {
+      getDigests: () => [normalizeDigest({ id: 'morning', ...config }, 0)],
+      getTimeZone: async () => TZ,
+      build: async (digest, since) => `${digest.id} since ${since}`,
+      send: async (digest, text) => sent.push({ at: clock.now, text }),
+      now: () => clock.now
+    });
+    return { store, digests };
+  }
+
+  test('is due at its time in HA\'s time zone, not the host\'s', async () => {
+    const { digests } = startBridge();
+
+    // 07:30 UTC is 03:30 in New York
+    clock.now = Date.UTC(2026, 9, 19, 7, 30);
+    await digests.check();
+    clock.now = local(19, 7, 29);
+    await digests.check();
+    expect(sent).toEqual([]);
+
+    clock.now = local(19, 7, 30);
+    await digests.check();
+    expect(sent.map(s => s.at)).toEqual([local(19, 7, 30)]);
+  });
+
+  test('only runs on its days', async () => {
+    const { digests } = startBridge();
+
+    // Saturday and Sunday morning
+    for (const day of [24, 25]) {
+      clock.now = local(day, 7, 31);
+      await digests.check();
+    }
+    expect(sent).toEqual([]);
+  });
+
+  test('the check interval picks it up once it is due', async () => {
+    const { digests } = startBridge();
+    digests.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sent).toEqual([]);
+
+    clock.now = local(19, 7, 30) + 15 * 1000;
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(sent).toHaveLength(1);
+
+    clock.now = local(19, 7, 31);
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(sent).toHaveLength(1);
+    digests.stop();
+  });
+
+  describe('after a restart', () => {
+    test('a digest missed by up to 5 minutes is caught up', async () => {
+      clock.now = local(19, 7, 34);
+      await startBridge().digests.check();
+      expect(sent.map(s => s.at)).toEqual([local(19, 7, 34)]);
+    });
+
+    test('a digest missed by more than that is skipped until its next time', async () => {
+      clock.now = local(19, 7, 36);
+      const { digests } = startBridge();
+      await digests.check();
+      expect(sent).toEqual([]);
+
+      clock.now = local(20, 7, 30);
+      await digests.check();
+      expect(sent.map(s => s.at)).toEqual([local(20, 7, 30)]);
+    });
+
+    test('the last sent time is kept, so a digest is not sent twice', async () => {
+      clock.now = local(19, 7, 30);
+      const first = startBridge();
+      await first.digests.check();
+      first.store.close();
+
+      // Back up within the grace window
+      clock.now = local(19, 7, 33);
+      const { digests } = startBridge();
+      expect(digests.lastSent('morning')).toBe(local(19, 7, 30));
+      await digests.check();
+      expect(sent).toHaveLength(1);
+
+      // The next one covers the time since the last
+      clock.now = local(20, 7, 30);
+      await digests.check();
+      expect(sent.map(s => s.text)).toEqual([
+        `morning since ${local(19, 7, 30) - DAY}`,
+        `morning since ${local(19, 7, 30)}`
+      ]);
+    });
+  });
+
+  test('events are kept for the next digest and dropped after 8 days', () => {
+    const { digests } = startBridge();
+    digests.record('Washer done');
+    clock.now += 1000;
+    digests.record('Front door opened');
+
+    expect(digests.events(local(19, 7)).map(e => e.message)).toEqual(['Front door opened']);
+
+    clock.now += 8 * DAY - 500;
+    digests.record('Garage left open');
+    expect(digests.events(0).map(e => e.message)).toEqual(['Front door opened', 'Garage left open']);
+  });
+});
@@ -0,0 +1,84 @@
+const { rankEntities, scoreEntity, domainHintsFor, normalize } = require('../src/entity-matcher');
+
+const entity = (entityId, name, area = null) => ({
+  entity: { entity_id: entityId, state: 'off', attributes: { friendly_name: name } },
+  area
+});
+
+const ENTRIES = [
+  entity('light.desk_lamp', 'Desk Lamp', 'Office'),
+  entity('switch.lamp_charger', 'Lamp Charger', 'Office'),
+  entity('light.kitchen_ceiling', 'Kitchen Ceiling', 'Kitchen'),
+  entity('light.kitchen_counter', 'Kitchen Counter', 'Kitchen'),
+  entity('light.bedroom', 'Bedroom Light', 'Bedroom'),
+  entity('lock.front_door', 'Front Door', 'Hallway')
+];
+
+describe('rankEntities', () => {
+  test('"lamp" finds the desk lamp, not the lamp charger switch', () => {
+    const { best } = rankEntities('lamp', ENTRIES);
+    expect(best.entity_id).toBe('light.desk_lamp');
+  });
+
+  test('exact entity IDs and friendly names win outright', () => {
+    expect(rankEntities('switch.lamp_charger', ENTRIES).best.entity_id).toBe('switch.lamp_charger');
+    expect(rankEntities('Kitchen Counter', ENTRIES).best.entity_id).toBe('light.kitchen_counter');
+  });
+
+  test('close scores are ambiguous and return every candidate within the margin', () => {
+    const { best, candidates } = rankEntities('kitchen', ENTRIES);
+    expect(best).toBeNull();
+    expect(candidates.map(e => e.entity_id)).toEqual(['light.kitchen_ceiling', 'light.kitchen_counter']);
+  });
+
+  test('a clear lead beyond the margin picks the best match', () => {
+    const { best, candidates } = rankEntities('kitchen ceiling light', ENTRIES);
+    expect(best.entity_id).toBe('light.kitchen_ceiling');
+    expect(candidates).toHaveLength(1);
+  });
+
+  test('typos are tolerated', () => {
+    expect(rankEntities('bedrom light', ENTRIES).best.entity_id).toBe('light.bedroom');
+  });
+
+  test('domain hints from the caller break ties', () => {
+    const entries = [entity('light.porch', 'Porch'), entity('switch.porch', 'Porch')];
+    expect(rankEntities('porch', entries).best).toBeNull();
+    expect(rankEntities('porch', entries, { hints: ['light'] }).best.entity_id).toBe('light.porch');
+  });
+
+  test('domains restrict the candidates', () => {
+    const { best } = rankEntities('front door', ENTRIES, { domains: ['light'] });
+    expect(best).toBeNull();
+  });
+
+  test('a match on only some of the words is offered, never picked', () => {
+    const entries = [...ENTRIES, entity('cover.garage_door', 'Garage Door', 'Garage')];
+    const { best, candidates } = rankEntities('front door', entries, { domains: ['light', 'switch', 'cover'] });
+    expect(best).toBeNull();
+    expect(candidates.map(e => e.entity_id)).toEqual(['cover.garage_door']);
+  });
+
+  test('words naming the domain count as matched ("bedroom light")', () => {
+    expect(rankEntities('bedroom light', ENTRIES).best.entity_id).toBe('light.bedroom');
+  });
+
+  test('nothing below the minimum score is returned', () => {
+    expect(rankEntities('garden sprinkler', ENTRIES)).toEqual({ best: null, candidates: [] });
+  });
+});
+
+describe('scoring helpers', () => {
+  test('normalize strips punctuation and separators', () => {
+    expect(normalize('  Kitchen_Ceiling-Light! ')).toBe('kitchen ceiling light');
+  });
+
+  test('words imply domains', () => {
+    expect([...domainHintsFor('the desk lamp')]).toEqual(['light']);
+    expect([...domainHintsFor('heater')]).toEqual(['climate', 'switch']);
+  });
+
+  test('area plus name is as good as the object ID', () => {
+    expect(scoreEntity('office desk lamp', ENTRIES[0])).toBe(90);
+  });
+});
@@ -0,0 +1,90 @@
+// A local stand-in for HA's WebSocket API: auth, ping/pong, get_states and subscriptions
+const { WebSocketServer } = require('ws');
+
+class FakeHaServer {
+  // options: { token, states }
+  constructor(options = {}) {
+    this.token = options.token || 'valid-token';
+    this.states = options.states || [];
+    this.answerPings = true;
+    this.connections = []; // { socket, messages }
+  }
+
+  start() {
+    return new Promise((resolve) => {
+      this.server = new WebSocketServer({ port: 0, host: '127.0.0.1' }, resolve);
+      this.server.on('connection', (socket) => this.accept(socket));
+    });
+  }
+
+  get url() {
+    return `ws://127.0.0.1:${this.server.address().port}`;
+  }
+
+  get httpUrl() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  get current() {
+    return this.connections[this.connections.length - 1];
+  }
+
+  // Every message with an id, across all connections, in the order received
+  get commands() {
+    return this.connections.flatMap(c => c.messages.filter(m => m.id !== undefined));
+  }
+
+  accept(socket) {
+    const connection = { socket, messages: [] };
+    this.connections.push(connection);
+
+    socket.on('message', (data) => {
+      const msg = JSON.parse(data);
+      connection.messages.push(msg);
+      this.handle(socket, msg);
+    });
+    socket.send(JSON.stringify({ type: 'auth_required', ha_version: '2024.10.0' }));
+  }
+
+  handle(socket, msg) {
+    if (msg.type === 'auth') {
+      const ok = msg.access_token === this.token;
+      socket.send(JSON.stringify(ok ? { type: 'auth_ok', ha_version: '2024.10.0' } : { type: 'auth_invalid', message: 'Invalid access token' }));
+      if (!ok) socket.close();
+      return;
+    }
+
+    if (msg.type === 'ping') {
+      if (this.answerPings) socket.send(JSON.stringify({ id: msg.id, type: 'pong' }));
+      return;
+    }
+
+    const result = msg.type === 'get_states' ? this.states : msg.type === 'subscribe_events' ? null : [];
+    socket.send(JSON.stringify({ id: msg.id, type: 'result', success: true, result }));
+  }
+
+  event(id, event) {
+    this.current.socket.send(JSON.stringify({ id, type: 'event', event }));
+  }
+
+  // Drops the connection the way a network failure would
+  drop() {
+    this.current.socket.terminate();
+  }
+
+  stop() {
+    for (const { socket } of this.connections) socket.terminate();
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+}
+
+// Polls until the condition holds (real timers - the sockets are real)
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = { FakeHaServer, waitFor };
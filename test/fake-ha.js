@@ -0,0 +1,72 @@
+// A HomeAssistant with its state mirror and registries filled in, and service calls recorded
+// instead of sent. Calls change states like HA would, after `serviceDelay` ms.
+const HomeAssistant = require('../src/home-assistant');
+
+const SERVICE_STATES = {
+  turn_on: () => 'on',
+  turn_off: () => 'off',
+  toggle: (state) => (state === 'on' ? 'off' : 'on'),
+  lock: () => 'locked',
+  unlock: () => 'unlocked',
+  open_cover: () => 'open',
+  close_cover: () => 'closed',
+  alarm_disarm: () => 'disarmed',
+  alarm_arm_away: () => 'armed_away'
+};
+
+function entity(entityId, state, name, attributes = {}) {
+  return {
+    entity_id: entityId,
+    state,
+    attributes: { friendly_name: name, ...attributes },
+    last_changed: '2026-10-19T10:00:00+00:00',
+    last_updated: '2026-10-19T10:00:00+00:00'
+  };
+}
+
+// options: { states, areas, entities (registry), timeZone, serviceDelay }
+function createFakeHa(options = {}) {
+  const ha = new HomeAssistant('http://127.0.0.1:8123', 'test-token');
+  ha.states = new Map((options.states || []).map(e => [e.entity_id, e]));
+  ha.statesLoaded = true;
+  ha.setAreas(options.areas || []);
+  ha.setEntityRegistry(options.entities || []);
+  ha.registryLoaded = true;
+  ha.config = { time_zone: options.timeZone || 'Europe/Berlin', unit_system: { temperature: '°C' } };
+
+  ha.calls = [];
+  ha.serviceDelay = options.serviceDelay || 0;
+  // Entities that ignore service calls (a device that is offline without HA knowing yet)
+  ha.stuck = new Set();
+
+  ha.callService = async (domain, service, data = {}) => {
+    ha.calls.push({ domain, service, data });
+    const apply = () => {
+      for (const id of [].concat(data.entity_id || [])) {
+        const current = ha.states.get(id);
+        if (!current || ha.stuck.has(id) || !SERVICE_STATES[service]) continue;
+        ha.states.set(id, { ...current, state: SERVICE_STATES[service](current.state) });
+      }
+    };
+    if (ha.serviceDelay) setTimeout(apply, ha.serviceDelay);
+    else apply();
+    return [];
+  };
+
+  // Other WebSocket commands (such as Assist's conversation/process) are recorded and
+  // answered from `ha.wsReplies` - a value, or a function of the payload
+  ha.connection.ready = true;
+  ha.commands = [];
+  ha.wsReplies = {};
+  ha.sendWsCommand = async (type, payload = {}) => {
+    ha.commands.push({ type, ...payload });
+    const reply = ha.wsReplies[type];
+    return typeof reply === 'function' ? reply(payload) : reply;
+  };
+
+  ha.getHistory = async () => [];
+  ha.getStatistics = async () => [];
+  return ha;
+}
+
+module.exports = { createFakeHa, entity };
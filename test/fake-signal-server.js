@@ -0,0 +1,68 @@
+// A local stand-in for signal-cli-rest-api's WebSocket endpoints: the /v1/receive
+// socket of MODE=json and the /v1/jsonrpc socket of MODE=json-rpc
+const { WebSocketServer } = require('ws');
+
+class FakeSignalServer {
+  constructor() {
+    this.connections = []; // { socket, path }
+    this.requests = []; // JSON-RPC requests, in order
+    // JSON-RPC answers by method: a function of the params that returns the result or
+    // throws for an error reply. Methods without one are never answered.
+    this.handlers = {};
+  }
+
+  start() {
+    return new Promise((resolve) => {
+      this.server = new WebSocketServer({ port: 0, host: '127.0.0.1' }, resolve);
+      this.server.on('connection', (socket, request) => {
+        this.connections.push({ socket, path: request.url });
+        socket.on('message', (data) => this.answer(socket, JSON.parse(data)));
+      });
+    });
+  }
+
+  answer(socket, request) {
+    this.requests.push(request);
+    const handler = this.handlers[request.method];
+    if (!handler) return;
+
+    try {
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: handler(request.params) }));
+    } catch (err) {
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, error: { code: -1, message: err.message } }));
+    }
+  }
+
+  get httpUrl() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  get current() {
+    return this.connections[this.connections.length - 1];
+  }
+
+  // Pushes a received message the way MODE=json (or a JSON-RPC notification) does
+  receive(envelope) {
+    const message = this.current.path === '/v1/jsonrpc'
+      ? { jsonrpc: '2.0', method: 'receive', params: envelope }
+      : { envelope, account: '+15550000000' };
+    this.current.socket.send(JSON.stringify(message));
+  }
+
+  // Drops the connection the way a network failure would
+  drop() {
+    this.current.socket.terminate();
+  }
+
+  stop() {
+    for (const { socket } of this.connections) socket.terminate();
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+}
+
+// A text message envelope as signal-cli reports it
+function textEnvelope(source, message, extra = {}) {
+  return { source, dataMessage: { timestamp: 1700000000000, message, ...extra } };
+}
+
+module.exports = { FakeSignalServer, textEnvelope };
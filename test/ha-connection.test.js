@@ -0,0 +1,115 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const HaConnection = require('../src/ha-connection');
+const { FakeHaServer, waitFor } = require('./fake-ha-server');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('HaConnection against a fake HA', () => {
+  let server;
+  let connection;
+
+  beforeEach(async () => {
+    server = new FakeHaServer();
+    await server.start();
+  });
+
+  afterEach(async () => {
+    if (connection) connection.close();
+    await server.stop();
+  });
+
+  function connect(options = {}, token = 'valid-token') {
+    connection = new HaConnection(server.url, token, {
+      backoff: { initial: 10, jitter: 0 },
+      ...options
+    });
+    connection.connect();
+    return connection;
+  }
+
+  test('auth_invalid is fatal and does not retry', async () => {
+    const onFatal = jest.fn();
+    connect({ onFatal }, 'wrong-token');
+
+    await waitFor(() => onFatal.mock.calls.length > 0);
+    expect(onFatal.mock.calls[0][0].message).toMatch(/rejected the access token/);
+
+    await sleep(200);
+    expect(server.connections).toHaveLength(1);
+    expect(onFatal).toHaveBeenCalledTimes(1);
+    expect(connection.ready).toBe(false);
+  });
+
+  test('message ids keep increasing across reconnects', async () => {
+    const onReady = jest.fn();
+    connect({ onReady });
+    connection.subscribe('state_changed', () => {});
+
+    await waitFor(() => onReady.mock.calls.length === 1);
+    await connection.sendCommand('get_states');
+
+    server.drop();
+    await waitFor(() => onReady.mock.calls.length === 2);
+    await connection.sendCommand('get_states');
+
+    const ids = server.commands.map(m => m.id);
+    expect(server.connections).toHaveLength(2);
+    expect(ids.length).toBeGreaterThanOrEqual(4);
+    ids.slice(1).forEach((id, i) => expect(id).toBeGreaterThan(ids[i]));
+  });
+
+  test('a missing pong forces a reconnect', async () => {
+    const onDisconnect = jest.fn();
+    connect({ onDisconnect, pingInterval: 30, pongTimeout: 30 });
+    await waitFor(() => connection.ready);
+
+    server.answerPings = false;
+    await waitFor(() => onDisconnect.mock.calls.length === 1);
+
+    server.answerPings = true;
+    await waitFor(() => server.connections.length === 2 && connection.ready);
+    expect(server.connections[0].messages.some(m => m.type === 'ping')).toBe(true);
+  });
+
+  test('answered pings keep the connection', async () => {
+    connect({ pingInterval: 20, pongTimeout: 50 });
+    await waitFor(() => connection.ready);
+
+    await sleep(200);
+    expect(server.connections).toHaveLength(1);
+    expect(server.current.messages.filter(m => m.type === 'ping').length).toBeGreaterThan(2);
+  });
+
+  test('subscriptions are re-sent exactly once after a reconnect and keep routing events', async () => {
+    const onReady = jest.fn();
+    const states = jest.fn();
+    connect({ onReady });
+    connection.subscribe('state_changed', states);
+    connection.subscribe('area_registry_updated', () => {});
+
+    await waitFor(() => onReady.mock.calls.length === 1);
+    server.drop();
+    await waitFor(() => onReady.mock.calls.length === 2);
+    await sleep(100);
+
+    const subscribes = (c) => c.messages.filter(m => m.type === 'subscribe_events').map(m => m.event_type).sort();
+    expect(subscribes(server.connections[0])).toEqual(['area_registry_updated', 'state_changed']);
+    expect(subscribes(server.connections[1])).toEqual(['area_registry_updated', 'state_changed']);
+
+    const resubscribed = server.connections[1].messages.find(m => m.event_type === 'state_changed');
+    server.event(resubscribed.id, { event_type: 'state_changed', data: { entity_id: 'light.kitchen' } });
+    await waitFor(() => states.mock.calls.length === 1);
+    expect(states.mock.calls[0][0].data.entity_id).toBe('light.kitchen');
+  });
+
+  test('pending commands are rejected when the connection drops', async () => {
+    connect();
+    await waitFor(() => connection.ready);
+
+    server.answerPings = false;
+    const ping = connection.sendCommand('ping');
+    server.drop();
+    await expect(ping).rejects.toThrow('HA WebSocket closed');
+  });
+});
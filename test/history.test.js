@@ -0,0 +1,142 @@
+const {
+  parsePeriod,
+  periodPhrase,
+  timeInState,
+  numericStats,
+  statisticsSummary,
+  changes,
+  stateAt,
+  lastEntered,
+  formatDuration,
+  describeState,
+  describeMatch,
+  stateMatcher
+} = require('../src/history');
+
+const TZ = 'Europe/Berlin';
+const HOUR = 60 * 60 * 1000;
+
+// Wall-clock time in Berlin (UTC+2 until 25 Oct 2026)
+const local = (day, hour, minute = 0) => Date.UTC(2026, 9, day, hour - 2, minute);
+
+// Wednesday 21 Oct 2026, 15:00
+const NOW = local(21, 15);
+
+const entity = (entityId, attributes = {}) => ({ entity_id: entityId, state: 'off', attributes });
+
+describe('parsePeriod', () => {
+  test('calendar periods start at local midnight', () => {
+    expect(parsePeriod('today', NOW, TZ)).toEqual({ start: local(21, 0), end: NOW, label: 'today' });
+    expect(parsePeriod('yesterday', NOW, TZ)).toEqual({ start: local(20, 0), end: local(21, 0), label: 'yesterday' });
+    expect(parsePeriod('this week', NOW, TZ)).toEqual({ start: local(19, 0), end: NOW, label: 'this week' });
+  });
+
+  test('rolling periods', () => {
+    expect(parsePeriod('last 24h', NOW, TZ)).toEqual({ start: NOW - 24 * HOUR, end: NOW, label: 'last 24 hours' });
+    expect(parsePeriod('in the past hour', NOW, TZ)).toEqual({ start: NOW - HOUR, end: NOW, label: 'last hour' });
+    expect(parsePeriod('3 days', NOW, TZ).start).toBe(NOW - 72 * HOUR);
+    expect(parsePeriod('last 0 days', NOW, TZ)).toBeNull();
+    expect(parsePeriod('last fortnight', NOW, TZ)).toBeNull();
+  });
+
+  test('periodPhrase', () => {
+    expect(periodPhrase(parsePeriod('today', NOW, TZ))).toBe('today');
+    expect(periodPhrase(parsePeriod('last 2 weeks', NOW, TZ))).toBe('in the last 2 weeks');
+  });
+});
+
+describe('summaries', () => {
+  // A light that was on 06:00-07:30 and 18:00-19:00 (still off at 15:00 the next day)
+  const light = [
+    { state: 'off', time: local(20, 0) },
+    { state: 'on', time: local(20, 6) },
+    { state: 'on', time: local(20, 7) },
+    { state: 'off', time: local(20, 7, 30) },
+    { state: 'on', time: local(20, 18) },
+    { state: 'off', time: local(20, 19) }
+  ];
+  const on = (state) => state === 'on';
+
+  test('timeInState adds up time and counts separate periods', () => {
+    expect(timeInState(light, on, local(20, 0), local(21, 0))).toEqual({ duration: 2.5 * HOUR, count: 2 });
+    // Clipped to the period
+    expect(timeInState(light, on, local(20, 7), local(20, 18, 30))).toEqual({ duration: 1 * HOUR, count: 2 });
+  });
+
+  test('changes drops repeated states from attribute updates', () => {
+    expect(changes(light).map(p => p.state)).toEqual(['off', 'on', 'off', 'on', 'off']);
+  });
+
+  test('stateAt is the last recorded state at that time', () => {
+    expect(stateAt(light, local(20, 7, 15)).state).toBe('on');
+    expect(stateAt(light, local(20, 12)).state).toBe('off');
+    expect(stateAt(light.slice(1), local(20, 5)).state).toBe('on');
+    expect(stateAt([], local(20, 5))).toBeNull();
+  });
+
+  test('lastEntered ignores the state at the start of the history', () => {
+    expect(lastEntered(light, on).time).toBe(local(20, 18));
+    expect(lastEntered([{ state: 'on', time: local(20, 0) }], on)).toBeNull();
+  });
+
+  test('numericStats is time-weighted and skips unavailable', () => {
+    const temperature = [
+      { state: '20', time: local(21, 0) },
+      { state: 'unavailable', time: local(21, 3) },
+      { state: '23', time: local(21, 6) },
+      { state: '18.5', time: local(21, 9) }
+    ];
+    const stats = numericStats(temperature, local(21, 0), local(21, 12));
+    expect(stats.min).toEqual({ value: 18.5, time: local(21, 9) });
+    expect(stats.max).toEqual({ value: 23, time: local(21, 6) });
+    expect(stats.mean).toBeCloseTo((20 + 23 + 18.5) / 3);
+    expect(numericStats([{ state: 'unknown', time: local(21, 0) }], local(21, 0), NOW)).toBeNull();
+  });
+
+  test('statisticsSummary uses hourly rows', () => {
+    const rows = [
+      { start: local(21, 0), mean: 20, min: 19, max: 21 },
+      { start: local(21, 1), mean: 22, min: 21, max: 24 },
+      { start: local(21, 2), mean: null, min: null, max: null }
+    ];
+    expect(statisticsSummary(rows)).toEqual({
+      min: { value: 19, time: local(21, 0) },
+      max: { value: 24, time: local(21, 1) },
+      mean: 21
+    });
+    expect(statisticsSummary([])).toBeNull();
+  });
+});
+
+describe('wording', () => {
+  test('formatDuration', () => {
+    expect(formatDuration(20 * 1000)).toBe('20s');
+    expect(formatDuration(12 * 60 * 1000)).toBe('12 min');
+    expect(formatDuration(3 * HOUR + 25 * 60 * 1000)).toBe('3 h 25 min');
+    expect(formatDuration(2 * HOUR)).toBe('2 h');
+    expect(formatDuration(60 * HOUR)).toBe('2.5 days');
+  });
+
+  test('describeState uses device class words and units', () => {
+    expect(describeState(entity('binary_sensor.back_door', { device_class: 'door' }), 'on')).toBe('open');
+    expect(describeState(entity('person.alex'), 'not_home')).toBe('away');
+    expect(describeState(entity('sensor.temp', { unit_of_measurement: '°C' }), '21.5')).toBe('21.5 °C');
+    expect(describeState(entity('vacuum.robot'), 'returning_home')).toBe('returning home');
+  });
+
+  test('describeMatch explains states that count as on', () => {
+    expect(describeMatch(entity('climate.hall'), 'heat', 'on')).toBe('on (heat)');
+    expect(describeMatch(entity('light.desk'), 'on', 'on')).toBe('on');
+  });
+
+  test('stateMatcher', () => {
+    const isOn = stateMatcher(entity('climate.hall'), 'on', {});
+    expect(isOn('heat')).toBe(true);
+    expect(isOn('off')).toBe(false);
+    expect(isOn('unavailable')).toBe(false);
+
+    const isOpen = stateMatcher(entity('cover.garage'), 'open', { cover: 'open', binary_sensor: 'on', default: 'open' });
+    expect(isOpen('open')).toBe(true);
+    expect(isOpen('closed')).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const HomeAssistant = require('../src/home-assistant');
+const { FakeHaServer, waitFor } = require('./fake-ha-server');
+
+const state = (entityId, value, updated, attributes = {}) =>
+  ({ entity_id: entityId, state: value, attributes, last_updated: `2026-10-19T${updated}:00+00:00` });
+
+describe('HomeAssistant state resync', () => {
+  let server;
+  let ha;
+
+  beforeEach(async () => {
+    server = new FakeHaServer({
+      states: [
+        state('light.kitchen', 'off', '10:00'),
+        state('lock.front_door', 'locked', '10:00'),
+        state('sensor.outdoor_temperature', '12.5', '10:00', { unit_of_measurement: '°C' }),
+        state('switch.old_heater', 'off', '10:00')
+      ]
+    });
+    await server.start();
+    ha = new HomeAssistant(server.httpUrl, 'valid-token', { backoff: { initial: 10, jitter: 0 } });
+  });
+
+  afterEach(async () => {
+    ha.disconnect();
+    await server.stop();
+  });
+
+  test('emits synthetic changes only for states that differ after a reconnect', async () => {
+    const changes = [];
+    ha.subscribeToEvents((data) => changes.push(data));
+    await waitFor(() => ha.statesLoaded);
+    expect(changes).toEqual([]);
+
+    // While disconnected: the light turned on, HA restarted (new timestamp, same state),
+    // a switch was removed and a sensor added
+    server.states = [
+      state('light.kitchen', 'on', '11:00'),
+      state('lock.front_door', 'locked', '10:00'),
+      state('sensor.outdoor_temperature', '12.5', '11:30', { unit_of_measurement: '°C' }),
+      state('binary_sensor.back_door', 'off', '11:00')
+    ];
+    server.drop();
+    await waitFor(() => server.connections.length === 2 && ha.statesLoaded);
+
+    const summary = changes.map(c => [c.entity_id, c.old_state && c.old_state.state, c.new_state && c.new_state.state]);
+    expect(summary.sort()).toEqual([
+      ['binary_sensor.back_door', null, 'off'],
+      ['light.kitchen', 'off', 'on'],
+      ['switch.old_heater', 'off', null]
+    ]);
+    expect(ha.getMirroredState('sensor.outdoor_temperature').last_updated).toBe('2026-10-19T11:30:00+00:00');
+    expect(ha.getMirroredState('switch.old_heater')).toBeNull();
+  });
+
+  test('live events newer than the resync snapshot are kept', async () => {
+    const changes = [];
+    ha.subscribeToEvents((data) => changes.push(data));
+    await waitFor(() => ha.statesLoaded);
+
+    ha.updateState({ entity_id: 'light.kitchen', new_state: state('light.kitchen', 'on', '12:00') });
+    server.drop();
+    await waitFor(() => server.connections.length === 2 && ha.statesLoaded);
+
+    expect(changes).toEqual([]);
+    expect(ha.getMirroredState('light.kitchen').state).toBe('on');
+  });
+});
@@ -0,0 +1,168 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const axios = require('axios');
+const HttpApi = require('../src/http-api');
+
+const TOKEN = 'secret-token';
+const PNG = Buffer.from('fake png').toString('base64');
+
+describe('HttpApi', () => {
+  let api;
+  let sent;
+  let resolveRecipients;
+  let fetchAttachment;
+
+  beforeEach(async () => {
+    sent = [];
+    resolveRecipients = jest.fn((notify) => [
+      ...notify.numbers.map(id => ({ type: 'number', id })),
+      ...notify.groups.map(id => ({ type: 'group', id })),
+      ...(notify.group ? [{ type: 'group', id: 'bridge-group' }] : [])
+    ]);
+    fetchAttachment = jest.fn(async () => ({ contentType: 'image/jpeg', filename: 'attachment.jpg', data: PNG }));
+    api = new HttpApi({
+      token: TOKEN,
+      send: async (recipient, text, attachments) => {
+        if (recipient.id === '+15550000000') throw new Error('Unregistered user');
+        sent.push({ recipient, text, attachments });
+      },
+      resolveRecipients,
+      fetchAttachment
+    });
+    await api.listen(0, '127.0.0.1');
+  });
+
+  afterEach(() => api.close());
+
+  function request(method, path, { body, token = TOKEN, headers = {} } = {}) {
+    return axios({
+      method,
+      url: `http://127.0.0.1:${api.server.address().port}${path}`,
+      data: body,
+      headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+      validateStatus: () => true
+    });
+  }
+
+  const notify = (body, options) => request('post', '/notify', { body, ...options });
+
+  test('needs a token to start', () => {
+    expect(() => new HttpApi({})).toThrow('HTTP API needs a token');
+  });
+
+  describe('authentication', () => {
+    test('health checks need no token', async () => {
+      const res = await request('get', '/health', { token: null });
+      expect(res.status).toBe(200);
+      expect(res.data).toEqual({ status: 'ok' });
+    });
+
+    test.each([
+      ['a missing token', null],
+      ['a wrong token', 'secret-tokem'],
+      ['a token of another length', 'secret'],
+      ['an empty token', '']
+    ])('%s is rejected', async (_, token) => {
+      const res = await notify({ message: 'hi', number: '+15551234567' }, { token });
+      expect(res.status).toBe(401);
+      expect(res.data).toEqual({ error: 'Unauthorized' });
+      expect(sent).toEqual([]);
+    });
+
+    test('the token is only accepted as a bearer token', async () => {
+      const res = await notify({ message: 'hi', number: '+15551234567', token: TOKEN }, { token: null, headers: { 'X-Token': TOKEN } });
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('recipients', () => {
+    test('numbers, groups, roles and HA notify targets are collected', async () => {
+      const res = await notify({
+        message: 'Washer done',
+        number: '+15551234567',
+        groups: ['family'],
+        roles: 'admin',
+        target: ['+15559876543', 'group', 'group:garage', 'role:guest']
+      });
+
+      expect(res.status).toBe(200);
+      expect(resolveRecipients).toHaveBeenCalledWith({
+        numbers: ['+15551234567', '+15559876543'],
+        groups: ['family', 'garage'],
+        roles: ['admin', 'guest'],
+        group: true
+      });
+      expect(sent.map(s => `${s.recipient.type}:${s.recipient.id}`)).toEqual([
+        'number:+15551234567', 'number:+15559876543', 'group:family', 'group:garage', 'group:bridge-group'
+      ]);
+      expect(res.data).toEqual({ sent: 5, failed: 0, errors: [] });
+    });
+
+    test('a group ID can be given as "group"', async () => {
+      await notify({ message: 'hi', group: 'abc==' });
+      expect(sent[0].recipient).toEqual({ type: 'group', id: 'abc==' });
+    });
+
+    test('no recipients is a bad request', async () => {
+      const res = await notify({ message: 'hi' });
+      expect(res.status).toBe(400);
+      expect(res.data.error).toMatch(/^No recipients/);
+    });
+  });
+
+  describe('messages and attachments', () => {
+    test('a title goes on its own line above the message', async () => {
+      await notify({ title: 'Laundry', text: 'Washer done', number: '+15551234567' });
+      expect(sent[0].text).toBe('Laundry\nWasher done');
+    });
+
+    test('a message or an attachment is required', async () => {
+      const res = await notify({ number: '+15551234567' });
+      expect(res.status).toBe(400);
+      expect(res.data.error).toBe('message (or an attachment) is required');
+    });
+
+    test('base64 attachments and data URIs are accepted', async () => {
+      await notify({ number: '+15551234567', attachment: `data:image/png;base64,${PNG}`, filename: 'door.png' });
+      expect(sent[0].attachments).toEqual([{ contentType: 'image/png', filename: 'door.png', data: PNG }]);
+      expect(sent[0].text).toBe('');
+    });
+
+    test('attachment URLs are downloaded, keeping a given filename', async () => {
+      await notify({ message: 'Doorbell', number: '+15551234567', attachment_url: '/api/camera_proxy/camera.door', filename: 'door.jpg' });
+      expect(fetchAttachment).toHaveBeenCalledWith('/api/camera_proxy/camera.door');
+      expect(sent[0].attachments[0].filename).toBe('door.jpg');
+    });
+
+    test.each([
+      ['invalid base64', { attachment: 'not base64!' }, 'Attachment failed: Attachment is not valid base64'],
+      ['a failed download', { attachment_url: 'http://camera/snap.jpg' }, 'Attachment failed: connect ECONNREFUSED']
+    ])('%s is a bad request and nothing is sent', async (_, body, error) => {
+      fetchAttachment.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+      const res = await notify({ message: 'hi', number: '+15551234567', ...body });
+      expect(res.status).toBe(400);
+      expect(res.data.error).toBe(error);
+      expect(sent).toEqual([]);
+    });
+
+    test('malformed JSON is a bad request', async () => {
+      const res = await notify('{"message": ', { headers: { 'Content-Type': 'application/json' } });
+      expect(res.status).toBe(400);
+      expect(sent).toEqual([]);
+    });
+  });
+
+  describe('send failures', () => {
+    test('some recipients failing still counts as sent, with the errors listed', async () => {
+      const res = await notify({ message: 'hi', numbers: ['+15550000000', '+15551234567'] });
+      expect(res.status).toBe(200);
+      expect(res.data).toEqual({ sent: 1, failed: 1, errors: ['number +15550000000: Unregistered user'] });
+    });
+
+    test('all recipients failing is a bad gateway', async () => {
+      const res = await notify({ message: 'hi', number: '+15550000000' });
+      expect(res.status).toBe(502);
+      expect(res.data).toEqual({ error: 'Sending failed', errors: ['number +15550000000: Unregistered user'] });
+    });
+  });
+});
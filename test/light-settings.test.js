@@ -0,0 +1,61 @@
+const { parseColor, parseTransition, parseLightSettings, describeLightSettings } = require('../src/light-settings');
+
+describe('parseColor', () => {
+  test.each([
+    ['red', { rgb: [255, 0, 0], name: 'red' }],
+    ['Sky  Blue', { rgb: [135, 206, 235], name: 'sky blue' }],
+    ['warm white', { kelvin: 2700, name: 'warm white' }],
+    ['#ff8800', { rgb: [255, 136, 0], name: '#ff8800' }],
+    ['#f80', { rgb: [255, 136, 0], name: '#ff8800' }],
+    ['rgb(10, 20, 30)', { rgb: [10, 20, 30], name: 'rgb(10, 20, 30)' }],
+    ['2700k', { kelvin: 2700, name: '2700K' }],
+    ['250 mireds', { kelvin: 4000, name: '4000K' }]
+  ])('%s', (text, expected) => {
+    expect(parseColor(text)).toEqual(expected);
+  });
+
+  test.each(['plaid', '#12345', 'rgb(300, 0, 0)', '27k'])('rejects %s', (text) => {
+    expect(parseColor(text)).toBeNull();
+  });
+});
+
+describe('parseTransition', () => {
+  test.each([['30s', 30], ['5 minutes', 300], ['1.5 min', 90], ['2 hours', 7200], ['10', 10]])('%s is %i seconds', (text, seconds) => {
+    expect(parseTransition(text)).toBe(seconds);
+  });
+
+  test('rejects text that is not a duration', () => {
+    expect(parseTransition('a while')).toBeNull();
+  });
+});
+
+describe('parseLightSettings', () => {
+  test('colour with brightness', () => {
+    expect(parseLightSettings('red at 50%')).toEqual({ color: { rgb: [255, 0, 0], name: 'red' }, brightness: 50 });
+    expect(parseLightSettings('50% red')).toEqual({ color: { rgb: [255, 0, 0], name: 'red' }, brightness: 50 });
+  });
+
+  test('brightness with a transition', () => {
+    expect(parseLightSettings('to 10% over 5 minutes')).toEqual({ brightness: 10, transition: 300 });
+  });
+
+  test('white temperature in a transition', () => {
+    expect(parseLightSettings('warm white at 40% in 30s')).toEqual({
+      color: { kelvin: 2700, name: 'warm white' },
+      brightness: 40,
+      transition: 30
+    });
+  });
+
+  test.each(['150%', 'plaid', 'red over a while', ''])('rejects "%s"', (text) => {
+    expect(parseLightSettings(text)).toBeNull();
+  });
+});
+
+describe('describeLightSettings', () => {
+  test('reads back what was parsed', () => {
+    expect(describeLightSettings(parseLightSettings('warm white at 40% over 5 min'))).toBe('warm white at 40% over 5 min');
+    expect(describeLightSettings(parseLightSettings('20% over 1 hour'))).toBe('20% over 1 h');
+    expect(describeLightSettings(parseLightSettings('#00f in 90s'))).toBe('#0000ff over 90s');
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const NotificationDispatcher = require('../src/notification-dispatcher');
+const logger = require('../src/logger');
+
+const GROUP = { type: 'group', id: 'group.abc' };
+
+// 2026-10-19 in Europe/Berlin (UTC+2)
+const at = (hour, minute = 0, day = 19) => Date.UTC(2026, 9, day, hour - 2, minute);
+
+function setup(settings = {}) {
+  const clock = { now: at(12) };
+  const sent = [];
+  const dispatcher = new NotificationDispatcher({
+    send: async (recipient, text) => sent.push(text),
+    getSettings: () => settings,
+    getTimeZone: async () => 'Europe/Berlin',
+    now: () => clock.now
+  });
+  return { clock, sent, dispatcher };
+}
+
+const notification = (options = {}, message = '🚶 Motion detected: Hallway') =>
+  ({ rule: 'motion', entityId: 'binary_sensor.hallway_motion', message, options });
+
+describe('NotificationDispatcher', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('cooldown suppresses repeats for the same entity until it has passed', async () => {
+    const { clock, sent, dispatcher } = setup();
+
+    await dispatcher.dispatch(notification({ cooldown: '5m' }), [GROUP]);
+    clock.now += 4 * 60 * 1000;
+    await dispatcher.dispatch(notification({ cooldown: '5m' }), [GROUP]);
+    expect(sent).toHaveLength(1);
+
+    clock.now += 60 * 1000;
+    await dispatcher.dispatch(notification({ cooldown: '5m' }), [GROUP]);
+    expect(sent).toHaveLength(2);
+  });
+
+  test('digest sends the first event and collapses the rest of the window', async () => {
+    const { sent, dispatcher } = setup();
+
+    for (let i = 0; i < 14; i++) {
+      await dispatcher.dispatch(notification({ digest: '10m' }), [GROUP]);
+    }
+    expect(sent).toEqual(['🚶 Motion detected: Hallway']);
+
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(sent).toEqual(['🚶 Motion detected: Hallway', '🚶 Motion detected: Hallway ×14 in the last 10 min']);
+  });
+
+  test('digest with a single event sends no summary', async () => {
+    const { sent, dispatcher } = setup();
+
+    await dispatcher.dispatch(notification({ digest: '10m' }), [GROUP]);
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(sent).toHaveLength(1);
+  });
+
+  test('a failing digest summary is logged, not thrown from the timer', async () => {
+    const { dispatcher } = setup();
+    await dispatcher.dispatch(notification({ digest: '1m' }), [GROUP]);
+    await dispatcher.dispatch(notification({ digest: '1m' }), [GROUP]);
+
+    dispatcher.getSettings = () => { throw new Error('broken settings'); };
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Failed to send digest'), 'broken settings');
+  });
+
+  test('quiet hours wrap around midnight in HA\'s time zone and only critical alerts get through', async () => {
+    const { clock, sent, dispatcher } = setup({ quiet_hours: '22:00-07:00' });
+
+    const send = async (hour, minute, options = {}) => {
+      clock.now = at(hour, minute);
+      await dispatcher.dispatch(notification(options, `${hour}:${minute}${options.critical ? ' critical' : ''}`), [GROUP]);
+    };
+
+    await send(21, 59);
+    await send(22, 0);
+    await send(23, 30, { critical: true });
+    await send(3, 0);
+    await send(6, 59);
+    await send(7, 0);
+
+    expect(sent).toEqual(['21:59', '23:30 critical', '7:0']);
+  });
+
+  test('daily cap stops non-critical alerts once, then resets at local midnight', async () => {
+    const { clock, sent, dispatcher } = setup({ daily_cap: 2 });
+
+    for (let i = 1; i <= 4; i++) {
+      await dispatcher.dispatch(notification({}, `alert ${i}`), [GROUP]);
+    }
+    await dispatcher.dispatch(notification({ critical: true }, 'critical'), [GROUP]);
+
+    expect(sent).toEqual([
+      'alert 1',
+      'alert 2',
+      '🔕 Daily notification limit (2) reached - only critical alerts until tomorrow',
+      'critical'
+    ]);
+
+    // 23:30 UTC is already the next day in Berlin
+    clock.now = at(1, 30, 20);
+    await dispatcher.dispatch(notification({}, 'next day'), [GROUP]);
+    expect(sent[sent.length - 1]).toBe('next day');
+  });
+});
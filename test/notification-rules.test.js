@@ -0,0 +1,44 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NotificationRules = require('../src/notification-rules');
+
+describe('NotificationRules recipients', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+    file = path.join(dir, 'notifications.yaml');
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const write = (recipients) => fs.writeFileSync(file, `rules: []\nrecipients:\n${recipients}\n`);
+
+  test('loads valid quiet hours and daily caps', () => {
+    write("  default:\n    quiet_hours: '22:00-07:00'\n    daily_cap: 50");
+    const rules = new NotificationRules({ file });
+    expect(rules.recipientSettings({ type: 'number', id: '+15551234567' })).toEqual({ quiet_hours: '22:00-07:00', daily_cap: 50 });
+  });
+
+  test.each([
+    ["quiet_hours: '22-07'", /Invalid quiet hours: 22-07/],
+    ["quiet_hours: '24:00-07:00'", /Invalid quiet hours/],
+    ['daily_cap: lots', /invalid daily_cap: lots/],
+    ['daily_cap: 0', /invalid daily_cap: 0/]
+  ])('rejects %s at load', (setting, error) => {
+    write(`  group:\n    ${setting}`);
+    expect(() => new NotificationRules({ file })).toThrow(error);
+  });
+
+  test('a broken reload keeps the previous settings', () => {
+    write("  default:\n    quiet_hours: '22:00-07:00'");
+    const rules = new NotificationRules({ file });
+
+    write("  default:\n    quiet_hours: '22-07'");
+    expect(rules.reload()).toBe(false);
+    expect(rules.recipientSettings({ type: 'group', id: 'g' }).quiet_hours).toBe('22:00-07:00');
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Permissions = require('../src/permissions');
+const { matchesGlob } = require('../src/glob');
+
+const KITCHEN = { area_id: 'kitchen', name: 'Kitchen' };
+const GARAGE = { area_id: 'garage', name: 'Garage' };
+
+const permissions = new Permissions({
+  roles: {
+    admin: { allow: [{ commands: '*' }] },
+    family: {
+      allow: [{ commands: ['status', 'list', 'query'] }, { commands: 'control', domains: ['light', 'switch', 'cover'] }],
+      deny: [{ commands: 'control', entities: ['cover.garage*'] }]
+    },
+    guest: {
+      allow: [{ commands: ['status', 'control'], areas: ['Kitchen', 'living_*'] }]
+    }
+  },
+  users: { '+15550000001': 'admin', '+15550000002': ['family'], '+15550000003': ['guest'] },
+  groups: { 'group.family': ['family'] }
+});
+
+describe('glob matching', () => {
+  test.each([
+    ['sensor.kitchen_temperature', 'sensor.*_temperature', true],
+    ['sensor.kitchen_humidity', 'sensor.*_temperature', false],
+    ['light.Kitchen', 'light.kitchen', true],
+    ['light.bed1', 'light.bed?', true],
+    ['light.bed10', 'light.bed?', false],
+    ['sensor.a+b', 'sensor.a+b', true],
+    ['anything', '*', true]
+  ])('%s against %s is %s', (value, pattern, expected) => {
+    expect(matchesGlob(value, pattern)).toBe(expected);
+  });
+});
+
+describe('Permissions', () => {
+  test('admin may do everything', () => {
+    expect(permissions.check('+15550000001', null, { command: 'admin' }).allowed).toBe(true);
+    expect(permissions.check('+15550000001', null, { command: 'control', entityId: 'lock.front_door' }).allowed).toBe(true);
+  });
+
+  test('domain globs limit control', () => {
+    expect(permissions.check('+15550000002', null, { command: 'control', entityId: 'light.kitchen' }).allowed).toBe(true);
+    expect(permissions.check('+15550000002', null, { command: 'control', entityId: 'lock.front_door' })).toEqual({
+      allowed: false,
+      reason: 'not allowed for family'
+    });
+  });
+
+  test('entity globs in deny rules win over allow rules', () => {
+    expect(permissions.check('+15550000002', null, { command: 'control', entityId: 'cover.garage_door' })).toEqual({
+      allowed: false,
+      reason: 'denied for role "family"'
+    });
+    expect(permissions.check('+15550000002', null, { command: 'control', entityId: 'cover.blinds' }).allowed).toBe(true);
+  });
+
+  test('area rules match area names and ID globs', () => {
+    expect(permissions.check('+15550000003', null, { command: 'control', entityId: 'light.x', area: KITCHEN }).allowed).toBe(true);
+    expect(permissions.check('+15550000003', null, { command: 'status', area: { area_id: 'living_room', name: 'Lounge' } }).allowed).toBe(true);
+    expect(permissions.check('+15550000003', null, { command: 'control', entityId: 'light.y', area: GARAGE }).allowed).toBe(false);
+    expect(permissions.check('+15550000003', null, { command: 'control', entityId: 'light.z' }).allowed).toBe(false);
+  });
+
+  test('unknown senders are not authorized, but get the group\'s roles in a known group', () => {
+    expect(permissions.check('+15559999999', null, { command: 'status' })).toEqual({ allowed: false, reason: 'not authorized' });
+    expect(permissions.check('+15559999999', 'group.family', { command: 'status' }).allowed).toBe(true);
+    // A sender's own roles apply in groups too
+    expect(permissions.check('+15550000003', 'group.family', { command: 'list' }).allowed).toBe(false);
+  });
+
+  test('ALLOWED_NUMBERS makes every listed number an admin', () => {
+    const legacy = Permissions.fromAllowedNumbers(['+15551234567']);
+    expect(legacy.check('+15551234567', null, { command: 'admin' }).allowed).toBe(true);
+    expect(legacy.numbersWithRole('admin')).toEqual(['+15551234567']);
+    expect(legacy.isKnown('+15550000000')).toBe(false);
+  });
+});
@@ -0,0 +1,157 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../src/scheduler');
+const Store = require('../src/store');
+const { parseSchedule, describeRepeat, parseClock, parseDays, nextOccurrence } = Scheduler;
+
+const TZ = 'America/New_York';
+
+// Wall-clock time in New York (UTC-4 until 1 Nov 2026)
+const local = (day, hour, minute = 0) => Date.UTC(2026, 9, day, hour + 4, minute);
+
+// Monday 19 Oct 2026, 20:00 in New York
+const NOW = local(19, 20);
+
+describe('parseSchedule', () => {
+  test('"turn off porch light at 23:30" runs tonight', () => {
+    expect(parseSchedule('turn off porch light at 23:30', NOW, TZ)).toEqual({
+      command: 'turn off porch light',
+      at: local(19, 23, 30),
+      repeat: null
+    });
+  });
+
+  test('a time that has passed today means tomorrow', () => {
+    expect(parseSchedule('at 7am turn on the kettle', NOW, TZ).at).toBe(local(20, 7));
+    expect(parseSchedule('today at 7pm turn on the kettle', NOW, TZ)).toEqual({ error: '19:00 has already passed today' });
+    expect(parseSchedule('turn on the kettle at 7pm today', NOW, TZ)).toEqual({ error: '19:00 has already passed today' });
+  });
+
+  test('"in 45 minutes turn off the fan" is relative to now', () => {
+    expect(parseSchedule('in 45 minutes turn off the fan', NOW, TZ)).toEqual({
+      command: 'turn off the fan',
+      at: NOW + 45 * 60 * 1000,
+      repeat: null
+    });
+    expect(parseSchedule('turn off the heater in 1h30m', NOW, TZ).at).toBe(NOW + 90 * 60 * 1000);
+    expect(parseSchedule('turn off the heater in half an hour', NOW, TZ).at).toBe(NOW + 30 * 60 * 1000);
+  });
+
+  test('"every weekday at 6:30 turn on the coffee maker" repeats from the next weekday', () => {
+    expect(parseSchedule('every weekday at 6:30 turn on the coffee maker', NOW, TZ)).toEqual({
+      command: 'turn on the coffee maker',
+      at: local(20, 6, 30),
+      repeat: { days: [1, 2, 3, 4, 5], hour: 6, minute: 30 }
+    });
+
+    // Friday evening: the next weekday is Monday
+    expect(parseSchedule('every weekday at 6:30 turn on the coffee maker', local(23, 20), TZ).at).toBe(local(26, 6, 30));
+  });
+
+  test('trailing day lists need a clear time', () => {
+    const schedule = parseSchedule('turn on the sprinkler every monday and thursday at 7pm', NOW, TZ);
+    expect(schedule.repeat).toEqual({ days: [1, 4], hour: 19, minute: 0 });
+    expect(schedule.at).toBe(local(22, 19));
+  });
+
+  test('impossible times are errors, other text is not a schedule', () => {
+    expect(parseSchedule('at 25:00 turn on the lights', NOW, TZ)).toEqual({ error: '"25:00" is not a time' });
+    expect(parseSchedule('turn on the kitchen light', NOW, TZ)).toBeNull();
+  });
+});
+
+describe('time helpers', () => {
+  test('parseClock', () => {
+    expect(parseClock('7:05 pm')).toEqual({ hour: 19, minute: 5 });
+    expect(parseClock('12am')).toEqual({ hour: 0, minute: 0 });
+    expect(parseClock('noon')).toEqual({ hour: 12, minute: 0 });
+    expect(parseClock('13pm')).toBeNull();
+  });
+
+  test('parseDays', () => {
+    expect(parseDays('weekends')).toEqual([0, 6]);
+    expect(parseDays('monday, wednesday and friday')).toEqual([1, 3, 5]);
+    expect(parseDays('someday')).toBeNull();
+  });
+
+  test('nextOccurrence keeps the wall-clock time across a DST change', () => {
+    // Clocks go back on Sunday 1 Nov 2026 in New York
+    const at = nextOccurrence({ days: [1], hour: 6, minute: 30 }, local(31, 12), TZ);
+    expect(at).toBe(Date.UTC(2026, 10, 2, 11, 30));
+  });
+
+  test('describeRepeat', () => {
+    expect(describeRepeat({ days: [1, 2, 3, 4, 5], hour: 6, minute: 30 })).toBe('every weekday at 06:30');
+    expect(describeRepeat({ days: [1, 4], hour: 19, minute: 0 })).toBe('every Monday, Thursday at 19:00');
+  });
+});
+
+describe('Scheduler', () => {
+  let dir;
+  let store;
+  let clock;
+  let runs;
+  let missed;
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    store = new Store(path.join(dir, 'bridge.json'), { saveDelay: 0 }).open();
+    clock = { now: NOW };
+    runs = [];
+    missed = [];
+    scheduler = new Scheduler(store, {
+      run: async (job) => runs.push(job.command),
+      onMissed: (job) => missed.push(job.command),
+      now: () => clock.now
+    });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists and cancels per owner, numbered by time', () => {
+    scheduler.add('+1', null, parseSchedule('turn off porch light at 23:30', NOW, TZ), TZ);
+    scheduler.add('+1', null, parseSchedule('in 5 minutes turn off the fan', NOW, TZ), TZ);
+    scheduler.add('+2', null, parseSchedule('in 1 minute turn off the tv', NOW, TZ), TZ);
+
+    expect(scheduler.list('+1').map(j => j.command)).toEqual(['turn off the fan', 'turn off porch light']);
+    expect(scheduler.remove('+1', 2).command).toBe('turn off porch light');
+    expect(scheduler.remove('+1', 2)).toBeNull();
+    expect(scheduler.list('+1')).toHaveLength(1);
+  });
+
+  test('runs due jobs and moves repeating ones on', async () => {
+    scheduler.add('+1', null, parseSchedule('in 45 minutes turn off the fan', NOW, TZ), TZ);
+    scheduler.add('+1', null, parseSchedule('every day at 20:30 lock the front door', NOW, TZ), TZ);
+    scheduler.start();
+
+    clock.now = local(19, 20, 30);
+    await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+    expect(runs).toEqual(['lock the front door']);
+    expect(scheduler.list('+1').map(j => j.at)).toEqual([NOW + 45 * 60 * 1000, local(20, 20, 30)]);
+
+    clock.now = local(19, 20, 45);
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(runs).toEqual(['lock the front door', 'turn off the fan']);
+  });
+
+  test('one-off jobs missed while the bridge was down are reported, not run', async () => {
+    scheduler.add('+1', null, parseSchedule('in 10 minutes turn off the fan', NOW, TZ), TZ);
+
+    clock.now = NOW + 60 * 60 * 1000;
+    scheduler.start();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(runs).toEqual([]);
+    expect(missed).toEqual(['turn off the fan']);
+    expect(scheduler.list('+1')).toEqual([]);
+  });
+});
@@ -0,0 +1,189 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const axios = require('axios');
+const SignalClient = require('../src/signal-client');
+const { FakeSignalServer, textEnvelope } = require('./fake-signal-server');
+const { waitFor } = require('./fake-ha-server');
+
+const NUMBER = '+15550000000';
+const BACKOFF = { initial: 20, jitter: 0 };
+
+describe('websocket receive mode (MODE=json)', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = new FakeSignalServer();
+    await server.start();
+    client = new SignalClient(server.httpUrl, NUMBER, 'websocket', { backoff: BACKOFF });
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    jest.restoreAllMocks();
+    await server.stop();
+  });
+
+  test('pushed messages are queued and handed out once', async () => {
+    const received = [];
+    client.onMessage(message => received.push(message));
+    await client.init();
+    await waitFor(() => client.isConnected);
+    expect(server.current.path).toBe(`/v1/receive/${NUMBER}`);
+
+    server.receive(textEnvelope('+15551234567', ' status '));
+    await waitFor(() => received.length === 1);
+    expect(await client.receiveMessages()).toEqual([expect.objectContaining({ source: '+15551234567', message: 'status' })]);
+    expect(await client.receiveMessages()).toEqual([]);
+  });
+
+  test('a dropped socket reconnects instead of polling the REST endpoint', async () => {
+    const get = jest.spyOn(axios, 'get');
+    await client.init();
+    await waitFor(() => client.isConnected);
+
+    server.drop();
+    await waitFor(() => !client.isConnected);
+    expect(await client.receiveMessages()).toEqual([]);
+    expect(get).not.toHaveBeenCalled();
+
+    await waitFor(() => server.connections.length === 2 && client.isConnected);
+    server.receive(textEnvelope('+15551234567', 'lights'));
+    await waitFor(() => client.messageQueue.length === 1);
+    expect((await client.receiveMessages())[0].message).toBe('lights');
+  });
+});
+
+describe('JSON-RPC mode (MODE=json-rpc)', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = new FakeSignalServer();
+    await server.start();
+    server.handlers = {
+      send: () => ({ timestamp: 1700000000001 }),
+      sendReceipt: () => ({}),
+      updateGroup: (params) => ({ groupId: params.groupId || 'new-group==' }),
+      listGroups: () => [{
+        id: 'family==',
+        name: 'Home Assistant Bot',
+        members: [{ number: NUMBER, uuid: 'a' }, { number: '+15551234567', uuid: 'b' }, { number: null, uuid: 'c' }],
+        admins: [{ number: NUMBER, uuid: 'a' }],
+        isMember: true
+      }]
+    };
+    client = new SignalClient(server.httpUrl, NUMBER, 'json-rpc', { backoff: BACKOFF });
+    await client.init();
+  });
+
+  afterEach(async () => {
+    client.disconnect();
+    await server.stop();
+  });
+
+  const lastRequest = () => server.requests[server.requests.length - 1];
+
+  test('received messages are queued; own messages and receipts are not', async () => {
+    expect(server.current.path).toBe('/v1/jsonrpc');
+    server.receive(textEnvelope(NUMBER, 'sent from another device'));
+    server.receive({ source: '+15551234567', receiptMessage: { when: 1700000000000, isRead: true } });
+    server.receive(textEnvelope('+15551234567', 'lock front door', { groupInfo: { groupId: 'family==', name: 'Family' } }));
+
+    await waitFor(() => client.messageQueue.length === 1);
+    expect(await client.receiveMessages()).toEqual([expect.objectContaining({
+      source: '+15551234567',
+      message: 'lock front door',
+      isGroup: true,
+      groupId: 'family==',
+      groupName: 'Family',
+      replyTo: { type: 'group', id: 'family==' }
+    })]);
+  });
+
+  test('messages and receipts are sent as JSON-RPC requests for the account', async () => {
+    await client.sendMessage('+15551234567', '✅ Done');
+    expect(lastRequest()).toEqual(expect.objectContaining({
+      jsonrpc: '2.0',
+      method: 'send',
+      params: { account: NUMBER, message: '✅ Done', recipient: ['+15551234567'] }
+    }));
+
+    await client.sendMessage(null, 'Motion', 'family==', [{ contentType: 'image/jpeg', filename: 'door.jpg', data: 'AAAA' }]);
+    expect(lastRequest().params).toEqual({
+      account: NUMBER,
+      message: 'Motion',
+      groupId: 'family==',
+      attachments: ['data:image/jpeg;filename=door.jpg;base64,AAAA']
+    });
+
+    await client.sendReceipt('+15551234567', 1700000000000);
+    expect(lastRequest()).toEqual(expect.objectContaining({
+      method: 'sendReceipt',
+      params: { account: NUMBER, recipient: '+15551234567', targetTimestamp: [1700000000000], type: 'read' }
+    }));
+  });
+
+  test('an error reply rejects the call', async () => {
+    server.handlers.send = () => {
+      throw new Error('Unregistered user');
+    };
+    await expect(client.sendMessage('+15550000001', 'hi')).rejects.toThrow('Unregistered user');
+  });
+
+  describe('groups', () => {
+    test('are listed in the REST API\'s shape', async () => {
+      expect(await client.listGroups()).toEqual([{
+        id: 'family==',
+        name: 'Home Assistant Bot',
+        description: '',
+        members: [NUMBER, '+15551234567', 'c'],
+        admins: [NUMBER],
+        blocked: false,
+        isMember: true
+      }]);
+      expect(client.groupCache.has('family==')).toBe(true);
+    });
+
+    test('are created with updateGroup, leaving out the bridge\'s own number', async () => {
+      const group = await client.createGroup('Garage', [NUMBER, '+15551234567']);
+      expect(lastRequest().params).toEqual({ account: NUMBER, name: 'Garage', member: ['+15551234567'] });
+      expect(group).toEqual({ id: 'new-group==', name: 'Garage', members: [NUMBER, '+15551234567'] });
+    });
+
+    test('the HA group is found by name and newly allowed numbers are added', async () => {
+      const group = await client.getOrCreateHAGroup([NUMBER, '+15551234567', '+15559876543']);
+      expect(group.id).toBe('family==');
+      expect(lastRequest()).toEqual(expect.objectContaining({
+        method: 'updateGroup',
+        params: { account: NUMBER, groupId: 'family==', member: ['+15559876543'] }
+      }));
+      expect(client.groupCache.get('family==').members).toContain('+15559876543');
+    });
+  });
+
+  describe('reconnects', () => {
+    test('calls waiting on a dropped connection fail instead of hanging', async () => {
+      delete server.handlers.send;
+      const sending = client.sendMessage('+15551234567', 'hi');
+      await waitFor(() => server.requests.length === 1);
+
+      server.drop();
+      await expect(sending).rejects.toThrow('JSON-RPC connection closed');
+      expect(client.pendingRpc.size).toBe(0);
+    });
+
+    test('sending while disconnected fails, and works again once reconnected', async () => {
+      server.drop();
+      await waitFor(() => !client.isConnected);
+      await expect(client.sendMessage('+15551234567', 'hi')).rejects.toThrow('JSON-RPC not connected');
+
+      await waitFor(() => server.connections.length === 2 && client.isConnected);
+      await client.sendMessage('+15551234567', 'hi again');
+      expect(lastRequest().params.message).toBe('hi again');
+
+      server.receive(textEnvelope('+15551234567', 'status'));
+      await waitFor(() => client.messageQueue.length === 1);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../src/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Store = require('../src/store');
+
+describe('Store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    file = path.join(dir, 'bridge.json');
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readFile = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  describe('migrations', () => {
+    test('a new store is migrated to the latest version and written', () => {
+      const store = new Store(file).open();
+      expect(store.version).toBe(2);
+      expect(readFile()).toEqual({
+        version: 2,
+        data: { processed_messages: {}, groups: {}, bridge: {}, subscriptions: {}, counters: {} }
+      });
+    });
+
+    test('v2 imports subscriptions.json and moves it aside', () => {
+      const legacy = path.join(dir, 'subscriptions.json');
+      fs.writeFileSync(legacy, JSON.stringify({ items: [{ id: 3, owner: '+15551234567' }], nextId: 4 }));
+      fs.writeFileSync(file, JSON.stringify({ version: 1, data: { subscriptions: {}, counters: {} } }));
+
+      const store = new Store(file, { saveDelay: 0 }).open();
+      expect(store.get('subscriptions', '3')).toEqual({ id: 3, owner: '+15551234567' });
+      expect(store.nextId('subscriptions')).toBe(4);
+      expect(fs.existsSync(legacy)).toBe(false);
+      expect(fs.existsSync(`${legacy}.migrated`)).toBe(true);
+    });
+
+    test('only pending migrations run, in version order', () => {
+      fs.writeFileSync(file, JSON.stringify({ version: 1, data: { log: [] } }));
+      const step = (version) => ({ version, description: `v${version}`, up: (data) => data.log.push(version) });
+
+      const store = new Store(file, { migrations: [step(3), step(1), step(2)] }).open();
+      expect(store.version).toBe(3);
+      expect(readFile().data.log).toEqual([2, 3]);
+    });
+
+    test('an up-to-date store is not rewritten', () => {
+      new Store(file).open();
+      const written = jest.spyOn(fs, 'writeFileSync');
+      new Store(file).open();
+      expect(written).not.toHaveBeenCalled();
+    });
+  });
+
+  test('an unreadable file is moved aside instead of being overwritten', () => {
+    fs.writeFileSync(file, '{"version": 2, "data": {');
+
+    const store = new Store(file).open();
+    const backups = fs.readdirSync(dir).filter(name => name.startsWith('bridge.json.corrupt-'));
+    expect(backups).toHaveLength(1);
+    expect(fs.readFileSync(path.join(dir, backups[0]), 'utf8')).toBe('{"version": 2, "data": {');
+    expect(store.version).toBe(2);
+    expect(readFile().version).toBe(2);
+  });
+
+  describe('saving', () => {
+    test('writes go to a temporary file that replaces the store in one step', () => {
+      const store = new Store(file, { saveDelay: 0 }).open();
+      const renamed = jest.spyOn(fs, 'renameSync');
+
+      store.set('bridge', 'group_id', 'abc');
+      expect(renamed).toHaveBeenCalledWith(`${file}.tmp`, file);
+      expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+      expect(readFile().data.bridge).toEqual({ group_id: 'abc' });
+    });
+
+    test('a failed write leaves the previous file as it was', () => {
+      const store = new Store(file, { saveDelay: 0 }).open();
+      store.set('bridge', 'group_id', 'abc');
+      jest.spyOn(fs, 'renameSync').mockImplementationOnce(() => {
+        throw new Error('EACCES');
+      });
+
+      store.set('bridge', 'group_id', 'def');
+      expect(readFile().data.bridge).toEqual({ group_id: 'abc' });
+    });
+
+    test('bursts of changes are saved once, after the delay', () => {
+      jest.useFakeTimers();
+      const store = new Store(file, { saveDelay: 1000 }).open();
+      const written = jest.spyOn(fs, 'writeFileSync');
+
+      store.set('processed_messages', 'a', 1);
+      store.set('processed_messages', 'b', 2);
+      store.delete('processed_messages', 'a');
+      jest.advanceTimersByTime(999);
+      expect(written).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(written).toHaveBeenCalledTimes(1);
+      expect(readFile().data.processed_messages).toEqual({ b: 2 });
+    });
+
+    test('close writes what is still pending', () => {
+      jest.useFakeTimers();
+      const store = new Store(file, { saveDelay: 1000 }).open();
+      store.set('groups', 'g1', { name: 'Family' });
+
+      store.close();
+      expect(readFile().data.groups).toEqual({ g1: { name: 'Family' } });
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+
+  test('ID sequences count up from 1 and survive a reopen', () => {
+    const store = new Store(file, { saveDelay: 0 }).open();
+    expect(store.nextId('schedules')).toBe(1);
+    expect(store.nextId('schedules')).toBe(2);
+    expect(new Store(file, { saveDelay: 0 }).open().nextId('schedules')).toBe(3);
+  });
+});